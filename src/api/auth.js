@@ -0,0 +1,43 @@
+const jwt = require('jsonwebtoken');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+// Placeholder secrets that anyone could sign an admin token with
+const INSECURE_SECRETS = ['', 'your-secret-key'];
+
+/**
+ * Require a bearer JWT signed with the API secret and carrying the admin role.
+ * Every admin request is refused while the secret is unset or a placeholder.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+const requireAdmin = (req, res, next) => {
+  if (INSECURE_SECRETS.includes(config.security.jwtSecret || '')) {
+    logger.warn('Rejected admin request: JWT_SECRET is not configured', { path: req.path });
+    return res.status(503).json({ error: 'Admin API is disabled until JWT_SECRET is configured', code: 'ADMIN_DISABLED' });
+  }
+
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({ error: 'Bearer token required', code: 'UNAUTHORIZED' });
+  }
+
+  try {
+    const claims = jwt.verify(token, config.security.jwtSecret);
+
+    if (claims.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin role required', code: 'FORBIDDEN' });
+    }
+
+    req.user = claims;
+    next();
+  } catch (error) {
+    logger.warn('Rejected API token', { reason: error.message });
+    res.status(401).json({ error: 'Invalid or expired token', code: 'UNAUTHORIZED' });
+  }
+};
+
+module.exports = { requireAdmin };
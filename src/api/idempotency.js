@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+// Longest key accepted, matching common client UUID and ULID formats with room to spare
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Replay the original response to a request retried with the same
+ * Idempotency-Key header (or options.idempotencyKey in the body). Only
+ * successful responses are remembered; a rejected or failed request releases
+ * its key so the client can retry it.
+ * @param {Object} store - Idempotency key store
+ * @param {string} scope - Endpoint the keys belong to
+ * @returns {Function} Express middleware
+ */
+const idempotent = (store, scope) => async (req, res, next) => {
+  const options = req.body && req.body.options;
+  const key = req.get('Idempotency-Key') || (options && options.idempotencyKey);
+
+  if (!key) {
+    return next();
+  }
+
+  if (typeof key !== 'string' || key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      error: `Idempotency key must be a string of at most ${MAX_KEY_LENGTH} characters`,
+      code: 'INVALID_IDEMPOTENCY_KEY'
+    });
+  }
+
+  const storeKey = `${scope}:${key}`;
+  const fingerprint = crypto.createHash('sha256').update(JSON.stringify(req.body || {})).digest('hex');
+
+  try {
+    const existing = await store.reserve(storeKey, { status: 'in_progress', fingerprint, createdAt: Date.now() });
+
+    if (existing) {
+      if (existing.fingerprint !== fingerprint) {
+        return res.status(422).json({
+          error: 'Idempotency key was already used with a different request',
+          code: 'IDEMPOTENCY_KEY_REUSED'
+        });
+      }
+
+      if (existing.status === 'in_progress') {
+        return res.status(409).json({
+          error: 'A request with this idempotency key is still being processed',
+          code: 'IDEMPOTENCY_REQUEST_IN_PROGRESS'
+        });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.statusCode).json(existing.body);
+    }
+  } catch (error) {
+    logger.logError(error, { operation: 'reserveIdempotencyKey', scope });
+    return res.status(503).json({ error: 'Idempotency store unavailable', code: 'IDEMPOTENCY_STORE_UNAVAILABLE' });
+  }
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    const settle = res.statusCode >= 200 && res.statusCode < 300
+      ? store.complete(storeKey, {
+        status: 'completed',
+        fingerprint,
+        statusCode: res.statusCode,
+        body,
+        createdAt: Date.now()
+      })
+      : store.release(storeKey);
+
+    // Respond only once the outcome is recorded, so a retry never races it
+    settle
+      .catch(error => logger.logError(error, { operation: 'settleIdempotencyKey', scope }))
+      .then(() => json(body));
+
+    return res;
+  };
+
+  next();
+};
+
+module.exports = { idempotent };
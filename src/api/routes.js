@@ -1,35 +1,68 @@
 const express = require('express');
+const { ethers } = require('ethers');
 const router = express.Router();
 const RollupManager = require('../core/rollup');
 const CrossChainBridge = require('../core/bridge');
+const ConsensusManager = require('../core/consensus');
+const ValidatorManager = require('../core/validator');
+const { createStorage, createIdempotencyStore } = require('../storage');
 const logger = require('../utils/logger');
+const { DefiRainError } = require('../utils/errors');
+const { requireAdmin } = require('./auth');
+const { idempotent } = require('./idempotency');
 
 // Initialize managers
-const rollupManager = new RollupManager();
-const bridgeManager = new CrossChainBridge();
+const storage = createStorage();
+const idempotencyStore = createIdempotencyStore();
+const validatorManager = new ValidatorManager({ storage });
+const rollupManager = new RollupManager({ storage, validatorManager });
+const bridgeManager = new CrossChainBridge({ rollupManager, storage });
+const consensusManager = new ConsensusManager({ storage, bridge: bridgeManager, validatorManager });
+
+/**
+ * Respond with a protocol error's status and code, or a generic 500
+ * @param {Object} res - Express response
+ * @param {Error} error - Error to report
+ * @param {string} message - Message for unexpected errors
+ */
+const sendError = (res, error, message) => {
+  if (error instanceof DefiRainError) {
+    return res.status(error.statusCode).json(error);
+  }
+  
+  res.status(500).json({ error: message || error.message });
+};
 
 // Initialize managers
-(async () => {
+const ready = (async () => {
   try {
+    await storage.connect();
+    await idempotencyStore.connect();
+    await validatorManager.initialize();
     await rollupManager.initialize();
     await bridgeManager.initialize();
+    await consensusManager.initialize();
     logger.info('API routes initialized successfully');
+    return true;
   } catch (error) {
     logger.error('Failed to initialize API routes:', error);
+    return false;
   }
 })();
 
 // Health check endpoint
 router.get('/health', (req, res) => {
   try {
+    const bridgePause = bridgeManager.getPauseState();
     const health = {
       status: 'healthy',
       timestamp: new Date().toISOString(),
       version: '1.0.0',
       services: {
         rollup: 'running',
-        bridge: 'running'
-      }
+        bridge: bridgePause.paused ? 'paused' : 'running'
+      },
+      bridgePause
     };
     
     res.json(health);
@@ -48,22 +81,32 @@ router.post('/rollup/submit', async (req, res) => {
       return res.status(400).json({ error: 'Transaction data required' });
     }
     
-    await rollupManager.addTransaction(transaction);
+    const pendingTransaction = await rollupManager.addTransaction(transaction);
     
     res.json({
       success: true,
       message: 'Transaction submitted successfully',
-      transactionId: transaction.id
+      transactionId: pendingTransaction.id,
+      transactionHash: pendingTransaction.hash,
+      sender: pendingTransaction.sender
     });
   } catch (error) {
     logger.logError(error, { operation: 'submit_transaction' });
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
+const BATCH_STATUSES = ['pending', 'sealed', 'attested', 'submitted', 'challenged', 'reverted', 'finalized'];
+
 router.get('/rollup/batches', (req, res) => {
   try {
-    const batches = rollupManager.getAllBatches();
+    const { status } = req.query;
+    
+    if (status && !BATCH_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Invalid status, expected one of: ${BATCH_STATUSES.join(', ')}` });
+    }
+    
+    const batches = rollupManager.getAllBatches(status);
     const stats = rollupManager.getStats();
     
     res.json({
@@ -93,6 +136,77 @@ router.get('/rollup/batch/:batchId', (req, res) => {
   }
 });
 
+router.get('/rollup/batch/:batchId/proof/:index', (req, res) => {
+  try {
+    const { batchId } = req.params;
+    const proof = rollupManager.getTransactionProof(batchId, parseInt(req.params.index));
+    
+    if (!proof) {
+      return res.status(404).json({ error: 'Batch transaction not found' });
+    }
+    
+    res.json(proof);
+  } catch (error) {
+    logger.logError(error, { operation: 'get_transaction_proof', batchId: req.params.batchId });
+    res.status(500).json({ error: 'Failed to get transaction proof' });
+  }
+});
+
+router.get('/rollup/batch/:batchId/attestations', (req, res) => {
+  try {
+    const batch = rollupManager.getBatch(req.params.batchId);
+    
+    if (!batch) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+    
+    res.json(rollupManager.attestationCollector.describe(batch));
+  } catch (error) {
+    logger.logError(error, { operation: 'get_batch_attestations', batchId: req.params.batchId });
+    res.status(500).json({ error: 'Failed to get batch attestations' });
+  }
+});
+
+router.post('/rollup/batch/:batchId/attest', async (req, res) => {
+  try {
+    const { validator, signature } = req.body;
+    
+    if (!validator || !signature) {
+      return res.status(400).json({ error: 'Validator and signature required' });
+    }
+    
+    const batch = await rollupManager.attestationCollector.addAttestation(req.params.batchId, validator, signature);
+    
+    res.json(rollupManager.attestationCollector.describe(batch));
+  } catch (error) {
+    logger.logError(error, { operation: 'attest_batch', batchId: req.params.batchId });
+    sendError(res, error, 'Failed to attest batch');
+  }
+});
+
+router.post('/rollup/batch/:batchId/challenge', async (req, res) => {
+  try {
+    const { batchId } = req.params;
+    const { challenger, signature, transactionIndex, transaction, proof } = req.body;
+    
+    if (!challenger || !signature || transactionIndex === undefined || !transaction || !proof) {
+      return res.status(400).json({ error: 'Challenger, signature, transaction index, transaction and proof required' });
+    }
+    
+    const result = await rollupManager.challengeBatch(batchId, challenger, {
+      transactionIndex: parseInt(transactionIndex),
+      transaction,
+      proof,
+      signature
+    });
+    
+    res.json(result);
+  } catch (error) {
+    logger.logError(error, { operation: 'challenge_batch', batchId: req.params.batchId });
+    sendError(res, error);
+  }
+});
+
 router.get('/rollup/stats', (req, res) => {
   try {
     const stats = rollupManager.getStats();
@@ -103,8 +217,77 @@ router.get('/rollup/stats', (req, res) => {
   }
 });
 
+router.get('/rollup/fees', (req, res) => {
+  try {
+    res.json(rollupManager.getFeeData());
+  } catch (error) {
+    logger.logError(error, { operation: 'get_fees' });
+    res.status(500).json({ error: 'Failed to get fee data' });
+  }
+});
+
+router.get('/rollup/fees/estimate', (req, res) => {
+  try {
+    const data = req.query.data || '0x';
+    
+    if (!ethers.isHexString(data)) {
+      return res.status(400).json({ error: 'Transaction data must be a hex string' });
+    }
+    
+    res.json(rollupManager.estimateFees({ data }));
+  } catch (error) {
+    logger.logError(error, { operation: 'estimate_fees' });
+    res.status(500).json({ error: 'Failed to estimate fees' });
+  }
+});
+
+router.get('/rollup/account/:address', (req, res) => {
+  try {
+    const { address } = req.params;
+    
+    if (!ethers.isAddress(address)) {
+      return res.status(400).json({ error: 'Invalid address' });
+    }
+    
+    res.json(rollupManager.getAccountState(address));
+  } catch (error) {
+    logger.logError(error, { operation: 'get_account_state', address: req.params.address });
+    res.status(500).json({ error: 'Failed to get account state' });
+  }
+});
+
+router.get('/rollup/account/:address/nonce', (req, res) => {
+  try {
+    const { address } = req.params;
+    
+    if (!ethers.isAddress(address)) {
+      return res.status(400).json({ error: 'Invalid address' });
+    }
+    
+    res.json(rollupManager.getAccountNonce(address));
+  } catch (error) {
+    logger.logError(error, { operation: 'get_account_nonce', address: req.params.address });
+    res.status(500).json({ error: 'Failed to get account nonce' });
+  }
+});
+
+router.get('/rollup/proposers', (req, res) => {
+  try {
+    const count = Math.min(parseInt(req.query.count) || 10, 100);
+    
+    res.json({
+      sequencerAddress: rollupManager.sequencerAddress,
+      isCurrentProposer: rollupManager.isCurrentProposer(),
+      ...rollupManager.proposerSchedule.getOverview(count)
+    });
+  } catch (error) {
+    logger.logError(error, { operation: 'get_proposers' });
+    res.status(500).json({ error: 'Failed to get proposer schedule' });
+  }
+});
+
 // Bridge endpoints
-router.post('/bridge/deposit', async (req, res) => {
+router.post('/bridge/deposit', idempotent(idempotencyStore, 'bridge_deposit'), async (req, res) => {
   try {
     const { userAddress, tokenAddress, amount, options } = req.body;
     
@@ -117,41 +300,47 @@ router.post('/bridge/deposit', async (req, res) => {
     res.json(result);
   } catch (error) {
     logger.logError(error, { operation: 'deposit' });
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
-router.post('/bridge/withdraw', async (req, res) => {
+router.post('/bridge/withdraw', idempotent(idempotencyStore, 'bridge_withdraw'), async (req, res) => {
   try {
-    const { userAddress, tokenAddress, amount, options } = req.body;
+    const { userAddress, tokenAddress, amount, deadline, signature, options } = req.body;
     
-    if (!userAddress || !amount) {
-      return res.status(400).json({ error: 'User address and amount required' });
+    if (!userAddress || !amount || !deadline || !signature) {
+      return res.status(400).json({ error: 'User address, amount, deadline and signature required' });
     }
     
-    const result = await bridgeManager.withdraw(userAddress, tokenAddress, amount, options);
+    const result = await bridgeManager.withdraw(
+      userAddress,
+      tokenAddress,
+      amount,
+      { deadline: Number(deadline), signature },
+      options
+    );
     
     res.json(result);
   } catch (error) {
     logger.logError(error, { operation: 'withdraw' });
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
 router.post('/bridge/complete-withdrawal', async (req, res) => {
   try {
-    const { withdrawalId } = req.body;
+    const { withdrawalId, proof } = req.body;
     
     if (!withdrawalId) {
       return res.status(400).json({ error: 'Withdrawal ID required' });
     }
     
-    const result = await bridgeManager.completeWithdrawal(withdrawalId);
+    const result = await bridgeManager.completeWithdrawal(withdrawalId, proof);
     
     res.json(result);
   } catch (error) {
     logger.logError(error, { operation: 'complete_withdrawal' });
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
@@ -187,6 +376,162 @@ router.get('/bridge/withdrawal/:withdrawalId', (req, res) => {
   }
 });
 
+router.get('/bridge/withdrawal/:withdrawalId/proof', (req, res) => {
+  try {
+    res.json(bridgeManager.getWithdrawalProof(req.params.withdrawalId));
+  } catch (error) {
+    logger.logError(error, { operation: 'get_withdrawal_proof', withdrawalId: req.params.withdrawalId });
+    sendError(res, error, 'Failed to get withdrawal proof');
+  }
+});
+
+router.get('/bridge/tokens', (req, res) => {
+  try {
+    res.json(bridgeManager.tokenRegistry.list());
+  } catch (error) {
+    logger.logError(error, { operation: 'get_bridge_tokens' });
+    res.status(500).json({ error: 'Failed to get bridge tokens' });
+  }
+});
+
+router.post('/bridge/tokens', requireAdmin, async (req, res) => {
+  try {
+    const { l1Address, l2Address, symbol, decimals } = req.body;
+    
+    if (!l1Address || !l2Address || !symbol || decimals === undefined) {
+      return res.status(400).json({ error: 'Layer1 address, Layer2 address, symbol and decimals required' });
+    }
+    
+    const token = await bridgeManager.tokenRegistry.register({
+      ...req.body,
+      decimals: Number(decimals)
+    });
+    
+    res.status(201).json(bridgeManager.tokenRegistry.describe(token));
+  } catch (error) {
+    logger.logError(error, { operation: 'register_bridge_token' });
+    sendError(res, error, 'Failed to register token');
+  }
+});
+
+router.get('/bridge/limits/:userAddress', (req, res) => {
+  try {
+    const token = bridgeManager.tokenRegistry.requireToken(req.query.token);
+    
+    res.json({
+      userAddress: req.params.userAddress,
+      tokenAddress: token.l1Address,
+      ...bridgeManager.rateLimiter.getAllowance(req.params.userAddress, token)
+    });
+  } catch (error) {
+    logger.logError(error, { operation: 'get_bridge_limits', userAddress: req.params.userAddress });
+    sendError(res, error, 'Failed to get bridge limits');
+  }
+});
+
+router.post('/bridge/pause', async (req, res) => {
+  try {
+    const { guardian, operations, reason, timestamp, signature } = req.body;
+    
+    if (!guardian || !timestamp || !signature) {
+      return res.status(400).json({ error: 'Guardian, timestamp and signature required' });
+    }
+    
+    const result = await bridgeManager.pause(guardian, operations, reason, Number(timestamp), signature);
+    
+    res.json(result);
+  } catch (error) {
+    logger.logError(error, { operation: 'pause_bridge' });
+    sendError(res, error, 'Failed to pause bridge');
+  }
+});
+
+router.post('/bridge/lp/register', async (req, res) => {
+  try {
+    const { address, feeBps, tokens, timestamp, signature } = req.body;
+    
+    if (!address || feeBps === undefined || !timestamp || !signature) {
+      return res.status(400).json({ error: 'Address, feeBps, timestamp and signature required' });
+    }
+    
+    const provider = await bridgeManager.fastWithdrawals.registerProvider(
+      address,
+      Number(feeBps),
+      tokens,
+      Number(timestamp),
+      signature
+    );
+    
+    res.status(201).json(provider);
+  } catch (error) {
+    logger.logError(error, { operation: 'register_liquidity_provider' });
+    sendError(res, error, 'Failed to register liquidity provider');
+  }
+});
+
+router.get('/bridge/fast-withdrawal/quote/:withdrawalId', (req, res) => {
+  try {
+    res.json(bridgeManager.fastWithdrawals.getQuotes(req.params.withdrawalId));
+  } catch (error) {
+    logger.logError(error, { operation: 'get_fast_withdrawal_quote' });
+    sendError(res, error, 'Failed to get fast withdrawal quotes');
+  }
+});
+
+router.post('/bridge/fast-withdrawal', async (req, res) => {
+  try {
+    const { withdrawalId, maxFeeBps, timestamp, signature } = req.body;
+    
+    if (!withdrawalId || maxFeeBps === undefined || !timestamp || !signature) {
+      return res.status(400).json({ error: 'Withdrawal ID, maxFeeBps, timestamp and signature required' });
+    }
+    
+    const request = await bridgeManager.fastWithdrawals.requestFastWithdrawal(
+      withdrawalId,
+      Number(maxFeeBps),
+      Number(timestamp),
+      signature
+    );
+    
+    res.status(201).json(request);
+  } catch (error) {
+    logger.logError(error, { operation: 'request_fast_withdrawal' });
+    sendError(res, error, 'Failed to request fast withdrawal');
+  }
+});
+
+router.get('/bridge/fast-withdrawal/requests', (req, res) => {
+  try {
+    const requests = bridgeManager.fastWithdrawals.getOpenRequests(req.query.lp || null);
+    res.json({ requests });
+  } catch (error) {
+    logger.logError(error, { operation: 'get_fast_withdrawal_requests' });
+    sendError(res, error, 'Failed to get fast withdrawal requests');
+  }
+});
+
+router.post('/bridge/fast-withdrawal/:requestId/fill', async (req, res) => {
+  try {
+    const { liquidityProvider, layer1TxHash, signature } = req.body;
+    
+    if (!liquidityProvider || !layer1TxHash || !signature) {
+      return res.status(400).json({ error: 'Liquidity provider, Layer1 transaction hash and signature required' });
+    }
+    
+    const request = await bridgeManager.fastWithdrawals.fillRequest(
+      req.params.requestId,
+      liquidityProvider,
+      layer1TxHash,
+      signature
+    );
+    
+    res.json(request);
+  } catch (error) {
+    logger.logError(error, { operation: 'fill_fast_withdrawal' });
+    sendError(res, error, 'Failed to fill fast withdrawal');
+  }
+});
+
 router.get('/bridge/stats', (req, res) => {
   try {
     const stats = bridgeManager.getStats();
@@ -213,6 +558,352 @@ router.get('/bridge/events', (req, res) => {
   }
 });
 
+// Validator endpoints
+router.get('/validators', (req, res) => {
+  try {
+    const validators = validatorManager.getAllValidators().map(validator => validatorManager.describe(validator));
+    
+    res.json({
+      validators,
+      stats: validatorManager.getStats()
+    });
+  } catch (error) {
+    logger.logError(error, { operation: 'get_validators' });
+    res.status(500).json({ error: 'Failed to get validators' });
+  }
+});
+
+router.post('/validators', requireAdmin, async (req, res) => {
+  try {
+    const { address, publicKey, stake, commissionBps } = req.body;
+    
+    if (!address || !publicKey || !stake) {
+      return res.status(400).json({ error: 'Address, public key and stake required' });
+    }
+    
+    const validator = await validatorManager.registerValidator(
+      address,
+      publicKey,
+      stake,
+      commissionBps === undefined ? undefined : Number(commissionBps)
+    );
+    
+    res.status(201).json(validatorManager.describe(validator));
+  } catch (error) {
+    logger.logError(error, { operation: 'register_validator' });
+    sendError(res, error, 'Failed to register validator');
+  }
+});
+
+router.get('/validators/:address', (req, res) => {
+  try {
+    const validator = validatorManager.getValidator(req.params.address);
+    
+    if (!validator) {
+      return res.status(404).json({ error: 'Validator not found' });
+    }
+    
+    res.json({
+      ...validatorManager.describe(validator),
+      delegations: validatorManager.getValidatorDelegations(validator.address)
+        .map(delegation => validatorManager.describeDelegation(delegation)),
+      rewards: validatorManager.getRewards(validator.address).toString(),
+      unbonding: validatorManager.getUnbonding(validator.address).map(entry => validatorManager.describeUnbonding(entry)),
+      slashes: validatorManager.getSlashes(validator.address).map(slash => validatorManager.describeSlash(slash))
+    });
+  } catch (error) {
+    logger.logError(error, { operation: 'get_validator' });
+    res.status(500).json({ error: 'Failed to get validator' });
+  }
+});
+
+router.post('/validators/:address/heartbeat', async (req, res) => {
+  try {
+    const { timestamp, signature } = req.body;
+    
+    if (!timestamp || !signature) {
+      return res.status(400).json({ error: 'Timestamp and signature required' });
+    }
+    
+    const performance = await validatorManager.recordHeartbeat(req.params.address, Number(timestamp), signature);
+    
+    res.json(performance);
+  } catch (error) {
+    logger.logError(error, { operation: 'validator_heartbeat' });
+    sendError(res, error, 'Failed to record heartbeat');
+  }
+});
+
+router.post('/validators/:address/stake', async (req, res) => {
+  try {
+    const { stake, timestamp, signature } = req.body;
+    
+    if (!stake || !timestamp || !signature) {
+      return res.status(400).json({ error: 'Stake, timestamp and signature required' });
+    }
+    
+    await validatorManager.verifyValidatorRequest(req.params.address, `stake ${stake}`, Number(timestamp), signature);
+    const validator = await validatorManager.updateStake(req.params.address, stake);
+    
+    res.json({
+      ...validatorManager.describe(validator),
+      unbonding: validatorManager.getUnbonding(validator.address).map(entry => validatorManager.describeUnbonding(entry))
+    });
+  } catch (error) {
+    logger.logError(error, { operation: 'update_validator_stake' });
+    sendError(res, error, 'Failed to update validator stake');
+  }
+});
+
+router.post('/validators/:address/exit', async (req, res) => {
+  try {
+    const { timestamp, signature } = req.body;
+    
+    if (!timestamp || !signature) {
+      return res.status(400).json({ error: 'Timestamp and signature required' });
+    }
+    
+    await validatorManager.verifyValidatorRequest(req.params.address, 'exit', Number(timestamp), signature);
+    const entry = await validatorManager.unregisterValidator(req.params.address);
+    
+    res.json(validatorManager.describeUnbonding(entry));
+  } catch (error) {
+    logger.logError(error, { operation: 'exit_validator' });
+    sendError(res, error, 'Failed to exit validator');
+  }
+});
+
+router.post('/validators/:address/withdraw-unbonded', async (req, res) => {
+  try {
+    const { timestamp, signature } = req.body;
+    
+    if (!timestamp || !signature) {
+      return res.status(400).json({ error: 'Timestamp and signature required' });
+    }
+    
+    await validatorManager.verifyValidatorRequest(req.params.address, 'withdraw-unbonded', Number(timestamp), signature);
+    const result = await validatorManager.withdrawUnbonded(req.params.address);
+    
+    res.json({ ...result, amount: result.amount.toString() });
+  } catch (error) {
+    logger.logError(error, { operation: 'withdraw_unbonded' });
+    sendError(res, error, 'Failed to withdraw unbonded stake');
+  }
+});
+
+router.post('/validators/:address/commission', async (req, res) => {
+  try {
+    const { commissionBps, timestamp, signature } = req.body;
+    
+    if (commissionBps === undefined || !timestamp || !signature) {
+      return res.status(400).json({ error: 'Commission, timestamp and signature required' });
+    }
+    
+    await validatorManager.verifyValidatorRequest(req.params.address, `commission ${commissionBps}`, Number(timestamp), signature);
+    const validator = await validatorManager.setCommission(req.params.address, Number(commissionBps));
+    
+    res.json(validatorManager.describe(validator));
+  } catch (error) {
+    logger.logError(error, { operation: 'set_validator_commission' });
+    sendError(res, error, 'Failed to set validator commission');
+  }
+});
+
+router.post('/validators/:address/rewards', requireAdmin, async (req, res) => {
+  try {
+    const { amount } = req.body;
+    
+    if (!amount) {
+      return res.status(400).json({ error: 'Reward amount required' });
+    }
+    
+    const shares = await validatorManager.distributeRewards(req.params.address, amount);
+    
+    res.json({ shares });
+  } catch (error) {
+    logger.logError(error, { operation: 'distribute_validator_rewards' });
+    sendError(res, error, 'Failed to distribute validator rewards');
+  }
+});
+
+router.post('/validators/:address/slash', async (req, res) => {
+  try {
+    const { evidence, reporter } = req.body;
+    
+    if (!evidence) {
+      return res.status(400).json({ error: 'Equivocation evidence required' });
+    }
+    
+    const slash = await validatorManager.slashForEquivocation(req.params.address, evidence, reporter);
+    
+    res.status(201).json(validatorManager.describeSlash(slash));
+  } catch (error) {
+    logger.logError(error, { operation: 'slash_validator' });
+    sendError(res, error, 'Failed to slash validator');
+  }
+});
+
+// Delegation endpoints
+router.get('/delegations/:delegator', (req, res) => {
+  try {
+    const delegations = validatorManager.getDelegatorDelegations(req.params.delegator);
+    
+    res.json({
+      delegations: delegations.map(delegation => validatorManager.describeDelegation(delegation)),
+      rewards: validatorManager.getRewards(req.params.delegator).toString()
+    });
+  } catch (error) {
+    logger.logError(error, { operation: 'get_delegations' });
+    res.status(500).json({ error: 'Failed to get delegations' });
+  }
+});
+
+router.post('/delegations', async (req, res) => {
+  try {
+    const { delegator, validator, amount, timestamp, signature } = req.body;
+    
+    if (!delegator || !validator || !amount || !timestamp || !signature) {
+      return res.status(400).json({ error: 'Delegator, validator, amount, timestamp and signature required' });
+    }
+    
+    await validatorManager.verifyDelegatorRequest(delegator, `delegate ${validator} ${amount}`, Number(timestamp), signature);
+    const delegation = await validatorManager.delegate(delegator, validator, amount);
+    
+    res.status(201).json(validatorManager.describeDelegation(delegation));
+  } catch (error) {
+    logger.logError(error, { operation: 'delegate' });
+    sendError(res, error, 'Failed to delegate stake');
+  }
+});
+
+router.post('/delegations/undelegate', async (req, res) => {
+  try {
+    const { delegator, validator, amount, timestamp, signature } = req.body;
+    
+    if (!delegator || !validator || !amount || !timestamp || !signature) {
+      return res.status(400).json({ error: 'Delegator, validator, amount, timestamp and signature required' });
+    }
+    
+    await validatorManager.verifyDelegatorRequest(delegator, `undelegate ${validator} ${amount}`, Number(timestamp), signature);
+    const entry = await validatorManager.undelegate(delegator, validator, amount);
+    
+    res.json(validatorManager.describeUnbonding(entry));
+  } catch (error) {
+    logger.logError(error, { operation: 'undelegate' });
+    sendError(res, error, 'Failed to undelegate stake');
+  }
+});
+
+router.post('/delegations/withdraw-unbonded', async (req, res) => {
+  try {
+    const { delegator, timestamp, signature } = req.body;
+    
+    if (!delegator || !timestamp || !signature) {
+      return res.status(400).json({ error: 'Delegator, timestamp and signature required' });
+    }
+    
+    await validatorManager.verifyDelegatorRequest(delegator, 'withdraw-unbonded', Number(timestamp), signature);
+    const result = await validatorManager.withdrawUnbonded(delegator);
+    
+    res.json({ ...result, amount: result.amount.toString() });
+  } catch (error) {
+    logger.logError(error, { operation: 'withdraw_undelegated' });
+    sendError(res, error, 'Failed to withdraw undelegated stake');
+  }
+});
+
+// Governance endpoints
+router.get('/governance/proposals', (req, res) => {
+  try {
+    const { status } = req.query;
+    const proposals = consensusManager.getAllProposals()
+      .filter(proposal => !status || proposal.status === status);
+    
+    res.json({
+      proposals: proposals.map(proposal => consensusManager.describeProposal(proposal)),
+      stats: consensusManager.getStats()
+    });
+  } catch (error) {
+    logger.logError(error, { operation: 'get_proposals' });
+    res.status(500).json({ error: 'Failed to get proposals' });
+  }
+});
+
+router.get('/governance/proposals/:proposalId', (req, res) => {
+  try {
+    const proposal = consensusManager.getProposal(req.params.proposalId);
+    
+    if (!proposal) {
+      return res.status(404).json({ error: 'Proposal not found' });
+    }
+    
+    res.json({
+      ...consensusManager.describeProposal(proposal),
+      votesCast: consensusManager.getProposalVotes(proposal.id)
+    });
+  } catch (error) {
+    logger.logError(error, { operation: 'get_proposal', proposalId: req.params.proposalId });
+    res.status(500).json({ error: 'Failed to get proposal' });
+  }
+});
+
+router.post('/governance/proposals', async (req, res) => {
+  try {
+    const { proposer, title, description, type, parameters = {}, timestamp, signature } = req.body;
+    
+    if (!proposer || !title || !type || !timestamp || !signature) {
+      return res.status(400).json({ error: 'Proposer, title, type, timestamp and signature required' });
+    }
+    
+    // The signature covers the whole proposal, so its parameters cannot be swapped
+    const digest = ethers.id(JSON.stringify({ title, description, type, parameters }));
+    const validator = await validatorManager.verifyValidatorRequest(proposer, `propose ${digest}`, Number(timestamp), signature);
+    const proposal = await consensusManager.createProposal(validator.address, title, description, type, parameters);
+    
+    res.status(201).json(consensusManager.describeProposal(proposal));
+  } catch (error) {
+    logger.logError(error, { operation: 'create_proposal' });
+    sendError(res, error, 'Failed to create proposal');
+  }
+});
+
+router.post('/governance/proposals/:proposalId/vote', async (req, res) => {
+  try {
+    const { proposalId } = req.params;
+    const { voter, vote, timestamp, signature } = req.body;
+    
+    if (!voter || !vote || !timestamp || !signature) {
+      return res.status(400).json({ error: 'Voter, vote, timestamp and signature required' });
+    }
+    
+    const validator = await validatorManager.verifyValidatorRequest(voter, `vote ${proposalId} ${vote}`, Number(timestamp), signature);
+    const voteRecord = await consensusManager.vote(proposalId, validator.address, vote);
+    
+    res.json({
+      vote: voteRecord,
+      proposal: consensusManager.describeProposal(consensusManager.getProposal(proposalId))
+    });
+  } catch (error) {
+    logger.logError(error, { operation: 'vote', proposalId: req.params.proposalId });
+    sendError(res, error, 'Failed to vote on proposal');
+  }
+});
+
+router.post('/governance/proposals/:proposalId/execute', async (req, res) => {
+  try {
+    const { proposalId } = req.params;
+    const result = await consensusManager.executeProposal(proposalId);
+    
+    res.json({
+      result,
+      proposal: consensusManager.describeProposal(consensusManager.getProposal(proposalId))
+    });
+  } catch (error) {
+    logger.logError(error, { operation: 'execute_proposal', proposalId: req.params.proposalId });
+    sendError(res, error, 'Failed to execute proposal');
+  }
+});
+
 // Transaction endpoints
 router.get('/transactions/:txHash', (req, res) => {
   try {
@@ -266,7 +957,7 @@ router.get('/blocks/:blockNumber', (req, res) => {
 
 // Error handling middleware
 router.use((error, req, res, next) => {
-  logger.logError(error, { 
+  logger.logError(error, {
     operation: 'api_error',
     path: req.path,
     method: req.method
@@ -279,3 +970,10 @@ router.use((error, req, res, next) => {
 });
 
 module.exports = router;
+module.exports.rollupManager = rollupManager;
+module.exports.bridgeManager = bridgeManager;
+module.exports.consensusManager = consensusManager;
+module.exports.validatorManager = validatorManager;
+module.exports.storage = storage;
+module.exports.idempotencyStore = idempotencyStore;
+module.exports.ready = ready;
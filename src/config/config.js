@@ -1,4 +1,3 @@
-const path = require('path');
 require('dotenv').config();
 
 class Config {
@@ -16,6 +15,8 @@ class Config {
 
     // Database Configuration
     this.database = {
+      // memory keeps records only for the life of the process (tests)
+      driver: process.env.STORAGE_DRIVER || (this.server.env === 'test' ? 'memory' : 'mongodb'),
       mongodb: {
         uri: process.env.MONGODB_URI || 'mongodb://localhost:27017/defi-rain',
         options: {
@@ -37,7 +38,12 @@ class Config {
         rpcUrl: process.env.ETHEREUM_RPC_URL || 'http://localhost:8545',
         chainId: process.env.ETHEREUM_CHAIN_ID || 1,
         gasLimit: process.env.GAS_LIMIT || 8000000,
-        gasPrice: process.env.GAS_PRICE || '20000000000'
+        gasPrice: process.env.GAS_PRICE || '20000000000',
+        privateKey: process.env.SEQUENCER_PRIVATE_KEY || '',
+        confirmations: parseInt(process.env.L1_CONFIRMATIONS) || 1,
+        submissionTimeout: parseInt(process.env.L1_SUBMISSION_TIMEOUT) || 120000,
+        maxSubmissionRetries: parseInt(process.env.L1_MAX_SUBMISSION_RETRIES) || 3,
+        feeBumpPercent: parseInt(process.env.L1_FEE_BUMP_PERCENT) || 15
       },
       layer2: {
         rpcUrl: process.env.LAYER2_RPC_URL || 'http://localhost:3001',
@@ -50,15 +56,81 @@ class Config {
     this.rollup = {
       batchSize: parseInt(process.env.ROLLUP_BATCH_SIZE) || 100,
       batchTimeout: parseInt(process.env.ROLLUP_BATCH_TIMEOUT) || 10000,
+      sequencerInterval: parseInt(process.env.ROLLUP_SEQUENCER_INTERVAL) || 1000,
+      challengePeriod: parseInt(process.env.ROLLUP_CHALLENGE_PERIOD) || 7 * 24 * 60 * 60 * 1000,
+      finalizationInterval: parseInt(process.env.ROLLUP_FINALIZATION_INTERVAL) || 60000,
       maxGasPerBatch: parseInt(process.env.MAX_GAS_PER_BATCH) || 1000000,
+      batchCompression: process.env.ROLLUP_BATCH_COMPRESSION || 'brotli',
       sequencerAddress: process.env.SEQUENCER_ADDRESS || '',
-      validatorAddresses: process.env.VALIDATOR_ADDRESSES ? 
-        process.env.VALIDATOR_ADDRESSES.split(',') : []
+      fees: {
+        initialBaseFee: process.env.ROLLUP_INITIAL_BASE_FEE || '1000000000',
+        minBaseFee: process.env.ROLLUP_MIN_BASE_FEE || '1000000',
+        defaultPriorityFee: process.env.ROLLUP_DEFAULT_PRIORITY_FEE || '100000000'
+      },
+      validatorAddresses: process.env.VALIDATOR_ADDRESSES
+        ? process.env.VALIDATOR_ADDRESSES.split(',')
+        : [],
+      minimumStake: process.env.VALIDATOR_MINIMUM_STAKE || '1000000000000000000', // 1 ETH
+      // Longer than the challenge period so a fraud proof can still slash exiting stake
+      unbondingPeriod: parseInt(process.env.VALIDATOR_UNBONDING_PERIOD) || 14 * 24 * 60 * 60 * 1000,
+      validatorRequestTtl: parseInt(process.env.VALIDATOR_REQUEST_TTL) || 5 * 60 * 1000,
+      defaultCommissionBps: process.env.VALIDATOR_DEFAULT_COMMISSION_BPS
+        ? parseInt(process.env.VALIDATOR_DEFAULT_COMMISSION_BPS)
+        : 1000,
+      // Share of active stake that must sign a batch before it goes to L1
+      attestationThresholdBps: parseInt(process.env.ATTESTATION_THRESHOLD_BPS) || 6667,
+      proposer: {
+        slotDuration: parseInt(process.env.PROPOSER_SLOT_DURATION) || 30000,
+        epochLength: parseInt(process.env.PROPOSER_EPOCH_LENGTH) || 32,
+        // Time in a slot after which the next proposer may seal as well
+        fallbackTimeout: parseInt(process.env.PROPOSER_FALLBACK_TIMEOUT) || 10000
+      },
+      slashing: {
+        equivocationBps: parseInt(process.env.SLASH_EQUIVOCATION_BPS) || 2500,
+        fraudBps: parseInt(process.env.SLASH_FRAUD_BPS) || 5000,
+        downtimeBps: parseInt(process.env.SLASH_DOWNTIME_BPS) || 100,
+        challengerRewardBps: parseInt(process.env.SLASH_CHALLENGER_REWARD_BPS) || 5000,
+        treasuryAddress: process.env.SLASHING_TREASURY_ADDRESS || '',
+        downtimeWindow: parseInt(process.env.VALIDATOR_DOWNTIME_WINDOW) || 24 * 60 * 60 * 1000,
+        downtimeCheckInterval: parseInt(process.env.VALIDATOR_DOWNTIME_CHECK_INTERVAL) || 10 * 60 * 1000
+      }
+    };
+
+    // Bridge Configuration
+    this.bridge = {
+      depositConfirmations: parseInt(process.env.BRIDGE_DEPOSIT_CONFIRMATIONS) || 12,
+      watcherInterval: parseInt(process.env.BRIDGE_WATCHER_INTERVAL) || 15000,
+      watcherStartBlock: process.env.BRIDGE_WATCHER_START_BLOCK
+        ? parseInt(process.env.BRIDGE_WATCHER_START_BLOCK)
+        : null,
+      maxLogBlockRange: parseInt(process.env.BRIDGE_MAX_LOG_BLOCK_RANGE) || 2000,
+      reorgTrackingDepth: parseInt(process.env.BRIDGE_REORG_TRACKING_DEPTH) || 64,
+      guardians: process.env.BRIDGE_GUARDIANS
+        ? process.env.BRIDGE_GUARDIANS.split(',')
+        : [],
+      pauseRequestTtl: parseInt(process.env.BRIDGE_PAUSE_REQUEST_TTL) || 5 * 60 * 1000,
+      fastWithdrawal: {
+        maxFeeBps: parseInt(process.env.BRIDGE_FAST_WITHDRAWAL_MAX_FEE_BPS) || 500,
+        requestTtl: parseInt(process.env.BRIDGE_FAST_WITHDRAWAL_REQUEST_TTL) || 24 * 60 * 60 * 1000,
+        signatureTtl: parseInt(process.env.BRIDGE_FAST_WITHDRAWAL_SIGNATURE_TTL) || 5 * 60 * 1000
+      },
+      limits: {
+        windowMs: parseInt(process.env.BRIDGE_LIMIT_WINDOW) || 24 * 60 * 60 * 1000,
+        maxOperationsPerUser: parseInt(process.env.BRIDGE_MAX_OPERATIONS_PER_USER) || 20,
+        eth: {
+          userDepositCap: process.env.BRIDGE_ETH_USER_DEPOSIT_CAP || '100',
+          userWithdrawalCap: process.env.BRIDGE_ETH_USER_WITHDRAWAL_CAP || '100',
+          depositCap: process.env.BRIDGE_ETH_DEPOSIT_CAP || '10000',
+          withdrawalCap: process.env.BRIDGE_ETH_WITHDRAWAL_CAP || '10000',
+          hourlyOutflowThreshold: process.env.BRIDGE_ETH_HOURLY_OUTFLOW_THRESHOLD || '2000'
+        }
+      }
     };
 
     // Security Configuration
     this.security = {
-      jwtSecret: process.env.JWT_SECRET || 'your-secret-key',
+      // Admin endpoints stay disabled until a real secret is configured
+      jwtSecret: process.env.JWT_SECRET || '',
       jwtExpiresIn: process.env.JWT_EXPIRES_IN || '24h',
       encryptionKey: process.env.ENCRYPTION_KEY || 'your-encryption-key',
       rateLimit: {
@@ -93,6 +165,12 @@ class Config {
       cors: {
         origin: process.env.CORS_ORIGIN || '*',
         credentials: process.env.CORS_CREDENTIALS === 'true'
+      },
+      idempotency: {
+        driver: process.env.IDEMPOTENCY_DRIVER || (this.server.env === 'test' ? 'memory' : 'redis'),
+        ttl: parseInt(process.env.IDEMPOTENCY_KEY_TTL) || 24 * 60 * 60 * 1000,
+        // A request that dies mid-flight frees its key after this long
+        inProgressTtl: parseInt(process.env.IDEMPOTENCY_IN_PROGRESS_TTL) || 60 * 1000
       }
     };
   }
@@ -0,0 +1,192 @@
+const logger = require('../utils/logger');
+const config = require('../config/config');
+const { DefiRainError } = require('../utils/errors');
+
+class AttestationCollector {
+  /**
+   * @param {RollupManager} rollupManager - Rollup whose sealed batches are attested
+   */
+  constructor(rollupManager) {
+    this.rollupManager = rollupManager;
+    this.thresholdBps = config.rollup.attestationThresholdBps;
+  }
+
+  /**
+   * Get the validator set attestations are counted against
+   * @returns {Object} Effective stake per active validator and the total
+   */
+  getQuorumSet() {
+    const validatorManager = this.rollupManager.validatorManager;
+    const stakes = new Map();
+    let totalStake = 0n;
+
+    if (validatorManager) {
+      for (const validator of validatorManager.getActiveValidators()) {
+        const stake = validatorManager.getEffectiveStake(validator.address);
+        stakes.set(validator.address, stake);
+        totalStake += stake;
+      }
+    }
+
+    return { stakes, totalStake };
+  }
+
+  /**
+   * Sum the stake of the active validators that attested a batch
+   * @param {Object} batch - Batch object
+   * @param {Object} quorumSet - Result of getQuorumSet
+   * @returns {bigint} Attested stake in wei
+   */
+  getAttestedStake(batch, quorumSet = this.getQuorumSet()) {
+    return batch.attestations.reduce((sum, attestation) =>
+      sum + (quorumSet.stakes.get(attestation.validator) || 0n), 0n);
+  }
+
+  /**
+   * Check whether a batch is backed by the stake threshold. Without any
+   * active validators there is nobody to attest, so every batch passes.
+   * @param {Object} batch - Batch object
+   * @returns {boolean} Whether the threshold is reached
+   */
+  hasQuorum(batch) {
+    const quorumSet = this.getQuorumSet();
+    if (quorumSet.totalStake === 0n) {
+      return true;
+    }
+
+    return this.getAttestedStake(batch, quorumSet) * 10000n >= quorumSet.totalStake * BigInt(this.thresholdBps);
+  }
+
+  /**
+   * Mark a sealed batch attested once its quorum is reached
+   * @param {Object} batch - Batch object
+   * @returns {boolean} Whether the batch is now attested
+   */
+  async checkQuorum(batch) {
+    if (batch.status !== 'sealed' || !this.hasQuorum(batch)) {
+      return batch.status === 'attested';
+    }
+
+    batch.status = 'attested';
+    batch.attestedAt = Date.now();
+    await this.rollupManager.persistBatch(batch);
+
+    logger.info('Batch attested', {
+      batchId: batch.id,
+      attestations: batch.attestations.length,
+      attestedStake: this.getAttestedStake(batch).toString()
+    });
+
+    return true;
+  }
+
+  /**
+   * Re-check sealed batches, since validators joining or leaving move the threshold
+   * @returns {number} Number of batches that became attested
+   */
+  async checkPendingBatches() {
+    let attested = 0;
+
+    for (const batch of this.rollupManager.getAllBatches('sealed')) {
+      if (await this.checkQuorum(batch)) {
+        attested++;
+      }
+    }
+
+    return attested;
+  }
+
+  /**
+   * Add a validator's signature over a sealed batch's stateRoot and merkleRoot.
+   * The validator signs hashBatchAttestation of the batch as a personal message.
+   * @param {string} batchId - Batch ID
+   * @param {string} address - Validator address
+   * @param {string} signature - Validator signature
+   * @returns {Object} Batch object
+   */
+  async addAttestation(batchId, address, signature) {
+    try {
+      const validatorManager = this.rollupManager.validatorManager;
+      const batch = this.rollupManager.getBatch(batchId);
+      if (!batch) {
+        throw new DefiRainError('BATCH_NOT_FOUND', 'Batch not found', { batchId }, 404);
+      }
+
+      if (!['sealed', 'attested'].includes(batch.status)) {
+        throw new DefiRainError('BATCH_NOT_ATTESTABLE', `Batch is ${batch.status}`, {
+          batchId,
+          status: batch.status
+        }, 409);
+      }
+
+      const validator = validatorManager && validatorManager.getValidator(address);
+      if (!validator) {
+        throw new DefiRainError('VALIDATOR_NOT_FOUND', 'Validator not found', {}, 404);
+      }
+
+      if (validator.status !== 'active') {
+        throw new DefiRainError('VALIDATOR_NOT_ACTIVE', `Validator is ${validator.status}`, {}, 409);
+      }
+
+      if (batch.attestations.some(attestation => attestation.validator === validator.address)) {
+        throw new DefiRainError('ALREADY_ATTESTED', 'Validator already attested this batch', {
+          batchId,
+          validator: validator.address
+        }, 409);
+      }
+
+      const signerKey = validatorManager.recoverAttestationKey(batch.index, {
+        stateRoot: batch.stateRoot,
+        merkleRoot: batch.merkleRoot,
+        signature
+      });
+
+      if (signerKey !== validator.publicKey.toLowerCase()) {
+        throw new DefiRainError('INVALID_SIGNATURE', 'Attestation is not signed by the validator key', {}, 403);
+      }
+
+      batch.attestations.push({
+        validator: validator.address,
+        signature,
+        timestamp: Date.now()
+      });
+
+      await validatorManager.updatePerformance(validator.address, true);
+
+      if (!(await this.checkQuorum(batch))) {
+        await this.rollupManager.persistBatch(batch);
+      } else {
+        // Post attested batches to Layer1 without waiting for the next sequencer tick
+        this.rollupManager.submitSealedBatches().catch(error => {
+          logger.logError(error, { operation: 'submitSealedBatches', batchId });
+        });
+      }
+
+      return batch;
+    } catch (error) {
+      logger.logError(error, { operation: 'addAttestation', batchId, address });
+      throw error;
+    }
+  }
+
+  /**
+   * Describe the attestation progress of a batch
+   * @param {Object} batch - Batch object
+   * @returns {Object} Attested and required stake
+   */
+  describe(batch) {
+    const quorumSet = this.getQuorumSet();
+
+    return {
+      batchId: batch.id,
+      status: batch.status,
+      attestations: batch.attestations,
+      attestedStake: this.getAttestedStake(batch, quorumSet).toString(),
+      totalStake: quorumSet.totalStake.toString(),
+      thresholdBps: this.thresholdBps,
+      attestedAt: batch.attestedAt || null
+    };
+  }
+}
+
+module.exports = AttestationCollector;
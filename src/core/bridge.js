@@ -1,19 +1,54 @@
 const { ethers } = require('ethers');
 const logger = require('../utils/logger');
 const config = require('../config/config');
+const { DefiRainError } = require('../utils/errors');
+const { MemoryStorage } = require('../storage');
+const DepositWatcher = require('./watcher');
+const ReorgMonitor = require('./reorg');
+const TokenRegistry = require('./tokens');
+const BridgeRateLimiter = require('./limits');
+const FastWithdrawalManager = require('./liquidity');
+
+// Bridge paths that guardians can halt independently
+const PAUSABLE_OPERATIONS = ['deposit', 'withdraw', 'complete'];
+
+const PAUSE_KEY = 'bridge_pause';
+
+// EIP-712 type users sign to authorize a withdrawal of their Layer2 balance
+const WITHDRAWAL_TYPES = {
+  Withdrawal: [
+    { name: 'account', type: 'address' },
+    { name: 'token', type: 'address' },
+    { name: 'amount', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
 
 class CrossChainBridge {
-  constructor() {
+  /**
+   * @param {Object} options - Bridge dependencies
+   * @param {RollupManager} options.rollupManager - Rollup whose L2 state the bridge settles against
+   * @param {Object} options.storage - Storage backend for deposits and withdrawals
+   */
+  constructor(options = {}) {
+    this.rollupManager = options.rollupManager || null;
+    this.storage = options.storage || new MemoryStorage();
     this.deposits = new Map();
     this.withdrawals = new Map();
+    this.usedWithdrawalAuthorizations = new Set();
     this.bridgeEvents = [];
     this.provider = null;
     this.layer1Contract = null;
     this.layer2Contract = null;
     this.bridgeAddress = null;
-    this.minDepositAmount = ethers.parseEther('0.001');
-    this.maxDepositAmount = ethers.parseEther('1000');
+    this.tokenRegistry = new TokenRegistry({ storage: this.storage });
+    this.rateLimiter = new BridgeRateLimiter(this);
+    this.fastWithdrawals = new FastWithdrawalManager(this);
+    this.guardians = config.bridge.guardians.map(address => address.toLowerCase());
+    this.pauseState = { deposit: null, withdraw: null, complete: null };
     this.withdrawalDelay = 7 * 24 * 60 * 60; // 7 days in seconds
+    this.depositWatcher = new DepositWatcher(this);
+    this.reorgMonitor = new ReorgMonitor(this);
   }
 
   /**
@@ -27,8 +62,7 @@ class CrossChainBridge {
       
       logger.info('CrossChainBridge initialized successfully', {
         bridgeAddress: this.bridgeAddress,
-        minDepositAmount: ethers.formatEther(this.minDepositAmount),
-        maxDepositAmount: ethers.formatEther(this.maxDepositAmount)
+        tokenCount: this.tokenRegistry.tokens.size
       });
     } catch (error) {
       logger.logError(error, { operation: 'initialize' });
@@ -64,11 +98,13 @@ class CrossChainBridge {
       this.layer1Contract = {
         address: layer1Address,
         interface: new ethers.Interface([
-          'function deposit(address token, uint256 amount) external payable',
-          'function withdraw(bytes32 proof, address token, uint256 amount) external',
+          'function depositETH() external payable',
+          'function depositToken(address token, uint256 amount) external',
+          'function withdraw(bytes32 proof, address recipient, address token, uint256 amount) external',
+          'function assignWithdrawal(bytes32 leaf, address recipient, bytes32 paymentReference) external',
           'function getDepositProof(bytes32 depositId) external view returns (bytes32)',
-          'event Deposit(address indexed user, address indexed token, uint256 amount, bytes32 depositId)',
-          'event Withdrawal(address indexed user, address indexed token, uint256 amount, bytes32 withdrawalId)'
+          'event Deposit(address indexed user, address indexed token, uint256 amount, bytes32 indexed depositId, uint256 timestamp)',
+          'event Withdrawal(address indexed user, address indexed token, uint256 amount, bytes32 indexed withdrawalId, uint256 timestamp)'
         ])
       };
 
@@ -96,11 +132,31 @@ class CrossChainBridge {
   }
 
   /**
-   * Load bridge state
+   * Load deposits and withdrawals from storage
    */
   async loadBridgeState() {
     try {
-      // In a real implementation, this would load from the contract
+      await this.tokenRegistry.load();
+
+      for (const deposit of await this.storage.load('deposits')) {
+        this.deposits.set(deposit.id, deposit);
+      }
+
+      for (const withdrawal of await this.storage.load('withdrawals')) {
+        this.withdrawals.set(withdrawal.id, withdrawal);
+        if (withdrawal.authorization) {
+          this.usedWithdrawalAuthorizations.add(withdrawal.authorization.digest);
+        }
+      }
+
+      await this.rateLimiter.load();
+      await this.fastWithdrawals.load();
+
+      const pauseState = await this.storage.getValue(PAUSE_KEY);
+      if (pauseState) {
+        this.pauseState = pauseState;
+      }
+
       logger.info('Bridge state loaded', {
         totalDeposits: this.deposits.size,
         totalWithdrawals: this.withdrawals.size
@@ -112,7 +168,36 @@ class CrossChainBridge {
   }
 
   /**
-   * Deposit tokens from Layer1 to Layer2
+   * Persist a deposit record
+   * @param {Object} deposit - Deposit object
+   */
+  async persistDeposit(deposit) {
+    try {
+      await this.storage.save('deposits', deposit.id, deposit);
+    } catch (error) {
+      logger.logError(error, { operation: 'persistDeposit', depositId: deposit.id });
+      throw error;
+    }
+  }
+
+  /**
+   * Persist a withdrawal record
+   * @param {Object} withdrawal - Withdrawal object
+   */
+  async persistWithdrawal(withdrawal) {
+    try {
+      await this.storage.save('withdrawals', withdrawal.id, withdrawal);
+    } catch (error) {
+      logger.logError(error, { operation: 'persistWithdrawal', withdrawalId: withdrawal.id });
+      throw error;
+    }
+  }
+
+  /**
+   * Register a deposit intent and return the Layer1 transaction the user must
+   * send. The deposit is only credited on Layer2 once the deposit watcher has
+   * seen the matching Deposit event with enough confirmations, and only then
+   * counts against the rate limits.
    * @param {string} userAddress - User address
    * @param {string} tokenAddress - Token address (ETH if null)
    * @param {string} amount - Amount to deposit
@@ -121,47 +206,52 @@ class CrossChainBridge {
    */
   async deposit(userAddress, tokenAddress, amount, options = {}) {
     try {
-      const depositAmount = ethers.parseEther(amount.toString());
-      
-      // Validate deposit amount
-      if (depositAmount < this.minDepositAmount) {
-        throw new Error('Deposit amount too small');
+      this.assertNotPaused('deposit');
+
+      if (!ethers.isAddress(userAddress)) {
+        throw new DefiRainError('INVALID_ADDRESS', 'User address is invalid');
       }
+
+      const token = this.tokenRegistry.requireToken(tokenAddress);
+      const depositAmount = this.tokenRegistry.parseAmount(token, amount);
       
-      if (depositAmount > this.maxDepositAmount) {
-        throw new Error('Deposit amount too large');
-      }
+      // Validate deposit amount
+      this.tokenRegistry.checkLimits(token, depositAmount);
 
       const depositId = this.generateDepositId();
       const deposit = {
         id: depositId,
-        userAddress,
-        tokenAddress: tokenAddress || ethers.ZeroAddress,
+        userAddress: ethers.getAddress(userAddress),
+        tokenAddress: token.l1Address,
+        layer2TokenAddress: token.l2Address,
         amount: depositAmount,
-        status: 'pending',
+        status: 'awaiting_l1',
         timestamp: Date.now(),
+        layer1DepositId: null,
         layer1TxHash: null,
+        layer1BlockNumber: null,
+        layer1BlockHash: null,
+        confirmations: 0,
         layer2TxHash: null,
         proof: null,
         options
       };
 
       this.deposits.set(depositId, deposit);
+      await this.persistDeposit(deposit);
 
-      // Submit deposit to Layer1
-      await this.submitDepositToLayer1(deposit);
-
-      logger.info('Deposit initiated', {
+      logger.info('Deposit intent registered', {
         depositId,
         userAddress,
         tokenAddress: deposit.tokenAddress,
-        amount: ethers.formatEther(depositAmount)
+        amount: this.tokenRegistry.formatAmount(token, depositAmount)
       });
 
       return {
         depositId,
-        status: 'pending',
-        estimatedTime: '2-5 minutes'
+        status: deposit.status,
+        layer1Transaction: this.buildDepositTransaction(deposit),
+        requiredConfirmations: this.depositWatcher.confirmations
       };
     } catch (error) {
       logger.logError(error, { operation: 'deposit', userAddress, tokenAddress, amount });
@@ -170,44 +260,198 @@ class CrossChainBridge {
   }
 
   /**
-   * Submit deposit to Layer1
+   * Build the Layer1 bridge call that performs a deposit
    * @param {Object} deposit - Deposit object
+   * @returns {Object} Unsigned transaction request
    */
-  async submitDepositToLayer1(deposit) {
+  buildDepositTransaction(deposit) {
+    const isNative = deposit.tokenAddress === ethers.ZeroAddress;
+    const data = isNative
+      ? this.layer1Contract.interface.encodeFunctionData('depositETH', [])
+      : this.layer1Contract.interface.encodeFunctionData('depositToken', [deposit.tokenAddress, deposit.amount]);
+
+    return {
+      to: this.layer1Contract.address,
+      data,
+      value: isNative ? deposit.amount.toString() : '0'
+    };
+  }
+
+  /**
+   * Find the deposit recorded for a Layer1 deposit ID
+   * @param {string} layer1DepositId - Deposit ID emitted by the Layer1 contract
+   * @returns {Object|null} Deposit object
+   */
+  findDepositByLayer1Id(layer1DepositId) {
+    for (const deposit of this.deposits.values()) {
+      if (deposit.layer1DepositId === layer1DepositId) {
+        return deposit;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Record a Deposit event observed on Layer1, attaching it to the oldest
+   * matching intent or creating a new deposit record
+   * @param {Object} event - Parsed Deposit event
+   * @returns {Object} Deposit object
+   */
+  async recordLayer1Deposit(event) {
     try {
-      // In a real implementation, this would submit to the actual contract
-      const txData = this.layer1Contract.interface.encodeFunctionData('deposit', [
-        deposit.tokenAddress,
-        deposit.amount
-      ]);
+      let deposit = this.findDepositByLayer1Id(event.layer1DepositId);
 
-      // Mock transaction
-      const tx = {
-        to: this.layer1Contract.address,
-        data: txData,
-        value: deposit.tokenAddress === ethers.ZeroAddress ? deposit.amount : 0,
-        gasLimit: 200000
-      };
+      // A deposit sent back to pending by a reorg is picked up again here
+      if (deposit && deposit.status !== 'pending') {
+        return deposit;
+      }
 
-      deposit.layer1TxHash = '0x' + Math.random().toString(16).substring(2, 66);
-      deposit.status = 'confirmed';
-      deposit.proof = this.generateDepositProof(deposit);
+      deposit = deposit || Array.from(this.deposits.values())
+        .filter(d => d.status === 'awaiting_l1' &&
+          d.userAddress.toLowerCase() === event.userAddress.toLowerCase() &&
+          d.tokenAddress.toLowerCase() === event.tokenAddress.toLowerCase() &&
+          d.amount === event.amount)
+        .sort((a, b) => a.timestamp - b.timestamp)[0];
 
-      // Process deposit on Layer2
-      await this.processDepositOnLayer2(deposit);
+      const token = this.tokenRegistry.getToken(event.tokenAddress);
 
-      logger.info('Deposit submitted to Layer1', {
+      if (!deposit) {
+        deposit = {
+          id: this.generateDepositId(),
+          timestamp: Date.now(),
+          layer2TxHash: null,
+          proof: null,
+          options: {}
+        };
+        this.deposits.set(deposit.id, deposit);
+      }
+
+      Object.assign(deposit, event, {
+        layer2TokenAddress: token ? token.l2Address : null,
+        status: token ? 'confirming' : 'unsupported',
+        confirmations: 0
+      });
+      await this.persistDeposit(deposit);
+
+      this.addBridgeEvent(token ? 'deposit_detected' : 'deposit_unsupported_token', deposit);
+
+      logger.info('Layer1 deposit detected', {
         depositId: deposit.id,
+        layer1DepositId: deposit.layer1DepositId,
         layer1TxHash: deposit.layer1TxHash,
-        proof: deposit.proof
+        blockNumber: deposit.layer1BlockNumber
       });
+
+      return deposit;
     } catch (error) {
-      logger.logError(error, { operation: 'submitDepositToLayer1', depositId: deposit.id });
-      deposit.status = 'failed';
+      logger.logError(error, { operation: 'recordLayer1Deposit', layer1DepositId: event.layer1DepositId });
       throw error;
     }
   }
 
+  /**
+   * Send a deposit whose Layer1 block was reorganized away back to pending,
+   * taking back its L2 credit if it had already been applied
+   * @param {Object} deposit - Deposit object
+   */
+  async revertReorgedDeposit(deposit) {
+    try {
+      const reorgedBlock = {
+        layer1TxHash: deposit.layer1TxHash,
+        layer1BlockNumber: deposit.layer1BlockNumber,
+        layer1BlockHash: deposit.layer1BlockHash
+      };
+
+      if (deposit.status === 'completed') {
+        try {
+          await this.rollupManager.reverseDeposit(deposit);
+        } catch (error) {
+          // The credit was already spent on L2; don't credit it twice if the
+          // deposit reappears on the canonical chain
+          deposit.creditOutstanding = true;
+          this.addBridgeEvent('deposit_reversal_failed', { depositId: deposit.id, reason: error.code || error.message });
+          logger.logError(error, { operation: 'reverseDeposit', depositId: deposit.id });
+        }
+      }
+
+      Object.assign(deposit, {
+        status: 'pending',
+        confirmations: 0,
+        layer1TxHash: null,
+        layer1BlockNumber: null,
+        layer1BlockHash: null,
+        layer1LogIndex: null,
+        proof: null
+      });
+      await this.persistDeposit(deposit);
+
+      this.addBridgeEvent('deposit_reorged', { depositId: deposit.id, ...reorgedBlock });
+
+      logger.warn('Deposit reorganized away on Layer1', {
+        depositId: deposit.id,
+        ...reorgedBlock
+      });
+    } catch (error) {
+      logger.logError(error, { operation: 'revertReorgedDeposit', depositId: deposit.id });
+      throw error;
+    }
+  }
+
+  /**
+   * Update confirmation depth of detected deposits and credit those that
+   * have reached the required depth
+   * @param {number} head - Current Layer1 block number
+   * @param {number} requiredConfirmations - Confirmations needed before crediting
+   * @returns {Array} Deposits credited by this call
+   */
+  async confirmLayer1Deposits(head, requiredConfirmations) {
+    const credited = [];
+    const confirming = Array.from(this.deposits.values())
+      .filter(d => d.status === 'confirming')
+      .sort((a, b) => a.layer1BlockNumber - b.layer1BlockNumber || a.layer1LogIndex - b.layer1LogIndex);
+
+    for (const deposit of confirming) {
+      deposit.confirmations = Math.max(0, head - deposit.layer1BlockNumber + 1);
+
+      // While deposits are paused, confirmed deposits wait to be credited
+      if (deposit.confirmations < requiredConfirmations || this.pauseState.deposit) {
+        continue;
+      }
+
+      // The funds are already locked on Layer1, so a deposit over its cap
+      // waits for the window to move on instead of being refused
+      let reservation;
+      try {
+        reservation = this.rateLimiter.reserve('deposit', deposit.userAddress, this.tokenRegistry.requireToken(deposit.tokenAddress), deposit.amount);
+      } catch (error) {
+        if (error.code !== 'RATE_LIMITED') {
+          throw error;
+        }
+
+        deposit.rateLimitedUntil = error.details.resetAt;
+        await this.persistDeposit(deposit);
+        continue;
+      }
+
+      deposit.status = 'confirmed';
+      deposit.rateLimitedUntil = null;
+      deposit.proof = this.generateDepositProof(deposit);
+
+      try {
+        await this.processDepositOnLayer2(deposit);
+        credited.push(deposit);
+      } catch (error) {
+        // Already logged and marked failed; keep crediting the others
+        this.rateLimiter.release(reservation);
+      } finally {
+        await this.persistDeposit(deposit);
+      }
+    }
+
+    return credited;
+  }
+
   /**
    * Process deposit on Layer2
    * @param {Object} deposit - Deposit object
@@ -220,22 +464,31 @@ class CrossChainBridge {
         throw new Error('Invalid deposit proof');
       }
 
-      // Mint tokens on Layer2
-      const mintData = this.layer2Contract.interface.encodeFunctionData('mint', [
-        deposit.tokenAddress,
+      // Mint tokens on Layer2; encoding the call rejects malformed arguments
+      this.layer2Contract.interface.encodeFunctionData('mint', [
+        deposit.layer2TokenAddress,
         deposit.amount,
         deposit.proof
       ]);
 
       deposit.layer2TxHash = '0x' + Math.random().toString(16).substring(2, 66);
+
+      // Credit the minted amount to the user's L2 account, unless a credit
+      // that could not be reversed after a reorg is still standing
+      if (deposit.creditOutstanding) {
+        deposit.creditOutstanding = false;
+      } else {
+        await this.rollupManager.applyDeposit(deposit);
+      }
       deposit.status = 'completed';
+      deposit.creditedAt = Date.now();
 
       this.addBridgeEvent('deposit_completed', deposit);
 
       logger.info('Deposit processed on Layer2', {
         depositId: deposit.id,
         layer2TxHash: deposit.layer2TxHash,
-        amount: ethers.formatEther(deposit.amount)
+        amount: this.formatAmount(deposit.tokenAddress, deposit.amount)
       });
     } catch (error) {
       logger.logError(error, { operation: 'processDepositOnLayer2', depositId: deposit.id });
@@ -244,48 +497,126 @@ class CrossChainBridge {
     }
   }
 
+  /**
+   * Check that a withdrawal was signed by its owner and not submitted before.
+   * The owner signs the WITHDRAWAL_TYPES payload under the rollup's signing
+   * domain, with the amount in base units and the deadline in seconds.
+   * @param {string} userAddress - Owner of the Layer2 balance
+   * @param {Object} token - Registered token
+   * @param {bigint} amount - Amount in base units
+   * @param {Object} authorization - Owner authorization
+   * @param {number} authorization.deadline - Unix time after which the signature expires
+   * @param {string} authorization.signature - EIP-712 signature
+   * @returns {Object} Verified authorization with its digest
+   */
+  verifyWithdrawalAuthorization(userAddress, token, amount, authorization = {}) {
+    const { deadline, signature } = authorization;
+
+    if (!Number.isSafeInteger(deadline) || deadline * 1000 < Date.now()) {
+      throw new DefiRainError('WITHDRAWAL_AUTHORIZATION_EXPIRED', 'Withdrawal deadline is missing or has passed', {
+        deadline
+      });
+    }
+
+    const domain = this.rollupManager.getSigningDomain();
+    const payload = {
+      account: ethers.getAddress(userAddress),
+      token: token.l1Address,
+      amount,
+      deadline: BigInt(deadline)
+    };
+
+    let signer = null;
+    try {
+      signer = ethers.verifyTypedData(domain, WITHDRAWAL_TYPES, payload, signature);
+    } catch (error) {
+      signer = null;
+    }
+
+    if (!signer || signer !== payload.account) {
+      throw new DefiRainError('INVALID_SIGNATURE', 'Withdrawal is not signed by the account owner', {}, 403);
+    }
+
+    const digest = ethers.TypedDataEncoder.hash(domain, WITHDRAWAL_TYPES, payload);
+    if (this.usedWithdrawalAuthorizations.has(digest)) {
+      throw new DefiRainError('WITHDRAWAL_REPLAYED', 'Withdrawal authorization already used', { digest }, 409);
+    }
+
+    return { digest, deadline };
+  }
+
   /**
    * Withdraw tokens from Layer2 to Layer1
    * @param {string} userAddress - User address
    * @param {string} tokenAddress - Token address
    * @param {string} amount - Amount to withdraw
+   * @param {Object} authorization - Owner's signed deadline and signature
    * @param {Object} options - Additional options
    * @returns {Object} Withdrawal result
    */
-  async withdraw(userAddress, tokenAddress, amount, options = {}) {
+  async withdraw(userAddress, tokenAddress, amount, authorization, options = {}) {
     try {
-      const withdrawalAmount = ethers.parseEther(amount.toString());
+      this.assertNotPaused('withdraw');
+
+      if (!ethers.isAddress(userAddress)) {
+        throw new DefiRainError('INVALID_ADDRESS', 'User address is invalid');
+      }
+
+      const token = this.tokenRegistry.requireToken(tokenAddress);
+      const withdrawalAmount = this.tokenRegistry.parseAmount(token, amount);
+      const verified = this.verifyWithdrawalAuthorization(userAddress, token, withdrawalAmount, authorization);
       
       // Validate withdrawal amount
-      if (withdrawalAmount < this.minDepositAmount) {
-        throw new Error('Withdrawal amount too small');
+      this.tokenRegistry.checkLimits(token, withdrawalAmount, { enforceMaximum: false });
+
+      const available = this.rollupManager.stateManager.getBalance(userAddress, token.l1Address);
+      if (available < withdrawalAmount) {
+        throw new DefiRainError('INSUFFICIENT_BALANCE', `Insufficient ${token.symbol} balance on Layer2`, {
+          available: this.tokenRegistry.formatAmount(token, available),
+          requested: this.tokenRegistry.formatAmount(token, withdrawalAmount)
+        });
       }
 
+      const reservation = this.rateLimiter.reserve('withdrawal', userAddress, token, withdrawalAmount);
+
       const withdrawalId = this.generateWithdrawalId();
       const withdrawal = {
         id: withdrawalId,
         userAddress,
-        tokenAddress: tokenAddress || ethers.ZeroAddress,
+        tokenAddress: token.l1Address,
+        layer2TokenAddress: token.l2Address,
         amount: withdrawalAmount,
+        recipient: userAddress,
         status: 'pending',
         timestamp: Date.now(),
         unlockTime: Date.now() + (this.withdrawalDelay * 1000),
         layer2TxHash: null,
         layer1TxHash: null,
         proof: null,
+        authorization: verified,
         options
       };
 
+      this.usedWithdrawalAuthorizations.add(verified.digest);
       this.withdrawals.set(withdrawalId, withdrawal);
 
       // Burn tokens on Layer2
-      await this.burnTokensOnLayer2(withdrawal);
+      try {
+        await this.persistWithdrawal(withdrawal);
+        await this.burnTokensOnLayer2(withdrawal);
+      } catch (error) {
+        this.rateLimiter.release(reservation);
+        throw error;
+      } finally {
+        await this.persistWithdrawal(withdrawal);
+      }
+      await this.rateLimiter.checkOutflow(token, Date.now());
 
       logger.info('Withdrawal initiated', {
         withdrawalId,
         userAddress,
         tokenAddress: withdrawal.tokenAddress,
-        amount: ethers.formatEther(withdrawalAmount),
+        amount: this.tokenRegistry.formatAmount(token, withdrawalAmount),
         unlockTime: new Date(withdrawal.unlockTime).toISOString()
       });
 
@@ -307,21 +638,24 @@ class CrossChainBridge {
    */
   async burnTokensOnLayer2(withdrawal) {
     try {
-      const burnData = this.layer2Contract.interface.encodeFunctionData('burn', [
-        withdrawal.tokenAddress,
+      // Encoding the call rejects malformed arguments before anything is debited
+      this.layer2Contract.interface.encodeFunctionData('burn', [
+        withdrawal.layer2TokenAddress,
         withdrawal.amount
       ]);
 
+      // Debit the burned amount from the user's L2 account
+      await this.rollupManager.applyWithdrawal(withdrawal);
+
       withdrawal.layer2TxHash = '0x' + Math.random().toString(16).substring(2, 66);
       withdrawal.status = 'burned';
-      withdrawal.proof = this.generateWithdrawalProof(withdrawal);
 
       this.addBridgeEvent('withdrawal_initiated', withdrawal);
 
       logger.info('Tokens burned on Layer2', {
         withdrawalId: withdrawal.id,
         layer2TxHash: withdrawal.layer2TxHash,
-        amount: ethers.formatEther(withdrawal.amount)
+        amount: this.formatAmount(withdrawal.tokenAddress, withdrawal.amount)
       });
     } catch (error) {
       logger.logError(error, { operation: 'burnTokensOnLayer2', withdrawalId: withdrawal.id });
@@ -330,12 +664,35 @@ class CrossChainBridge {
     }
   }
 
+  /**
+   * Get the Merkle proof that a withdrawal is committed by its batch
+   * @param {string} withdrawalId - Withdrawal ID
+   * @returns {Object} Leaf, sibling path and batch withdrawal root
+   */
+  getWithdrawalProof(withdrawalId) {
+    const withdrawal = this.withdrawals.get(withdrawalId);
+    if (!withdrawal) {
+      throw new DefiRainError('WITHDRAWAL_NOT_FOUND', 'Withdrawal not found', {}, 404);
+    }
+
+    const proof = this.rollupManager.getWithdrawalProof(withdrawalId);
+    if (!proof) {
+      throw new DefiRainError('WITHDRAWAL_NOT_BATCHED', 'Withdrawal is not included in a batch yet', {
+        status: withdrawal.status
+      }, 409);
+    }
+
+    return proof;
+  }
+
   /**
    * Complete withdrawal on Layer1
    * @param {string} withdrawalId - Withdrawal ID
+   * @param {Array} proof - Sibling path of the withdrawal leaf; built from the
+   * batch when omitted
    * @returns {Object} Completion result
    */
-  async completeWithdrawal(withdrawalId) {
+  async completeWithdrawal(withdrawalId, proof = null) {
     try {
       const withdrawal = this.withdrawals.get(withdrawalId);
       if (!withdrawal) {
@@ -350,33 +707,64 @@ class CrossChainBridge {
         throw new Error('Withdrawal still in delay period');
       }
 
-      // Verify withdrawal proof
-      const isValidProof = await this.verifyWithdrawalProof(withdrawal.proof);
+      this.assertNotPaused('complete');
+
+      // Only a burn committed by a finalized batch can no longer be rolled back
+      const batch = this.rollupManager.getBridgeOperationBatch(withdrawal.id);
+      if (!batch || batch.status !== 'finalized') {
+        throw new DefiRainError('WITHDRAWAL_NOT_FINALIZED', 'Withdrawal is not included in a finalized batch', {
+          batchId: batch ? batch.id : null,
+          batchStatus: batch ? batch.status : null
+        });
+      }
+      withdrawal.batchId = batch.id;
+
+      // Verify the withdrawal leaf against the finalized batch root
+      const inclusion = this.rollupManager.getWithdrawalProof(withdrawal.id);
+      const path = proof || inclusion.proof;
+      const isValidProof = await this.verifyWithdrawalProof(withdrawal, path, batch);
       if (!isValidProof) {
-        throw new Error('Invalid withdrawal proof');
+        throw new DefiRainError('INVALID_WITHDRAWAL_PROOF', 'Withdrawal proof does not match the batch withdrawal root', {
+          withdrawalRoot: batch.withdrawalRoot
+        });
       }
 
-      // Submit withdrawal to Layer1
-      const withdrawData = this.layer1Contract.interface.encodeFunctionData('withdraw', [
-        withdrawal.proof,
+      withdrawal.proof = {
+        leaf: inclusion.leaf,
+        proof: path,
+        withdrawalRoot: batch.withdrawalRoot
+      };
+
+      // The Layer1 bridge pays a leaf assigned to a liquidity provider to that
+      // provider; encoding the call rejects malformed arguments
+      const recipient = withdrawal.fastWithdrawal
+        ? withdrawal.fastWithdrawal.assignment.recipient
+        : withdrawal.userAddress;
+      withdrawal.layer1Calldata = this.layer1Contract.interface.encodeFunctionData('withdraw', [
+        withdrawal.proof.leaf,
+        recipient,
         withdrawal.tokenAddress,
         withdrawal.amount
       ]);
+      withdrawal.recipient = recipient;
 
       withdrawal.layer1TxHash = '0x' + Math.random().toString(16).substring(2, 66);
       withdrawal.status = 'completed';
+      await this.persistWithdrawal(withdrawal);
 
       this.addBridgeEvent('withdrawal_completed', withdrawal);
 
       logger.info('Withdrawal completed on Layer1', {
         withdrawalId: withdrawal.id,
+        recipient: withdrawal.recipient,
         layer1TxHash: withdrawal.layer1TxHash,
-        amount: ethers.formatEther(withdrawal.amount)
+        amount: this.formatAmount(withdrawal.tokenAddress, withdrawal.amount)
       });
 
       return {
         withdrawalId,
         status: 'completed',
+        recipient: withdrawal.recipient,
         layer1TxHash: withdrawal.layer1TxHash
       };
     } catch (error) {
@@ -385,6 +773,190 @@ class CrossChainBridge {
     }
   }
 
+  /**
+   * Resolve the operations a pause request targets
+   * @param {Array|string} operations - Operation names, or 'all'
+   * @returns {Array} Operation names
+   */
+  normalizeOperations(operations) {
+    if (!operations || operations === 'all') {
+      return [...PAUSABLE_OPERATIONS];
+    }
+
+    const list = Array.isArray(operations) ? operations : [operations];
+    const unknown = list.filter(operation => !PAUSABLE_OPERATIONS.includes(operation));
+
+    if (list.length === 0 || unknown.length > 0) {
+      throw new DefiRainError('INVALID_PAUSE_OPERATION', 'Unknown bridge operation', {
+        operations: unknown,
+        allowed: PAUSABLE_OPERATIONS
+      });
+    }
+
+    return [...new Set(list)];
+  }
+
+  /**
+   * Check whether an address is a bridge guardian
+   * @param {string} address - Address to check
+   * @returns {boolean} True if the address may pause the bridge
+   */
+  isGuardian(address) {
+    return typeof address === 'string' && this.guardians.includes(address.toLowerCase());
+  }
+
+  /**
+   * Pause bridge operations on a guardian's signed request. The guardian
+   * signs "Defi-Rain pause <operations> <timestamp>" with the operations
+   * comma separated.
+   * @param {string} guardian - Guardian address
+   * @param {Array|string} operations - Operations to pause, or 'all'
+   * @param {string} reason - Why the bridge is paused
+   * @param {number} timestamp - Request time in milliseconds
+   * @param {string} signature - Guardian signature
+   * @returns {Object} Pause state
+   */
+  async pause(guardian, operations, reason, timestamp, signature) {
+    try {
+      const targets = this.normalizeOperations(operations);
+
+      if (!this.isGuardian(guardian)) {
+        throw new DefiRainError('UNAUTHORIZED_GUARDIAN', 'Address is not a bridge guardian', {}, 403);
+      }
+
+      if (!Number.isFinite(timestamp) || Math.abs(Date.now() - timestamp) > config.bridge.pauseRequestTtl) {
+        throw new DefiRainError('PAUSE_REQUEST_EXPIRED', 'Pause request timestamp is too old or in the future', {
+          maxAge: config.bridge.pauseRequestTtl
+        });
+      }
+
+      const signer = this.recoverMessageSigner(`Defi-Rain pause ${targets.join(',')} ${timestamp}`, signature);
+      if (!signer || signer.toLowerCase() !== guardian.toLowerCase()) {
+        throw new DefiRainError('INVALID_SIGNATURE', 'Pause request is not signed by the guardian', {}, 403);
+      }
+
+      return await this.applyPause(targets, ethers.getAddress(guardian), reason);
+    } catch (error) {
+      logger.logError(error, { operation: 'pause', guardian });
+      throw error;
+    }
+  }
+
+  /**
+   * Recover the address that signed a personal message
+   * @param {string} message - Signed message
+   * @param {string} signature - Signature
+   * @returns {string|null} Signer address, or null if the signature is malformed
+   */
+  recoverMessageSigner(message, signature) {
+    try {
+      return ethers.verifyMessage(message, signature);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Mark operations paused and record who paused them
+   * @param {Array} operations - Operations to pause
+   * @param {string} pausedBy - Guardian address or internal trigger
+   * @param {string} reason - Why the bridge is paused
+   * @returns {Object} Pause state
+   */
+  async applyPause(operations, pausedBy, reason) {
+    const paused = operations.filter(operation => !this.pauseState[operation]);
+    const pausedAt = Date.now();
+
+    for (const operation of paused) {
+      this.pauseState[operation] = { pausedAt, pausedBy, reason: reason || null };
+    }
+
+    if (paused.length > 0) {
+      await this.storage.setValue(PAUSE_KEY, this.pauseState);
+      this.addBridgeEvent('bridge_paused', { operations: paused, pausedBy, reason: reason || null });
+
+      logger.warn('Bridge paused', { operations: paused, pausedBy, reason });
+    }
+
+    return this.getPauseState();
+  }
+
+  /**
+   * Resume paused operations. Only reached through an executed governance
+   * proposal; there is deliberately no API route for it.
+   * @param {Array|string} operations - Operations to resume, or 'all'
+   * @param {string} proposalId - Executed proposal authorizing the unpause
+   * @returns {Object} Pause state
+   */
+  async unpause(operations, proposalId) {
+    try {
+      const targets = this.normalizeOperations(operations);
+      const resumed = targets.filter(operation => this.pauseState[operation]);
+
+      for (const operation of resumed) {
+        this.pauseState[operation] = null;
+      }
+
+      if (resumed.length > 0) {
+        await this.storage.setValue(PAUSE_KEY, this.pauseState);
+        this.addBridgeEvent('bridge_unpaused', { operations: resumed, proposalId });
+
+        logger.info('Bridge unpaused', { operations: resumed, proposalId });
+      }
+
+      if (!this.pauseState.withdraw && this.rateLimiter.circuitBreaker.tripped) {
+        await this.rateLimiter.resetCircuitBreaker();
+      }
+
+      return this.getPauseState();
+    } catch (error) {
+      logger.logError(error, { operation: 'unpause', proposalId });
+      throw error;
+    }
+  }
+
+  /**
+   * Reject an operation while it is paused
+   * @param {string} operation - Operation name
+   */
+  assertNotPaused(operation) {
+    const pause = this.pauseState[operation];
+
+    if (pause) {
+      throw new DefiRainError('BRIDGE_PAUSED', `Bridge ${operation} is paused`, {
+        operation,
+        pausedAt: pause.pausedAt,
+        reason: pause.reason
+      }, 503);
+    }
+  }
+
+  /**
+   * Get the paused state of every bridge operation
+   * @returns {Object} Pause state
+   */
+  getPauseState() {
+    const state = { paused: false, operations: {} };
+
+    for (const operation of PAUSABLE_OPERATIONS) {
+      state.operations[operation] = this.pauseState[operation] || null;
+      state.paused = state.paused || Boolean(this.pauseState[operation]);
+    }
+
+    return state;
+  }
+
+  /**
+   * Format a token amount for logs
+   * @param {string} tokenAddress - Layer1 token address
+   * @param {bigint} amount - Amount in base units
+   * @returns {string} Decimal amount, or base units for unknown tokens
+   */
+  formatAmount(tokenAddress, amount) {
+    const token = this.tokenRegistry.getToken(tokenAddress);
+    return token ? this.tokenRegistry.formatAmount(token, amount) : amount.toString();
+  }
+
   /**
    * Generate deposit proof
    * @param {Object} deposit - Deposit object
@@ -402,23 +974,6 @@ class CrossChainBridge {
     return ethers.keccak256(ethers.toUtf8Bytes(JSON.stringify(proofData)));
   }
 
-  /**
-   * Generate withdrawal proof
-   * @param {Object} withdrawal - Withdrawal object
-   * @returns {string} Withdrawal proof
-   */
-  generateWithdrawalProof(withdrawal) {
-    const proofData = {
-      withdrawalId: withdrawal.id,
-      userAddress: withdrawal.userAddress,
-      tokenAddress: withdrawal.tokenAddress,
-      amount: withdrawal.amount.toString(),
-      timestamp: withdrawal.timestamp
-    };
-    
-    return ethers.keccak256(ethers.toUtf8Bytes(JSON.stringify(proofData)));
-  }
-
   /**
    * Verify deposit proof
    * @param {string} proof - Proof to verify
@@ -434,15 +989,30 @@ class CrossChainBridge {
     }
   }
 
+  /**
+   * Describe a withdrawal as the operation its batch commits to
+   * @param {Object} withdrawal - Withdrawal object
+   * @returns {Object} Withdrawal as { id, account, token, amount }
+   */
+  toWithdrawalOperation(withdrawal) {
+    return {
+      id: withdrawal.id,
+      account: ethers.getAddress(withdrawal.userAddress),
+      token: withdrawal.tokenAddress,
+      amount: withdrawal.amount.toString()
+    };
+  }
+
   /**
    * Verify withdrawal proof
-   * @param {string} proof - Proof to verify
+   * @param {Object} withdrawal - Withdrawal object
+   * @param {Array} proof - Sibling path of the withdrawal leaf
+   * @param {Object} batch - Batch that committed the withdrawal
    * @returns {boolean} Verification result
    */
-  async verifyWithdrawalProof(proof) {
+  async verifyWithdrawalProof(withdrawal, proof, batch) {
     try {
-      // In a real implementation, this would verify against the contract
-      return proof && proof.length === 66;
+      return this.rollupManager.verifyWithdrawalProof(batch, this.toWithdrawalOperation(withdrawal), proof);
     } catch (error) {
       logger.logError(error, { operation: 'verifyWithdrawalProof' });
       return false;
@@ -502,7 +1072,12 @@ class CrossChainBridge {
       completedWithdrawals,
       pendingDeposits: totalDeposits - completedDeposits,
       pendingWithdrawals: totalWithdrawals - completedWithdrawals,
-      bridgeAddress: this.bridgeAddress
+      bridgeAddress: this.bridgeAddress,
+      pause: this.getPauseState(),
+      rateLimits: this.rateLimiter.getStatus(),
+      fastWithdrawals: this.fastWithdrawals.getStats(),
+      depositWatcher: this.depositWatcher.getStatus(),
+      reorgMonitor: this.reorgMonitor.getStatus()
     };
   }
 
@@ -535,3 +1110,4 @@ class CrossChainBridge {
 }
 
 module.exports = CrossChainBridge;
+module.exports.WITHDRAWAL_TYPES = WITHDRAWAL_TYPES;
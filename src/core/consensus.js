@@ -1,8 +1,20 @@
 const logger = require('../utils/logger');
-const config = require('../config/config');
+const { DefiRainError } = require('../utils/errors');
+const { MemoryStorage } = require('../storage');
+
+const PROPOSAL_TYPES = ['parameter_change', 'upgrade', 'funding', 'emergency'];
 
 class ConsensusManager {
-  constructor() {
+  /**
+   * @param {Object} options - Consensus dependencies
+   * @param {Object} options.storage - Storage backend for proposals and votes
+   * @param {CrossChainBridge} options.bridge - Bridge controlled by emergency proposals
+   * @param {ValidatorManager} options.validatorManager - Source of validators' stake-weighted votes
+   */
+  constructor(options = {}) {
+    this.storage = options.storage || new MemoryStorage();
+    this.bridge = options.bridge || null;
+    this.validatorManager = options.validatorManager || null;
     this.proposals = new Map();
     this.votes = new Map();
     this.proposalCounter = 0;
@@ -10,6 +22,53 @@ class ConsensusManager {
     this.votingPeriod = 7 * 24 * 60 * 60 * 1000; // 7 days in milliseconds
   }
 
+  /**
+   * Initialize the consensus manager
+   */
+  async initialize() {
+    try {
+      await this.loadProposals();
+
+      logger.info('ConsensusManager initialized successfully', {
+        totalProposals: this.proposals.size
+      });
+    } catch (error) {
+      logger.logError(error, { operation: 'initialize' });
+      throw error;
+    }
+  }
+
+  /**
+   * Load proposals and votes from storage
+   */
+  async loadProposals() {
+    for (const proposal of await this.storage.load('proposals')) {
+      this.proposals.set(proposal.id, proposal);
+      this.votes.set(proposal.id, new Map());
+    }
+
+    for (const voteRecord of await this.storage.load('votes')) {
+      if (this.votes.has(voteRecord.proposalId)) {
+        this.votes.get(voteRecord.proposalId).set(voteRecord.voter, voteRecord);
+      }
+    }
+
+    this.proposalCounter = this.proposals.size;
+  }
+
+  /**
+   * Persist a proposal record
+   * @param {Object} proposal - Proposal object
+   */
+  async persistProposal(proposal) {
+    try {
+      await this.storage.save('proposals', proposal.id, proposal);
+    } catch (error) {
+      logger.logError(error, { operation: 'persistProposal', proposalId: proposal.id });
+      throw error;
+    }
+  }
+
   /**
    * Create a new governance proposal
    * @param {string} proposer - Proposer address
@@ -20,6 +79,12 @@ class ConsensusManager {
    */
   async createProposal(proposer, title, description, type, parameters = {}) {
     try {
+      if (!PROPOSAL_TYPES.includes(type)) {
+        throw new DefiRainError('INVALID_PROPOSAL_TYPE', 'Unknown proposal type', {
+          types: PROPOSAL_TYPES
+        });
+      }
+
       const proposalId = this.generateProposalId();
       const proposal = {
         id: proposalId,
@@ -43,6 +108,7 @@ class ConsensusManager {
       this.proposals.set(proposalId, proposal);
       this.votes.set(proposalId, new Map());
       this.proposalCounter++;
+      await this.persistProposal(proposal);
 
       logger.info('Governance proposal created', {
         proposalId,
@@ -63,33 +129,38 @@ class ConsensusManager {
    * @param {string} proposalId - Proposal ID
    * @param {string} voter - Voter address
    * @param {string} vote - Vote choice (for, against, abstain)
-   * @param {number} weight - Vote weight
+   * @param {number} weight - Vote weight; an active validator votes with its effective stake
    */
   async vote(proposalId, voter, vote, weight = 1) {
     try {
       if (!this.proposals.has(proposalId)) {
-        throw new Error('Proposal not found');
+        throw new DefiRainError('PROPOSAL_NOT_FOUND', 'Proposal not found', {}, 404);
       }
 
       const proposal = this.proposals.get(proposalId);
       
       if (proposal.status !== 'active') {
-        throw new Error('Proposal is not active');
+        throw new DefiRainError('PROPOSAL_NOT_ACTIVE', `Proposal is ${proposal.status}`, {}, 409);
       }
 
       if (Date.now() > proposal.votingEndsAt) {
-        throw new Error('Voting period has ended');
+        throw new DefiRainError('VOTING_ENDED', 'Voting period has ended', {}, 409);
       }
 
       if (proposal.voters.has(voter)) {
-        throw new Error('Already voted on this proposal');
+        throw new DefiRainError('ALREADY_VOTED', 'Already voted on this proposal', {}, 409);
       }
 
       if (!['for', 'against', 'abstain'].includes(vote)) {
-        throw new Error('Invalid vote choice');
+        throw new DefiRainError('INVALID_VOTE', 'Vote must be for, against or abstain');
+      }
+
+      if (this.validatorManager && this.validatorManager.isValidator(voter)) {
+        weight = this.validatorManager.getVotingWeight(voter);
       }
 
       const voteRecord = {
+        proposalId,
         voter,
         vote,
         weight,
@@ -101,6 +172,10 @@ class ConsensusManager {
       proposal.totalVotes += weight;
       proposal.voters.add(voter);
 
+      await this.storage.save('votes', `${proposalId}:${voter}`, voteRecord);
+      await this.persistProposal(proposal);
+      await this.checkProposalPassed(proposalId);
+
       logger.info('Vote cast on proposal', {
         proposalId,
         voter,
@@ -122,13 +197,13 @@ class ConsensusManager {
   async executeProposal(proposalId) {
     try {
       if (!this.proposals.has(proposalId)) {
-        throw new Error('Proposal not found');
+        throw new DefiRainError('PROPOSAL_NOT_FOUND', 'Proposal not found', {}, 404);
       }
 
       const proposal = this.proposals.get(proposalId);
       
-      if (proposal.status !== 'passed') {
-        throw new Error('Proposal has not passed');
+      if (!(await this.checkProposalPassed(proposalId))) {
+        throw new DefiRainError('PROPOSAL_NOT_PASSED', `Proposal is ${proposal.status}`, {}, 409);
       }
 
       // Execute proposal based on type
@@ -136,6 +211,7 @@ class ConsensusManager {
       
       proposal.status = 'executed';
       proposal.executedAt = Date.now();
+      await this.persistProposal(proposal);
 
       logger.info('Proposal executed successfully', {
         proposalId,
@@ -226,6 +302,21 @@ class ConsensusManager {
    * @returns {Object} Execution result
    */
   async executeEmergency(proposal) {
+    if (proposal.parameters.action === 'unpause_bridge') {
+      if (!this.bridge) {
+        throw new Error('Bridge not connected to governance');
+      }
+
+      const pause = await this.bridge.unpause(proposal.parameters.operations, proposal.id);
+
+      logger.info('Emergency proposal unpaused the bridge', {
+        proposalId: proposal.id,
+        operations: proposal.parameters.operations || 'all'
+      });
+
+      return { success: true, type: 'emergency', action: 'unpause_bridge', pause };
+    }
+
     // Mock implementation
     logger.info('Emergency proposal executed', {
       proposalId: proposal.id,
@@ -236,11 +327,29 @@ class ConsensusManager {
   }
 
   /**
-   * Check if proposal has passed
+   * Get the vote weight a proposal is measured against. With active
+   * validators this is their combined voting weight, so a handful of small
+   * votes cannot carry a proposal on their own.
+   * @param {Object} proposal - Proposal object
+   * @returns {number} Total weight
+   */
+  getQuorumWeight(proposal) {
+    if (!this.validatorManager) {
+      return proposal.totalVotes;
+    }
+
+    const validatorWeight = this.validatorManager.getActiveValidators()
+      .reduce((sum, validator) => sum + this.validatorManager.getVotingWeight(validator.address), 0);
+
+    return validatorWeight > 0 ? Math.max(validatorWeight, proposal.totalVotes) : proposal.totalVotes;
+  }
+
+  /**
+   * Check if proposal has passed, and persist the status once it has
    * @param {string} proposalId - Proposal ID
    * @returns {boolean} True if passed
    */
-  checkProposalPassed(proposalId) {
+  async checkProposalPassed(proposalId) {
     try {
       if (!this.proposals.has(proposalId)) {
         return false;
@@ -252,7 +361,7 @@ class ConsensusManager {
         return proposal.status === 'passed';
       }
 
-      const totalVotes = proposal.totalVotes;
+      const totalVotes = this.getQuorumWeight(proposal);
       const forVotes = proposal.votes.for;
       const againstVotes = proposal.votes.against;
 
@@ -265,6 +374,9 @@ class ConsensusManager {
 
       if (passed) {
         proposal.status = 'passed';
+        proposal.passedAt = Date.now();
+        await this.persistProposal(proposal);
+
         logger.info('Proposal passed', {
           proposalId,
           forVotes,
@@ -289,6 +401,18 @@ class ConsensusManager {
     return this.proposals.get(proposalId) || null;
   }
 
+  /**
+   * Describe a proposal for API responses
+   * @param {Object} proposal - Proposal object
+   * @returns {Object} Proposal with its voters as an array
+   */
+  describeProposal(proposal) {
+    return {
+      ...proposal,
+      voters: Array.from(proposal.voters)
+    };
+  }
+
   /**
    * Get all proposals
    * @returns {Array} Array of proposals
@@ -347,4 +471,4 @@ class ConsensusManager {
   }
 }
 
-module.exports = ConsensusManager;
\ No newline at end of file
+module.exports = ConsensusManager;
@@ -0,0 +1,146 @@
+const logger = require('../utils/logger');
+const config = require('../config/config');
+
+// Largest base fee change per batch is 1/8, as in EIP-1559
+const BASE_FEE_CHANGE_DENOMINATOR = 8n;
+
+class FeeMarket {
+  constructor() {
+    this.baseFee = BigInt(config.rollup.fees.initialBaseFee);
+    this.minBaseFee = BigInt(config.rollup.fees.minBaseFee);
+    this.defaultPriorityFee = BigInt(config.rollup.fees.defaultPriorityFee);
+    this.targetGas = BigInt(Math.floor(config.rollup.maxGasPerBatch / 2));
+    this.recentTips = [];
+    this.maxRecentTips = 500;
+  }
+
+  /**
+   * Get the tip a transaction pays above the base fee
+   * @param {Object} transaction - Transaction with fee caps
+   * @param {bigint} baseFee - Base fee to price against
+   * @returns {bigint|null} Effective tip, or null if the fee cap is below the base fee
+   */
+  getEffectiveTip(transaction, baseFee = this.baseFee) {
+    const maxFeePerGas = BigInt(transaction.maxFeePerGas);
+    const maxPriorityFeePerGas = BigInt(transaction.maxPriorityFeePerGas);
+
+    if (maxFeePerGas < baseFee) {
+      return null;
+    }
+
+    const headroom = maxFeePerGas - baseFee;
+    return maxPriorityFeePerGas < headroom ? maxPriorityFeePerGas : headroom;
+  }
+
+  /**
+   * Move the base fee toward the gas target after a batch
+   * @param {number} gasUsed - Gas used by the sealed batch
+   * @returns {bigint} New base fee
+   */
+  updateBaseFee(gasUsed) {
+    const previous = this.baseFee;
+    this.baseFee = this.calculateNextBaseFee(gasUsed);
+
+    logger.debug('Base fee updated', {
+      gasUsed,
+      previousBaseFee: previous.toString(),
+      baseFee: this.baseFee.toString()
+    });
+
+    return this.baseFee;
+  }
+
+  /**
+   * Calculate the base fee that follows a batch using the given gas
+   * @param {number} gasUsed - Gas used by the batch
+   * @returns {bigint} Next base fee
+   */
+  calculateNextBaseFee(gasUsed) {
+    const used = BigInt(gasUsed);
+
+    if (this.targetGas === 0n || used === this.targetGas) {
+      return this.baseFee;
+    }
+
+    let next;
+    if (used > this.targetGas) {
+      const delta = this.baseFee * (used - this.targetGas) / this.targetGas / BASE_FEE_CHANGE_DENOMINATOR;
+      next = this.baseFee + (delta > 0n ? delta : 1n);
+    } else {
+      const delta = this.baseFee * (this.targetGas - used) / this.targetGas / BASE_FEE_CHANGE_DENOMINATOR;
+      next = this.baseFee - delta;
+    }
+
+    return next < this.minBaseFee ? this.minBaseFee : next;
+  }
+
+  /**
+   * Remember tips paid by included transactions for fee suggestions
+   * @param {Array} tips - Effective tips of a sealed batch
+   */
+  recordTips(tips) {
+    this.recentTips.push(...tips);
+
+    if (this.recentTips.length > this.maxRecentTips) {
+      this.recentTips = this.recentTips.slice(-this.maxRecentTips);
+    }
+  }
+
+  /**
+   * Get a priority fee percentile from recent batches
+   * @param {number} percentile - Percentile between 0 and 100
+   * @returns {bigint} Suggested priority fee
+   */
+  getTipPercentile(percentile) {
+    if (this.recentTips.length === 0) {
+      return this.defaultPriorityFee;
+    }
+
+    const sorted = [...this.recentTips].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+    const index = Math.min(sorted.length - 1, Math.floor(sorted.length * percentile / 100));
+
+    return sorted[index];
+  }
+
+  /**
+   * Quote fees for a transaction using the given gas
+   * @param {number} gas - Estimated gas
+   * @returns {Object} Fee estimate
+   */
+  estimate(gas) {
+    const quote = (priorityFee) => {
+      // Leave room for the base fee to rise for a couple of batches
+      const maxFeePerGas = this.baseFee * 2n + priorityFee;
+      return {
+        maxPriorityFeePerGas: priorityFee.toString(),
+        maxFeePerGas: maxFeePerGas.toString(),
+        expectedCost: (BigInt(gas) * (this.baseFee + priorityFee)).toString(),
+        maxCost: (BigInt(gas) * maxFeePerGas).toString()
+      };
+    };
+
+    return {
+      gas,
+      baseFee: this.baseFee.toString(),
+      slow: quote(this.getTipPercentile(25)),
+      standard: quote(this.getTipPercentile(50)),
+      fast: quote(this.getTipPercentile(90))
+    };
+  }
+
+  /**
+   * Get fee market statistics
+   * @param {number} pendingGas - Gas waiting in the pending pool
+   * @returns {Object} Statistics
+   */
+  getStats(pendingGas = 0) {
+    return {
+      baseFee: this.baseFee.toString(),
+      nextBaseFee: this.calculateNextBaseFee(Math.min(pendingGas, Number(this.targetGas) * 2)).toString(),
+      minBaseFee: this.minBaseFee.toString(),
+      targetGasPerBatch: this.targetGas.toString()
+    };
+  }
+}
+
+module.exports = FeeMarket;
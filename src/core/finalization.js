@@ -0,0 +1,69 @@
+const logger = require('../utils/logger');
+const config = require('../config/config');
+
+class FinalizationTracker {
+  /**
+   * @param {RollupManager} rollupManager - Rollup whose batches are finalized
+   */
+  constructor(rollupManager) {
+    this.rollupManager = rollupManager;
+    this.interval = config.rollup.finalizationInterval;
+    this.timer = null;
+  }
+
+  /**
+   * Start checking for batches whose challenge window has passed
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.checkFinalization().catch(error => {
+        logger.logError(error, { operation: 'checkFinalization' });
+      });
+    }, this.interval);
+
+    logger.info('Finalization tracker started', { interval: this.interval });
+  }
+
+  /**
+   * Stop the finalization checks
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info('Finalization tracker stopped');
+    }
+  }
+
+  /**
+   * Finalize batches in order, stopping at the first one still open to
+   * dispute so a finalized batch never sits on top of an unfinalized one
+   * @returns {Array} Batches finalized by this check
+   */
+  async checkFinalization() {
+    const now = Date.now();
+    const finalized = [];
+    const batches = this.rollupManager.getAllBatches().sort((a, b) => a.index - b.index);
+
+    for (const batch of batches) {
+      if (['finalized', 'reverted'].includes(batch.status)) {
+        continue;
+      }
+
+      if (batch.status !== 'submitted' || now < batch.challengeDeadline) {
+        break;
+      }
+
+      await this.rollupManager.finalizeBatch(batch);
+      finalized.push(batch);
+    }
+
+    return finalized;
+  }
+}
+
+module.exports = FinalizationTracker;
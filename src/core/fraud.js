@@ -0,0 +1,117 @@
+const { ethers } = require('ethers');
+const MerkleTree = require('../utils/merkle');
+const StateManager = require('./state');
+const logger = require('../utils/logger');
+const { DefiRainError } = require('../utils/errors');
+
+class FraudProofVerifier {
+  /**
+   * @param {RollupManager} rollupManager - Rollup providing hashing and fee rules
+   */
+  constructor(rollupManager) {
+    this.rollupManager = rollupManager;
+    this.merkleTree = new MerkleTree();
+  }
+
+  /**
+   * Check that a transaction is committed at an index of a batch
+   * @param {Object} batch - Batch object
+   * @param {string} transactionHash - Hash of the disputed transaction
+   * @param {Array} proof - Merkle proof path
+   * @returns {boolean} Verification result
+   */
+  verifyInclusion(batch, transactionHash, proof) {
+    if (!Array.isArray(proof) || batch.transactions.length === 0) {
+      return false;
+    }
+
+    const leaf = this.merkleTree.hashLeaf(transactionHash);
+    return this.merkleTree.verifyProof(leaf, proof, batch.merkleRoot.slice(2));
+  }
+
+  /**
+   * Rebuild the state a transaction of a batch executed against
+   * @param {Object} batch - Batch object
+   * @param {Object} preSnapshot - State snapshot before the batch
+   * @param {number} transactionIndex - Disputed transaction index
+   * @returns {StateManager} Pre-state of the disputed transaction
+   */
+  buildPreState(batch, preSnapshot, transactionIndex) {
+    const state = new StateManager();
+    state.restore(preSnapshot);
+
+    for (const operation of batch.bridgeOperations) {
+      state.applyOperation(operation);
+    }
+
+    for (const transaction of batch.transactions.slice(0, transactionIndex)) {
+      this.applyTransaction(state, batch, transaction);
+    }
+
+    return state;
+  }
+
+  /**
+   * Apply a batched transaction using the fee rules of its batch
+   * @param {StateManager} state - State to mutate
+   * @param {Object} batch - Batch object
+   * @param {Object} transaction - Transaction to apply
+   */
+  applyTransaction(state, batch, transaction) {
+    const baseFee = BigInt(batch.baseFee);
+    const tip = this.rollupManager.feeMarket.getEffectiveTip(transaction, baseFee);
+
+    if (tip === null) {
+      throw new DefiRainError('FEE_CAP_BELOW_BASE_FEE', 'Transaction fee cap is below the batch base fee');
+    }
+
+    const gas = this.rollupManager.estimateTransactionGas(transaction);
+    state.applyTransaction({ ...transaction, sender: this.rollupManager.recoverSender(transaction) }, {
+      fee: BigInt(gas) * (baseFee + tip),
+      reward: BigInt(gas) * tip,
+      feeRecipient: batch.sequencerAddress || ethers.ZeroAddress
+    });
+  }
+
+  /**
+   * Re-execute a disputed transaction against its pre-state. The batch's own
+   * record is replayed, since its signature was checked on admission.
+   * @param {Object} batch - Challenged batch
+   * @param {Object} preSnapshot - State snapshot before the batch
+   * @param {number} transactionIndex - Disputed transaction index
+   * @returns {Object} Verdict with fraudulent flag and reason
+   */
+  verify(batch, preSnapshot, transactionIndex) {
+    const committed = batch.transactions[transactionIndex];
+    const state = this.buildPreState(batch, preSnapshot, transactionIndex);
+
+    try {
+      this.applyTransaction(state, batch, committed);
+    } catch (error) {
+      if (!(error instanceof DefiRainError)) {
+        throw error;
+      }
+
+      return { fraudulent: true, reason: error.code };
+    }
+
+    const computedRoot = state.computeRoot();
+    const fraudulent = computedRoot !== committed.postStateRoot;
+
+    logger.info('Disputed transaction re-executed', {
+      batchId: batch.id,
+      transactionIndex,
+      computedRoot,
+      committedRoot: committed.postStateRoot,
+      fraudulent
+    });
+
+    return {
+      fraudulent,
+      reason: fraudulent ? 'STATE_ROOT_MISMATCH' : null,
+      computedRoot
+    };
+  }
+}
+
+module.exports = FraudProofVerifier;
@@ -0,0 +1,288 @@
+const logger = require('../utils/logger');
+const config = require('../config/config');
+const { DefiRainError } = require('../utils/errors');
+
+// Window over which withdrawals are summed for the outflow circuit breaker
+const OUTFLOW_WINDOW = 60 * 60 * 1000;
+
+const BREAKER_KEY = 'bridge_circuit_breaker';
+
+class BridgeRateLimiter {
+  /**
+   * @param {CrossChainBridge} bridge - Bridge whose operations are limited
+   */
+  constructor(bridge) {
+    this.bridge = bridge;
+    this.windowMs = config.bridge.limits.windowMs;
+    this.maxOperationsPerUser = config.bridge.limits.maxOperationsPerUser;
+    this.records = [];
+    this.circuitBreaker = { tripped: false, trippedAt: null, reason: null, tokenAddress: null };
+  }
+
+  /**
+   * Rebuild the rolling windows from stored bridge records and load the
+   * circuit breaker state. Deposits count from when they were credited on
+   * Layer2, since only confirmed Layer1 deposits are capped.
+   */
+  async load() {
+    try {
+      const since = Date.now() - Math.max(this.windowMs, OUTFLOW_WINDOW);
+      const deposits = Array.from(this.bridge.deposits.values())
+        .filter(d => d.status === 'completed' && d.creditedAt)
+        .map(d => ({ kind: 'deposit', ...d, timestamp: d.creditedAt }));
+      const withdrawals = Array.from(this.bridge.withdrawals.values())
+        .filter(w => w.status !== 'failed')
+        .map(w => ({ kind: 'withdrawal', ...w }));
+
+      this.records = deposits.concat(withdrawals)
+        .filter(record => record.timestamp >= since)
+        .map(record => ({
+          kind: record.kind,
+          userAddress: record.userAddress.toLowerCase(),
+          tokenAddress: record.tokenAddress,
+          amount: record.amount,
+          timestamp: record.timestamp
+        }))
+        .sort((a, b) => a.timestamp - b.timestamp);
+
+      const breaker = await this.bridge.storage.getValue(BREAKER_KEY);
+      if (breaker) {
+        this.circuitBreaker = breaker;
+      }
+    } catch (error) {
+      logger.logError(error, { operation: 'loadRateLimits' });
+      throw error;
+    }
+  }
+
+  /**
+   * Drop records older than every window
+   * @param {number} now - Current time
+   */
+  prune(now) {
+    const since = now - Math.max(this.windowMs, OUTFLOW_WINDOW);
+    const firstLive = this.records.findIndex(record => record.timestamp >= since);
+    this.records = firstLive === -1 ? [] : this.records.slice(firstLive);
+  }
+
+  /**
+   * Sum recorded operations matching a filter since a point in time
+   * @param {Function} filter - Record filter
+   * @param {number} since - Window start
+   * @returns {Object} Total amount, operation count and oldest record time
+   */
+  usage(filter, since) {
+    const matching = this.records.filter(record => record.timestamp >= since && filter(record));
+
+    return {
+      amount: matching.reduce((sum, record) => sum + record.amount, 0n),
+      count: matching.length,
+      oldest: matching.length > 0 ? matching[0].timestamp : null
+    };
+  }
+
+  /**
+   * Reject an operation that would exceed a rolling-window cap
+   * @param {string} kind - 'deposit' or 'withdrawal'
+   * @param {string} userAddress - User address
+   * @param {Object} token - Registered token
+   * @param {bigint} amount - Amount in base units
+   */
+  check(kind, userAddress, token, amount) {
+    const now = Date.now();
+    const since = now - this.windowMs;
+    const user = userAddress.toLowerCase();
+    const registry = this.bridge.tokenRegistry;
+
+    this.prune(now);
+
+    const userOperations = this.usage(r => r.kind === kind && r.userAddress === user, since);
+    if (userOperations.count >= this.maxOperationsPerUser) {
+      throw new DefiRainError('RATE_LIMITED', `Too many ${kind}s in the current window`, {
+        scope: 'user_operations',
+        limit: this.maxOperationsPerUser,
+        remaining: 0,
+        resetAt: userOperations.oldest + this.windowMs
+      }, 429);
+    }
+
+    const caps = [
+      {
+        scope: 'user',
+        cap: kind === 'deposit' ? token.userDepositCap : token.userWithdrawalCap,
+        filter: r => r.kind === kind && r.userAddress === user && r.tokenAddress === token.l1Address
+      },
+      {
+        scope: 'token',
+        cap: kind === 'deposit' ? token.depositCap : token.withdrawalCap,
+        filter: r => r.kind === kind && r.tokenAddress === token.l1Address
+      }
+    ];
+
+    for (const { scope, cap, filter } of caps) {
+      if (cap == null) {
+        continue;
+      }
+
+      const used = this.usage(filter, since);
+      if (used.amount + amount > cap) {
+        const remaining = cap > used.amount ? cap - used.amount : 0n;
+
+        throw new DefiRainError('RATE_LIMITED', `${token.symbol} ${kind} cap reached for the current window`, {
+          scope,
+          limit: registry.formatAmount(token, cap),
+          used: registry.formatAmount(token, used.amount),
+          remaining: registry.formatAmount(token, remaining),
+          resetAt: used.oldest !== null ? used.oldest + this.windowMs : now + this.windowMs
+        }, 429);
+      }
+    }
+  }
+
+  /**
+   * Check an operation against the caps and count it in the same synchronous
+   * step, so concurrent operations cannot all pass the check before any of
+   * them is recorded
+   * @param {string} kind - 'deposit' or 'withdrawal'
+   * @param {string} userAddress - User address
+   * @param {Object} token - Registered token
+   * @param {bigint} amount - Amount in base units
+   * @returns {Object} Reservation to release if the operation fails
+   */
+  reserve(kind, userAddress, token, amount) {
+    this.check(kind, userAddress, token, amount);
+
+    const reservation = {
+      kind,
+      userAddress: userAddress.toLowerCase(),
+      tokenAddress: token.l1Address,
+      amount,
+      timestamp: Date.now()
+    };
+    this.records.push(reservation);
+
+    return reservation;
+  }
+
+  /**
+   * Stop counting an operation that failed after it was reserved
+   * @param {Object} reservation - Result of reserve
+   */
+  release(reservation) {
+    this.records = this.records.filter(record => record !== reservation);
+  }
+
+  /**
+   * Trip the circuit breaker when a token's withdrawals within the last hour
+   * cross its outflow threshold
+   * @param {Object} token - Registered token
+   * @param {number} now - Current time
+   */
+  async checkOutflow(token, now) {
+    if (this.circuitBreaker.tripped || token.hourlyOutflowThreshold == null) {
+      return;
+    }
+
+    const outflow = this.usage(
+      r => r.kind === 'withdrawal' && r.tokenAddress === token.l1Address,
+      now - OUTFLOW_WINDOW
+    );
+
+    if (outflow.amount >= token.hourlyOutflowThreshold) {
+      await this.tripCircuitBreaker(token, outflow.amount);
+    }
+  }
+
+  /**
+   * Pause withdrawals and their completion until governance unpauses them
+   * @param {Object} token - Token whose outflow crossed the threshold
+   * @param {bigint} outflow - Outflow within the last hour
+   */
+  async tripCircuitBreaker(token, outflow) {
+    const registry = this.bridge.tokenRegistry;
+
+    this.circuitBreaker = {
+      tripped: true,
+      trippedAt: Date.now(),
+      reason: `${token.symbol} hourly outflow ${registry.formatAmount(token, outflow)} crossed threshold ${registry.formatAmount(token, token.hourlyOutflowThreshold)}`,
+      tokenAddress: token.l1Address
+    };
+    await this.bridge.storage.setValue(BREAKER_KEY, this.circuitBreaker);
+
+    this.bridge.addBridgeEvent('circuit_breaker_tripped', this.circuitBreaker);
+
+    logger.warn('Bridge outflow circuit breaker tripped', this.circuitBreaker);
+
+    await this.bridge.applyPause(['withdraw', 'complete'], 'circuit_breaker', this.circuitBreaker.reason);
+  }
+
+  /**
+   * Re-arm the breaker once governance has unpaused withdrawals
+   * @returns {Object} Circuit breaker state
+   */
+  async resetCircuitBreaker() {
+    const previous = this.circuitBreaker;
+
+    this.circuitBreaker = { tripped: false, trippedAt: null, reason: null, tokenAddress: null };
+    await this.bridge.storage.setValue(BREAKER_KEY, this.circuitBreaker);
+
+    if (previous.tripped) {
+      this.bridge.addBridgeEvent('circuit_breaker_reset', previous);
+      logger.info('Bridge outflow circuit breaker reset', { trippedAt: previous.trippedAt });
+    }
+
+    return this.circuitBreaker;
+  }
+
+  /**
+   * Get a user's remaining allowance for a token
+   * @param {string} userAddress - User address
+   * @param {Object} token - Registered token
+   * @returns {Object} Remaining deposit and withdrawal allowance
+   */
+  getAllowance(userAddress, token) {
+    const now = Date.now();
+    const since = now - this.windowMs;
+    const user = userAddress.toLowerCase();
+    const registry = this.bridge.tokenRegistry;
+    const allowance = { windowMs: this.windowMs };
+
+    this.prune(now);
+
+    for (const kind of ['deposit', 'withdrawal']) {
+      const userCap = kind === 'deposit' ? token.userDepositCap : token.userWithdrawalCap;
+      const tokenCap = kind === 'deposit' ? token.depositCap : token.withdrawalCap;
+      const userUsed = this.usage(r => r.kind === kind && r.userAddress === user && r.tokenAddress === token.l1Address, since);
+      const tokenUsed = this.usage(r => r.kind === kind && r.tokenAddress === token.l1Address, since);
+      const operations = this.usage(r => r.kind === kind && r.userAddress === user, since);
+
+      const remaining = [
+        userCap == null ? null : userCap - userUsed.amount,
+        tokenCap == null ? null : tokenCap - tokenUsed.amount
+      ].filter(value => value !== null);
+
+      const lowest = remaining.length > 0 ? remaining.reduce((a, b) => (a < b ? a : b)) : null;
+
+      allowance[kind] = {
+        remaining: lowest === null ? null : registry.formatAmount(token, lowest > 0n ? lowest : 0n),
+        remainingOperations: Math.max(0, this.maxOperationsPerUser - operations.count)
+      };
+    }
+
+    return allowance;
+  }
+
+  /**
+   * Get rate limiter status
+   * @returns {Object} Status
+   */
+  getStatus() {
+    return {
+      windowMs: this.windowMs,
+      maxOperationsPerUser: this.maxOperationsPerUser,
+      circuitBreaker: this.circuitBreaker
+    };
+  }
+}
+
+module.exports = BridgeRateLimiter;
@@ -0,0 +1,496 @@
+const { ethers } = require('ethers');
+const logger = require('../utils/logger');
+const config = require('../config/config');
+const { DefiRainError } = require('../utils/errors');
+
+const ERC20_TRANSFER = new ethers.Interface([
+  'event Transfer(address indexed from, address indexed to, uint256 value)'
+]);
+
+const BPS_DENOMINATOR = 10000n;
+
+class FastWithdrawalManager {
+  /**
+   * @param {CrossChainBridge} bridge - Bridge whose withdrawals are exited early
+   */
+  constructor(bridge) {
+    this.bridge = bridge;
+    this.providers = new Map();
+    this.requests = new Map();
+    this.reservedPayments = new Set();
+    this.maxFeeBps = config.bridge.fastWithdrawal.maxFeeBps;
+    this.requestTtl = config.bridge.fastWithdrawal.requestTtl;
+    this.signatureTtl = config.bridge.fastWithdrawal.signatureTtl;
+  }
+
+  /**
+   * Load liquidity providers and fast withdrawal requests from storage
+   */
+  async load() {
+    try {
+      for (const provider of await this.bridge.storage.load('liquidity_providers')) {
+        this.providers.set(provider.address.toLowerCase(), provider);
+      }
+
+      for (const request of await this.bridge.storage.load('fast_withdrawals')) {
+        // A fill interrupted before its payment was verified never took effect
+        if (request.status === 'filling') {
+          request.status = 'open';
+        }
+        this.requests.set(request.id, request);
+      }
+    } catch (error) {
+      logger.logError(error, { operation: 'loadFastWithdrawals' });
+      throw error;
+    }
+  }
+
+  /**
+   * Check that a signed request is fresh and signed by the expected address
+   * @param {string} address - Expected signer
+   * @param {string} message - Signed message
+   * @param {string} signature - Signature
+   * @param {number} timestamp - Request time in milliseconds
+   */
+  verifyRequest(address, message, signature, timestamp) {
+    if (!Number.isFinite(timestamp) || Math.abs(Date.now() - timestamp) > this.signatureTtl) {
+      throw new DefiRainError('REQUEST_EXPIRED', 'Request timestamp is too old or in the future', {
+        maxAge: this.signatureTtl
+      });
+    }
+
+    const signer = this.bridge.recoverMessageSigner(message, signature);
+    if (!signer || signer.toLowerCase() !== address.toLowerCase()) {
+      throw new DefiRainError('INVALID_SIGNATURE', 'Request is not signed by the expected address', {}, 403);
+    }
+  }
+
+  /**
+   * Register or update a liquidity provider. The provider signs
+   * "Defi-Rain register LP <feeBps> <timestamp>".
+   * @param {string} address - Provider address
+   * @param {number} feeBps - Fee charged on fast exits, in basis points
+   * @param {Array} tokens - Layer1 token addresses served, empty for all
+   * @param {number} timestamp - Request time in milliseconds
+   * @param {string} signature - Provider signature
+   * @returns {Object} Liquidity provider
+   */
+  async registerProvider(address, feeBps, tokens, timestamp, signature) {
+    try {
+      if (!ethers.isAddress(address)) {
+        throw new DefiRainError('INVALID_ADDRESS', 'Liquidity provider address is invalid');
+      }
+
+      if (!Number.isInteger(feeBps) || feeBps < 0 || feeBps > this.maxFeeBps) {
+        throw new DefiRainError('INVALID_FEE', `Fee must be between 0 and ${this.maxFeeBps} basis points`, {
+          maxFeeBps: this.maxFeeBps
+        });
+      }
+
+      this.verifyRequest(address, `Defi-Rain register LP ${feeBps} ${timestamp}`, signature, timestamp);
+
+      const served = (tokens || []).map(token => this.bridge.tokenRegistry.requireToken(token).l1Address);
+      const existing = this.providers.get(address.toLowerCase());
+      const provider = {
+        address: ethers.getAddress(address),
+        feeBps,
+        tokens: served,
+        active: true,
+        registeredAt: existing ? existing.registeredAt : Date.now(),
+        updatedAt: Date.now(),
+        filledCount: existing ? existing.filledCount : 0
+      };
+
+      this.providers.set(address.toLowerCase(), provider);
+      await this.bridge.storage.save('liquidity_providers', provider.address, provider);
+
+      logger.info('Liquidity provider registered', {
+        address: provider.address,
+        feeBps,
+        tokens: served.length > 0 ? served : 'all'
+      });
+
+      return provider;
+    } catch (error) {
+      logger.logError(error, { operation: 'registerProvider', address });
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether a provider serves a token
+   * @param {Object} provider - Liquidity provider
+   * @param {string} tokenAddress - Layer1 token address
+   * @returns {boolean} True if served
+   */
+  servesToken(provider, tokenAddress) {
+    return provider.active && (provider.tokens.length === 0 || provider.tokens.includes(tokenAddress));
+  }
+
+  /**
+   * Price a fast exit of a withdrawal with a provider
+   * @param {Object} withdrawal - Withdrawal object
+   * @param {Object} provider - Liquidity provider
+   * @returns {Object} Quote
+   */
+  buildQuote(withdrawal, provider) {
+    const fee = withdrawal.amount * BigInt(provider.feeBps) / BPS_DENOMINATOR;
+
+    return {
+      liquidityProvider: provider.address,
+      feeBps: provider.feeBps,
+      fee: this.bridge.formatAmount(withdrawal.tokenAddress, fee),
+      payout: this.bridge.formatAmount(withdrawal.tokenAddress, withdrawal.amount - fee),
+      payoutBaseUnits: (withdrawal.amount - fee).toString()
+    };
+  }
+
+  /**
+   * Get a withdrawal that can still be exited early
+   * @param {string} withdrawalId - Withdrawal ID
+   * @returns {Object} Withdrawal object
+   */
+  requireExitableWithdrawal(withdrawalId) {
+    const withdrawal = this.bridge.getWithdrawal(withdrawalId);
+    if (!withdrawal) {
+      throw new DefiRainError('WITHDRAWAL_NOT_FOUND', 'Withdrawal not found', {}, 404);
+    }
+
+    if (withdrawal.status !== 'burned') {
+      throw new DefiRainError('WITHDRAWAL_NOT_EXITABLE', `Withdrawal is ${withdrawal.status}`);
+    }
+
+    if (withdrawal.fastWithdrawal) {
+      throw new DefiRainError('WITHDRAWAL_NOT_EXITABLE', 'Withdrawal was already exited through a liquidity provider');
+    }
+
+    return withdrawal;
+  }
+
+  /**
+   * Quote a fast exit from every provider serving the withdrawal's token
+   * @param {string} withdrawalId - Withdrawal ID
+   * @returns {Object} Quotes, best payout first
+   */
+  getQuotes(withdrawalId) {
+    const withdrawal = this.requireExitableWithdrawal(withdrawalId);
+    const quotes = Array.from(this.providers.values())
+      .filter(provider => this.servesToken(provider, withdrawal.tokenAddress))
+      .sort((a, b) => a.feeBps - b.feeBps)
+      .map(provider => this.buildQuote(withdrawal, provider));
+
+    return {
+      withdrawalId,
+      tokenAddress: withdrawal.tokenAddress,
+      amount: this.bridge.formatAmount(withdrawal.tokenAddress, withdrawal.amount),
+      unlockTime: withdrawal.unlockTime,
+      quotes
+    };
+  }
+
+  /**
+   * Open a fast exit request. The withdrawal owner signs
+   * "Defi-Rain fast-exit <withdrawalId> <maxFeeBps> <timestamp>".
+   * @param {string} withdrawalId - Withdrawal ID
+   * @param {number} maxFeeBps - Highest fee the owner accepts, in basis points
+   * @param {number} timestamp - Request time in milliseconds
+   * @param {string} signature - Owner signature
+   * @returns {Object} Fast withdrawal request
+   */
+  async requestFastWithdrawal(withdrawalId, maxFeeBps, timestamp, signature) {
+    try {
+      const withdrawal = this.requireExitableWithdrawal(withdrawalId);
+      const owner = withdrawal.recipient || withdrawal.userAddress;
+
+      if (!Number.isInteger(maxFeeBps) || maxFeeBps < 0 || maxFeeBps > this.maxFeeBps) {
+        throw new DefiRainError('INVALID_FEE', `Maximum fee must be between 0 and ${this.maxFeeBps} basis points`, {
+          maxFeeBps: this.maxFeeBps
+        });
+      }
+
+      this.verifyRequest(owner, `Defi-Rain fast-exit ${withdrawalId} ${maxFeeBps} ${timestamp}`, signature, timestamp);
+
+      const open = Array.from(this.requests.values()).find(request =>
+        request.withdrawalId === withdrawalId &&
+        (request.status === 'filling' || (request.status === 'open' && request.expiresAt > Date.now()))
+      );
+      if (open) {
+        throw new DefiRainError('FAST_WITHDRAWAL_EXISTS', 'A fast exit request is already open for this withdrawal', {
+          requestId: open.id
+        }, 409);
+      }
+
+      const requestId = 'fast_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+      const request = {
+        id: requestId,
+        withdrawalId,
+        owner: ethers.getAddress(owner),
+        tokenAddress: withdrawal.tokenAddress,
+        amount: withdrawal.amount,
+        maxFeeBps,
+        paymentReference: this.paymentReference(requestId),
+        status: 'open',
+        createdAt: Date.now(),
+        expiresAt: Date.now() + this.requestTtl,
+        liquidityProvider: null,
+        layer1TxHash: null
+      };
+
+      this.requests.set(request.id, request);
+      await this.bridge.storage.save('fast_withdrawals', request.id, request);
+
+      this.bridge.addBridgeEvent('fast_withdrawal_requested', { requestId: request.id, withdrawalId, maxFeeBps });
+
+      logger.info('Fast withdrawal requested', { requestId: request.id, withdrawalId, maxFeeBps });
+
+      return this.describeRequest(request);
+    } catch (error) {
+      logger.logError(error, { operation: 'requestFastWithdrawal', withdrawalId });
+      throw error;
+    }
+  }
+
+  /**
+   * List open fast exit requests, optionally only those a provider can fill
+   * @param {string} providerAddress - Liquidity provider address
+   * @returns {Array} Open requests
+   */
+  getOpenRequests(providerAddress = null) {
+    const provider = providerAddress ? this.providers.get(providerAddress.toLowerCase()) : null;
+    if (providerAddress && !provider) {
+      throw new DefiRainError('LIQUIDITY_PROVIDER_NOT_FOUND', 'Liquidity provider not registered', {}, 404);
+    }
+
+    const now = Date.now();
+
+    return Array.from(this.requests.values())
+      .filter(request => request.status === 'open' && request.expiresAt > now)
+      .filter(request => !provider ||
+        (this.servesToken(provider, request.tokenAddress) && provider.feeBps <= request.maxFeeBps))
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .map(request => ({
+        ...this.describeRequest(request),
+        quote: provider ? this.buildQuote(this.bridge.getWithdrawal(request.withdrawalId), provider) : null
+      }));
+  }
+
+  /**
+   * Describe a fast withdrawal request for API responses
+   * @param {Object} request - Fast withdrawal request
+   * @returns {Object} Request with its amount as a decimal string
+   */
+  describeRequest(request) {
+    return {
+      ...request,
+      amount: this.bridge.formatAmount(request.tokenAddress, request.amount)
+    };
+  }
+
+  /**
+   * Get the reference a provider's Layer1 payment carries at the end of its
+   * calldata, tying the payment to one request
+   * @param {string} requestId - Fast withdrawal request ID
+   * @returns {string} Payment reference
+   */
+  paymentReference(requestId) {
+    return ethers.id(`Defi-Rain fast-exit ${requestId}`);
+  }
+
+  /**
+   * Check that a Layer1 transaction paid the owner at least the payout
+   * @param {Object} request - Fast withdrawal request
+   * @param {Object} provider - Liquidity provider
+   * @param {string} layer1TxHash - Payment transaction hash
+   * @param {bigint} payout - Minimum payout in base units
+   */
+  async verifyPayment(request, provider, layer1TxHash, payout) {
+    const l1Provider = this.bridge.provider;
+    const [transaction, receipt] = await Promise.all([
+      l1Provider.getTransaction(layer1TxHash),
+      l1Provider.getTransactionReceipt(layer1TxHash)
+    ]);
+
+    if (!transaction || !receipt || receipt.status !== 1) {
+      throw new DefiRainError('PAYMENT_NOT_FOUND', 'Payment transaction not found or failed on Layer1', { layer1TxHash });
+    }
+
+    const confirmations = await receipt.confirmations();
+    if (confirmations < config.blockchain.ethereum.confirmations) {
+      throw new DefiRainError('PAYMENT_NOT_CONFIRMED', 'Payment transaction does not have enough confirmations', {
+        confirmations,
+        required: config.blockchain.ethereum.confirmations
+      });
+    }
+
+    // Without the reference any earlier transfer from the provider to the owner would count
+    const reference = this.paymentReference(request.id);
+    if (!(transaction.data || '').toLowerCase().endsWith(reference.slice(2))) {
+      throw new DefiRainError('PAYMENT_REFERENCE_MISMATCH', 'Payment does not carry the request payment reference', {
+        paymentReference: reference
+      });
+    }
+
+    const owner = request.owner.toLowerCase();
+    const lp = provider.address.toLowerCase();
+    let paid = 0n;
+
+    if (request.tokenAddress === ethers.ZeroAddress) {
+      if (transaction.from.toLowerCase() === lp && transaction.to && transaction.to.toLowerCase() === owner) {
+        paid = transaction.value;
+      }
+    } else {
+      for (const log of receipt.logs) {
+        if (log.address.toLowerCase() !== request.tokenAddress.toLowerCase()) {
+          continue;
+        }
+
+        const parsed = ERC20_TRANSFER.parseLog(log);
+        if (parsed && parsed.args.from.toLowerCase() === lp && parsed.args.to.toLowerCase() === owner) {
+          paid += parsed.args.value;
+        }
+      }
+    }
+
+    if (paid < payout) {
+      throw new DefiRainError('PAYMENT_INSUFFICIENT', 'Payment does not cover the quoted payout to the withdrawal owner', {
+        required: this.bridge.formatAmount(request.tokenAddress, payout),
+        paid: this.bridge.formatAmount(request.tokenAddress, paid)
+      });
+    }
+  }
+
+  /**
+   * Fill a fast exit: once the provider's Layer1 payment to the owner is
+   * verified, the withdrawal leaf is assigned to the provider on the Layer1
+   * bridge, which pays the provider when the withdrawal completes.
+   * The provider signs "Defi-Rain fill <requestId> <layer1TxHash>".
+   * @param {string} requestId - Fast withdrawal request ID
+   * @param {string} providerAddress - Liquidity provider address
+   * @param {string} layer1TxHash - Layer1 payment transaction
+   * @param {string} signature - Provider signature
+   * @returns {Object} Filled request
+   */
+  async fillRequest(requestId, providerAddress, layer1TxHash, signature) {
+    try {
+      const request = this.requests.get(requestId);
+      if (!request) {
+        throw new DefiRainError('FAST_WITHDRAWAL_NOT_FOUND', 'Fast withdrawal request not found', {}, 404);
+      }
+
+      if (request.status !== 'open' || request.expiresAt <= Date.now()) {
+        throw new DefiRainError('FAST_WITHDRAWAL_NOT_OPEN', 'Fast withdrawal request is no longer open', {
+          status: request.status
+        }, 409);
+      }
+
+      const provider = this.providers.get((providerAddress || '').toLowerCase());
+      if (!provider || !this.servesToken(provider, request.tokenAddress)) {
+        throw new DefiRainError('LIQUIDITY_PROVIDER_NOT_FOUND', 'Liquidity provider not registered for this token', {}, 404);
+      }
+
+      if (provider.feeBps > request.maxFeeBps) {
+        throw new DefiRainError('INVALID_FEE', 'Provider fee exceeds the maximum accepted by the owner', {
+          feeBps: provider.feeBps,
+          maxFeeBps: request.maxFeeBps
+        });
+      }
+
+      const signer = this.bridge.recoverMessageSigner(`Defi-Rain fill ${requestId} ${layer1TxHash}`, signature);
+      if (!signer || signer.toLowerCase() !== provider.address.toLowerCase()) {
+        throw new DefiRainError('INVALID_SIGNATURE', 'Fill is not signed by the liquidity provider', {}, 403);
+      }
+
+      const paymentKey = (layer1TxHash || '').toLowerCase();
+      const reused = this.reservedPayments.has(paymentKey) || Array.from(this.requests.values())
+        .some(other => other.layer1TxHash && other.layer1TxHash.toLowerCase() === paymentKey);
+      if (reused) {
+        throw new DefiRainError('PAYMENT_ALREADY_USED', 'Payment transaction already filled another request', { layer1TxHash }, 409);
+      }
+
+      const withdrawal = this.requireExitableWithdrawal(request.withdrawalId);
+      const fee = withdrawal.amount * BigInt(provider.feeBps) / BPS_DENOMINATOR;
+
+      // Claim the request and the payment before the first await so a concurrent
+      // fill can use neither; both are released if the payment does not verify
+      request.status = 'filling';
+      this.reservedPayments.add(paymentKey);
+
+      try {
+        await this.verifyPayment(request, provider, layer1TxHash, withdrawal.amount - fee);
+      } catch (error) {
+        request.status = 'open';
+        this.reservedPayments.delete(paymentKey);
+        throw error;
+      }
+
+      const leaf = this.bridge.rollupManager.hashWithdrawal(this.bridge.toWithdrawalOperation(withdrawal));
+      const assignment = {
+        leaf,
+        recipient: provider.address,
+        layer1Calldata: this.bridge.layer1Contract.interface.encodeFunctionData('assignWithdrawal', [
+          leaf,
+          provider.address,
+          this.paymentReference(requestId)
+        ])
+      };
+
+      // The provider now receives the original withdrawal when it unlocks
+      withdrawal.recipient = provider.address;
+      withdrawal.fastWithdrawal = {
+        requestId,
+        liquidityProvider: provider.address,
+        feeBps: provider.feeBps,
+        fee,
+        payout: withdrawal.amount - fee,
+        layer1TxHash,
+        assignment,
+        filledAt: Date.now()
+      };
+      await this.bridge.persistWithdrawal(withdrawal);
+
+      request.status = 'filled';
+      request.liquidityProvider = provider.address;
+      request.layer1TxHash = layer1TxHash;
+      request.filledAt = Date.now();
+      await this.bridge.storage.save('fast_withdrawals', request.id, request);
+
+      provider.filledCount++;
+      await this.bridge.storage.save('liquidity_providers', provider.address, provider);
+
+      this.bridge.addBridgeEvent('fast_withdrawal_filled', {
+        requestId,
+        withdrawalId: withdrawal.id,
+        liquidityProvider: provider.address,
+        layer1TxHash
+      });
+
+      logger.info('Fast withdrawal filled', {
+        requestId,
+        withdrawalId: withdrawal.id,
+        liquidityProvider: provider.address,
+        layer1TxHash
+      });
+
+      return this.describeRequest(request);
+    } catch (error) {
+      logger.logError(error, { operation: 'fillFastWithdrawal', requestId });
+      throw error;
+    }
+  }
+
+  /**
+   * Get fast withdrawal statistics
+   * @returns {Object} Statistics
+   */
+  getStats() {
+    const requests = Array.from(this.requests.values());
+
+    return {
+      liquidityProviders: Array.from(this.providers.values()).filter(provider => provider.active).length,
+      openRequests: requests.filter(request => request.status === 'open' && request.expiresAt > Date.now()).length,
+      filledRequests: requests.filter(request => request.status === 'filled').length
+    };
+  }
+}
+
+module.exports = FastWithdrawalManager;
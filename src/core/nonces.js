@@ -0,0 +1,192 @@
+const { ethers } = require('ethers');
+const logger = require('../utils/logger');
+const { DefiRainError } = require('../utils/errors');
+
+class NonceRegistry {
+  constructor(options = {}) {
+    this.nextNonces = new Map();
+    this.queued = new Map();
+    // Hash of every pooled or unexecuted transaction, with its sender and nonce
+    this.knownHashes = new Map();
+    this.maxQueuedPerAccount = options.maxQueuedPerAccount || 64;
+    this.getBaseNonce = options.getBaseNonce || (() => 0);
+  }
+
+  /**
+   * Get the next nonce an account should sign with
+   * @param {string} address - Account address
+   * @returns {number} Next nonce
+   */
+  getNextNonce(address) {
+    const key = ethers.getAddress(address);
+    return this.nextNonces.has(key) ? this.nextNonces.get(key) : this.getBaseNonce(key);
+  }
+
+  /**
+   * Get the nonces an account has waiting in the queued sub-pool
+   * @param {string} address - Account address
+   * @returns {Array} Sorted queued nonces
+   */
+  getQueuedNonces(address) {
+    const queue = this.queued.get(ethers.getAddress(address));
+    return queue ? Array.from(queue.keys()).sort((a, b) => a - b) : [];
+  }
+
+  /**
+   * Register a transaction against its sender's nonce sequence
+   * @param {Object} transaction - Transaction with recovered sender and hash
+   * @returns {Object} Registration result with the transactions now executable
+   */
+  register(transaction) {
+    const sender = ethers.getAddress(transaction.sender);
+    const nonce = Number(transaction.nonce);
+    const nextNonce = this.getNextNonce(sender);
+
+    if (!Number.isSafeInteger(nonce) || nonce < 0) {
+      throw new DefiRainError('INVALID_NONCE', 'Nonce must be a non-negative integer');
+    }
+
+    if (this.knownHashes.has(transaction.hash)) {
+      throw new DefiRainError('TRANSACTION_REPLAYED', 'Transaction already submitted', {
+        transactionHash: transaction.hash
+      });
+    }
+
+    if (nonce < nextNonce) {
+      throw new DefiRainError('NONCE_TOO_LOW', 'Nonce already used', {
+        nonce,
+        expectedNonce: nextNonce
+      });
+    }
+
+    if (nonce > nextNonce) {
+      const queue = this.queued.get(sender) || new Map();
+
+      if (queue.has(nonce)) {
+        throw new DefiRainError('NONCE_ALREADY_QUEUED', 'A transaction with this nonce is already queued', {
+          nonce
+        });
+      }
+
+      if (nonce - nextNonce > this.maxQueuedPerAccount || queue.size >= this.maxQueuedPerAccount) {
+        throw new DefiRainError('NONCE_TOO_HIGH', 'Nonce too far ahead of account nonce', {
+          nonce,
+          expectedNonce: nextNonce
+        });
+      }
+
+      queue.set(nonce, transaction);
+      this.queued.set(sender, queue);
+      this.knownHashes.set(transaction.hash, { sender, nonce });
+
+      logger.debug('Transaction queued until nonce gap is filled', {
+        sender,
+        nonce,
+        expectedNonce: nextNonce
+      });
+
+      return { status: 'queued', ready: [] };
+    }
+
+    this.knownHashes.set(transaction.hash, { sender, nonce });
+    const ready = [transaction, ...this.promoteQueued(sender, nonce + 1)];
+    this.nextNonces.set(sender, nonce + ready.length);
+
+    return { status: 'pending', ready };
+  }
+
+  /**
+   * Pull contiguous queued transactions out of the queued sub-pool
+   * @param {string} sender - Sender address
+   * @param {number} fromNonce - First nonce to promote
+   * @returns {Array} Promoted transactions in nonce order
+   */
+  promoteQueued(sender, fromNonce) {
+    const queue = this.queued.get(sender);
+    const promoted = [];
+
+    if (!queue) {
+      return promoted;
+    }
+
+    let nonce = fromNonce;
+    while (queue.has(nonce)) {
+      promoted.push(queue.get(nonce));
+      queue.delete(nonce);
+      nonce++;
+    }
+
+    if (queue.size === 0) {
+      this.queued.delete(sender);
+    }
+
+    if (promoted.length > 0) {
+      logger.debug('Queued transactions promoted', {
+        sender,
+        count: promoted.length
+      });
+    }
+
+    return promoted;
+  }
+
+  /**
+   * Drop an account's pool tracking so its next nonce falls back to the base nonce
+   * @param {string} address - Account address
+   * @returns {Array} Queued transactions that were discarded
+   */
+  resetAccount(address) {
+    const sender = ethers.getAddress(address);
+    const queue = this.queued.get(sender);
+    const discarded = queue ? Array.from(queue.values()) : [];
+
+    for (const transaction of discarded) {
+      this.knownHashes.delete(transaction.hash);
+    }
+
+    this.queued.delete(sender);
+    this.nextNonces.delete(sender);
+
+    return discarded;
+  }
+
+  /**
+   * Forget a transaction hash so the same transaction may be submitted again
+   * @param {string} hash - Transaction hash
+   */
+  forget(hash) {
+    this.knownHashes.delete(hash);
+  }
+
+  /**
+   * Forget the hashes of transactions whose nonce the account has executed.
+   * A resubmission of one of them is still rejected as NONCE_TOO_LOW.
+   * @returns {number} Number of hashes dropped
+   */
+  prune() {
+    let pruned = 0;
+
+    for (const [hash, { sender, nonce }] of this.knownHashes) {
+      if (nonce < this.getBaseNonce(sender)) {
+        this.knownHashes.delete(hash);
+        pruned++;
+      }
+    }
+
+    return pruned;
+  }
+
+  /**
+   * Get the number of transactions waiting in the queued sub-pool
+   * @returns {number} Queued transaction count
+   */
+  getQueuedCount() {
+    let count = 0;
+    for (const queue of this.queued.values()) {
+      count += queue.size;
+    }
+    return count;
+  }
+}
+
+module.exports = NonceRegistry;
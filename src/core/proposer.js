@@ -0,0 +1,241 @@
+const { ethers } = require('ethers');
+const logger = require('../utils/logger');
+const config = require('../config/config');
+
+class ProposerSchedule {
+  /**
+   * @param {ValidatorManager} validatorManager - Source of active validators and their stake
+   */
+  constructor(validatorManager) {
+    this.validatorManager = validatorManager;
+    this.slotDuration = config.rollup.proposer.slotDuration;
+    this.epochLength = config.rollup.proposer.epochLength;
+    this.fallbackTimeout = config.rollup.proposer.fallbackTimeout;
+    this.schedules = new Map();
+    this.persistedEpoch = null;
+  }
+
+  /**
+   * Get the slot a point in time falls into
+   * @param {number} timestamp - Time in milliseconds
+   * @returns {number} Slot number
+   */
+  getSlot(timestamp = Date.now()) {
+    return Math.floor(timestamp / this.slotDuration);
+  }
+
+  /**
+   * Get the epoch a slot belongs to
+   * @param {number} slot - Slot number
+   * @returns {number} Epoch number
+   */
+  getEpoch(slot) {
+    return Math.floor(slot / this.epochLength);
+  }
+
+  /**
+   * Restore the schedules of past and current epochs from storage
+   */
+  async load() {
+    try {
+      for (const schedule of await this.validatorManager.storage.load('proposer_schedules')) {
+        this.schedules.set(schedule.epoch, schedule);
+        if (this.persistedEpoch === null || schedule.epoch > this.persistedEpoch) {
+          this.persistedEpoch = schedule.epoch;
+        }
+      }
+    } catch (error) {
+      logger.logError(error, { operation: 'loadProposerSchedules' });
+      throw error;
+    }
+  }
+
+  /**
+   * Persist an epoch schedule and drop the epochs before the previous one
+   * @param {Object} schedule - Epoch schedule
+   */
+  async persistSchedule(schedule) {
+    try {
+      await this.validatorManager.storage.save('proposer_schedules', String(schedule.epoch), schedule);
+
+      for (const epoch of Array.from(this.schedules.keys())) {
+        if (epoch < schedule.epoch - 1) {
+          this.schedules.delete(epoch);
+          await this.validatorManager.storage.remove('proposer_schedules', String(epoch));
+        }
+      }
+
+      await this.validatorManager.pruneStakeHistory(this.getEpochStart(schedule.epoch - 1));
+    } catch (error) {
+      logger.logError(error, { operation: 'persistSchedule', epoch: schedule.epoch });
+      throw error;
+    }
+  }
+
+  /**
+   * Fix and persist the schedule of the epoch a point in time falls into,
+   * once per epoch
+   * @param {number} timestamp - Time in milliseconds
+   */
+  async startEpoch(timestamp = Date.now()) {
+    const epoch = this.getEpoch(this.getSlot(timestamp));
+    if (this.persistedEpoch !== null && this.persistedEpoch >= epoch) {
+      return;
+    }
+
+    await this.persistSchedule(this.getSchedule(epoch));
+    this.persistedEpoch = epoch;
+  }
+
+  /**
+   * Get the time an epoch starts at
+   * @param {number} epoch - Epoch number
+   * @returns {number} Time in milliseconds
+   */
+  getEpochStart(epoch) {
+    return epoch * this.epochLength * this.slotDuration;
+  }
+
+  /**
+   * Get the proposer order of an epoch. It is drawn from the validator set
+   * as it stood at the epoch boundary, so stake changes only move the
+   * schedule from the next epoch on. Epochs that have started are kept, and
+   * persisted by startEpoch; later ones are previews that may still change.
+   * @param {number} epoch - Epoch number
+   * @returns {Object} Epoch seed, validator snapshot and proposer per slot
+   */
+  getSchedule(epoch) {
+    if (this.schedules.has(epoch)) {
+      return this.schedules.get(epoch);
+    }
+
+    const boundary = this.getEpochStart(epoch);
+    const validators = this.validatorManager.getStakeSnapshot(boundary)
+      .sort((a, b) => (a.address.toLowerCase() < b.address.toLowerCase() ? -1 : 1));
+
+    const seed = ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(
+      ['string', 'uint256', 'uint256'],
+      ['Defi-Rain proposer', BigInt(config.blockchain.layer2.chainId), BigInt(epoch)]
+    ));
+    const totalStake = validators.reduce((sum, validator) => sum + validator.stake, 0n);
+    const slots = [];
+    const slotCount = totalStake > 0n ? this.epochLength : 0;
+
+    // Each slot draws a proposer with probability proportional to its stake
+    for (let i = 0; i < slotCount; i++) {
+      let target = BigInt(ethers.solidityPackedKeccak256(['bytes32', 'uint256'], [seed, i])) % totalStake;
+
+      for (const validator of validators) {
+        if (target < validator.stake) {
+          slots.push(validator.address);
+          break;
+        }
+        target -= validator.stake;
+      }
+    }
+
+    const schedule = { epoch, seed, validators, totalStake, slots };
+    if (boundary > Date.now()) {
+      return schedule;
+    }
+
+    this.schedules.set(epoch, schedule);
+
+    return schedule;
+  }
+
+  /**
+   * Get the proposers of a slot in fallback order: the scheduled proposer,
+   * then the other validators of the epoch starting after it
+   * @param {number} slot - Slot number
+   * @returns {Array} Proposer addresses
+   */
+  getProposers(slot) {
+    const schedule = this.getSchedule(this.getEpoch(slot));
+    if (schedule.slots.length === 0) {
+      return [];
+    }
+
+    const primary = schedule.slots[slot - this.getEpoch(slot) * this.epochLength];
+    const start = schedule.validators.findIndex(validator => validator.address === primary);
+
+    return schedule.validators.map((_, i) => schedule.validators[(start + i) % schedule.validators.length].address);
+  }
+
+  /**
+   * Get the proposers allowed to seal at a point in time. Every fallback
+   * timeout that passes in a slot without a batch hands the right to the
+   * next proposer as well.
+   * @param {number} timestamp - Time in milliseconds
+   * @returns {Array} Eligible proposer addresses
+   */
+  getEligibleProposers(timestamp = Date.now()) {
+    const slot = this.getSlot(timestamp);
+    const proposers = this.getProposers(slot);
+    const elapsed = timestamp - slot * this.slotDuration;
+    const rank = Math.floor(elapsed / this.fallbackTimeout);
+
+    return proposers.slice(0, rank + 1);
+  }
+
+  /**
+   * Check whether an address may seal a batch. With no active validators
+   * there is no schedule, and any sequencer may seal.
+   * @param {string} address - Proposer address
+   * @param {number} timestamp - Time in milliseconds
+   * @returns {boolean} Whether the address may seal now
+   */
+  isProposer(address, timestamp = Date.now()) {
+    const slot = this.getSlot(timestamp);
+    if (this.getProposers(slot).length === 0) {
+      return true;
+    }
+
+    if (!address) {
+      return false;
+    }
+
+    return this.getEligibleProposers(timestamp)
+      .some(proposer => proposer.toLowerCase() === address.toLowerCase());
+  }
+
+  /**
+   * Describe the current slot and the proposers of the slots after it
+   * @param {number} count - Number of upcoming slots to include
+   * @param {number} timestamp - Time in milliseconds
+   * @returns {Object} Current proposer, eligible fallbacks and upcoming slots
+   */
+  getOverview(count = 10, timestamp = Date.now()) {
+    const slot = this.getSlot(timestamp);
+    const proposers = this.getProposers(slot);
+    const schedule = this.getSchedule(this.getEpoch(slot));
+    const upcoming = [];
+
+    for (let next = slot + 1; next <= slot + count; next++) {
+      upcoming.push({
+        slot: next,
+        epoch: this.getEpoch(next),
+        proposer: this.getProposers(next)[0] || null,
+        startsAt: next * this.slotDuration
+      });
+    }
+
+    return {
+      slot,
+      epoch: this.getEpoch(slot),
+      slotDuration: this.slotDuration,
+      epochLength: this.epochLength,
+      fallbackTimeout: this.fallbackTimeout,
+      slotEndsAt: (slot + 1) * this.slotDuration,
+      proposer: proposers[0] || null,
+      eligibleProposers: this.getEligibleProposers(timestamp),
+      validators: schedule.validators.map(validator => ({
+        address: validator.address,
+        stake: validator.stake.toString()
+      })),
+      upcoming
+    };
+  }
+}
+
+module.exports = ProposerSchedule;
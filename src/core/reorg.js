@@ -0,0 +1,147 @@
+const logger = require('../utils/logger');
+const config = require('../config/config');
+
+class ReorgMonitor {
+  /**
+   * @param {CrossChainBridge} bridge - Bridge whose deposits, and whose rollup's
+   * batch submissions, are checked against the canonical Layer1 chain
+   */
+  constructor(bridge) {
+    this.bridge = bridge;
+    this.trackingDepth = config.bridge.reorgTrackingDepth;
+    this.reorgCount = 0;
+    this.lastReorgAt = null;
+  }
+
+  /**
+   * Look up canonical block hashes, caching them for the duration of a check
+   * @param {Map} cache - Block number to hash cache
+   * @param {number} blockNumber - Block number
+   * @returns {string|null} Canonical hash, or null if the chain is now shorter
+   */
+  async getCanonicalHash(cache, blockNumber) {
+    if (!cache.has(blockNumber)) {
+      const block = await this.bridge.provider.getBlock(blockNumber);
+      cache.set(blockNumber, block ? block.hash : null);
+    }
+
+    return cache.get(blockNumber);
+  }
+
+  /**
+   * Compare every tracked Layer1 block hash with the canonical chain and roll
+   * back whatever was built on blocks that are no longer part of it
+   * @param {number} head - Current Layer1 block number
+   * @param {Array} checkpoints - Watcher checkpoints as { number, hash }, oldest first
+   * @returns {number|null} Block the deposit watcher must rewind to, or null
+   */
+  async check(head, checkpoints = []) {
+    try {
+      const cache = new Map();
+      const horizon = head - this.trackingDepth;
+      let reorged = false;
+
+      const deposits = Array.from(this.bridge.deposits.values())
+        .filter(d => ['confirming', 'completed'].includes(d.status) && d.layer1BlockNumber > horizon);
+
+      for (const deposit of deposits) {
+        if (await this.getCanonicalHash(cache, deposit.layer1BlockNumber) !== deposit.layer1BlockHash) {
+          await this.bridge.revertReorgedDeposit(deposit);
+          reorged = true;
+        }
+      }
+
+      const rollupManager = this.bridge.rollupManager;
+      const batches = rollupManager.getAllBatches('submitted')
+        .filter(b => b.layer1BlockNumber === null || b.layer1BlockNumber > horizon)
+        .sort((a, b) => a.index - b.index);
+
+      for (const batch of batches) {
+        if (batch.layer1BlockNumber !== null &&
+            await this.getCanonicalHash(cache, batch.layer1BlockNumber) === batch.layer1BlockHash) {
+          continue;
+        }
+
+        if (await this.reconcileBatch(batch)) {
+          reorged = true;
+        }
+      }
+
+      let rewindTo = null;
+      for (let i = checkpoints.length - 1; i >= 0; i--) {
+        if (await this.getCanonicalHash(cache, checkpoints[i].number) === checkpoints[i].hash) {
+          if (i < checkpoints.length - 1) {
+            rewindTo = checkpoints[i].number;
+          }
+          break;
+        }
+
+        rewindTo = Math.max(horizon, 0);
+      }
+
+      if (reorged || rewindTo !== null) {
+        this.reorgCount++;
+        this.lastReorgAt = Date.now();
+
+        logger.warn('Layer1 reorg detected', { head, rewindTo });
+      }
+
+      return rewindTo;
+    } catch (error) {
+      logger.logError(error, { operation: 'checkReorgs', head });
+      throw error;
+    }
+  }
+
+  /**
+   * Re-locate a batch submission whose block left the canonical chain
+   * @param {Object} batch - Submitted batch
+   * @returns {boolean} Whether the batch inclusion changed
+   */
+  async reconcileBatch(batch) {
+    const provider = this.bridge.provider;
+    const rollupManager = this.bridge.rollupManager;
+    const previousTxHash = batch.layer1TxHash;
+    const previousBlock = batch.layer1BlockNumber;
+
+    // The same transaction is often mined again on the new branch
+    const receipt = await provider.getTransactionReceipt(batch.layer1TxHash);
+    if (receipt && receipt.status === 1) {
+      if (receipt.blockHash === batch.layer1BlockHash) {
+        return false;
+      }
+
+      await rollupManager.recordBatchInclusion(batch, receipt);
+    } else if (!receipt && await provider.getTransaction(batch.layer1TxHash)) {
+      // Back in the mempool: wait for it rather than submitting a duplicate
+      await rollupManager.recordBatchInclusion(batch, null);
+    } else {
+      await rollupManager.resetBatchSubmission(batch);
+    }
+
+    this.bridge.addBridgeEvent('batch_reorged', {
+      batchId: batch.id,
+      batchIndex: batch.index,
+      layer1TxHash: previousTxHash,
+      previousBlockNumber: previousBlock,
+      layer1BlockNumber: batch.layer1BlockNumber,
+      status: batch.status
+    });
+
+    return true;
+  }
+
+  /**
+   * Get reorg monitoring statistics
+   * @returns {Object} Monitor status
+   */
+  getStatus() {
+    return {
+      trackingDepth: this.trackingDepth,
+      reorgCount: this.reorgCount,
+      lastReorgAt: this.lastReorgAt
+    };
+  }
+}
+
+module.exports = ReorgMonitor;
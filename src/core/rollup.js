@@ -1,21 +1,88 @@
 const { ethers } = require('ethers');
 const MerkleTree = require('../utils/merkle');
+const BatchCodec = require('../utils/codec');
+const NonceRegistry = require('./nonces');
+const StateManager = require('./state');
+const FeeMarket = require('./fees');
+const FraudProofVerifier = require('./fraud');
+const FinalizationTracker = require('./finalization');
+const L1Submitter = require('./submitter');
+const ProposerSchedule = require('./proposer');
+const AttestationCollector = require('./attestation');
+const { MemoryStorage } = require('../storage');
 const logger = require('../utils/logger');
 const config = require('../config/config');
+const { DefiRainError } = require('../utils/errors');
+
+// Base gas charged for every Layer2 transaction
+const INTRINSIC_GAS = 21000;
+
+// Calldata gas per byte of transaction data, matching L1 pricing
+const ZERO_BYTE_GAS = 4;
+const NONZERO_BYTE_GAS = 16;
+
+// Merkle root committed for batches that carry only bridge operations
+const EMPTY_MERKLE_ROOT = ethers.keccak256('0x');
+
+// EIP-712 type wallets sign for Layer2 transactions
+const TRANSACTION_TYPES = {
+  Transaction: [
+    { name: 'from', type: 'address' },
+    { name: 'to', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'data', type: 'bytes' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'maxFeePerGas', type: 'uint256' },
+    { name: 'maxPriorityFeePerGas', type: 'uint256' }
+  ]
+};
 
 class RollupManager {
-  constructor() {
+  /**
+   * @param {Object} options - Rollup dependencies
+   * @param {Object} options.storage - Storage backend for batches and state
+   * @param {ValidatorManager} options.validatorManager - Validators that propose and attest batches and are slashed for fraudulent ones
+   */
+  constructor(options = {}) {
+    this.storage = options.storage || new MemoryStorage();
+    this.validatorManager = options.validatorManager || null;
+    this.proposerSchedule = this.validatorManager ? new ProposerSchedule(this.validatorManager) : null;
+
+    // Delegations lock and release funds held in this rollup's L2 state
+    if (this.validatorManager && !this.validatorManager.rollupManager) {
+      this.validatorManager.rollupManager = this;
+    }
     this.batches = new Map();
     this.pendingTransactions = [];
+    this.pendingBridgeOperations = [];
+    this.stateManager = new StateManager();
+    this.nonceRegistry = new NonceRegistry({
+      getBaseNonce: (address) => this.stateManager.getNonce(address)
+    });
     this.stateRoot = null;
     this.batchCounter = 0;
     this.merkleTree = new MerkleTree();
     this.provider = null;
     this.contract = null;
+    this.submitter = null;
+    this.submissionPromise = null;
     this.sequencerAddress = config.rollup.sequencerAddress;
     this.batchSize = config.rollup.batchSize;
     this.batchTimeout = config.rollup.batchTimeout;
     this.maxGasPerBatch = config.rollup.maxGasPerBatch;
+    this.feeMarket = new FeeMarket();
+    this.batchCodec = new BatchCodec({ compression: config.rollup.batchCompression });
+    this.fraudProofVerifier = new FraudProofVerifier(this);
+    this.challengePeriod = config.rollup.challengePeriod;
+    this.finalizationTracker = new FinalizationTracker(this);
+    this.attestationCollector = new AttestationCollector(this);
+    this.latestFinalizedStateRoot = null;
+    this.latestFinalizedBatchIndex = null;
+    this.sealedSnapshot = {};
+    this.batchSnapshots = new Map();
+    this.sequencerInterval = config.rollup.sequencerInterval;
+    this.sequencerTimer = null;
+    this.sealingPromise = null;
   }
 
   /**
@@ -24,6 +91,7 @@ class RollupManager {
   async initialize() {
     try {
       await this.setupProvider();
+      await this.setupSigner();
       await this.setupContract();
       await this.loadState();
       
@@ -56,20 +124,44 @@ class RollupManager {
     }
   }
 
+  /**
+   * Setup the sequencer key used to post batches to Layer1
+   */
+  async setupSigner() {
+    try {
+      if (!config.blockchain.ethereum.privateKey) {
+        logger.warn('Sequencer private key not configured, sealed batches will wait for submission');
+        return;
+      }
+
+      this.submitter = new L1Submitter(this.provider);
+      if (!this.sequencerAddress) {
+        this.sequencerAddress = this.submitter.address;
+      }
+
+      logger.info('Sequencer signer configured', {
+        address: this.submitter.address,
+        confirmations: this.submitter.confirmations
+      });
+    } catch (error) {
+      logger.logError(error, { operation: 'setupSigner' });
+      throw error;
+    }
+  }
+
   /**
    * Setup rollup contract
    */
   async setupContract() {
     try {
-      // In a real implementation, this would load the actual contract ABI and address
       const contractAddress = process.env.ROLLUP_CONTRACT_ADDRESS || '0x0000000000000000000000000000000000000000';
       
-      // Mock contract interface for now
+      // Calls are encoded here and signed by the L1 submitter
       this.contract = {
         address: contractAddress,
         interface: new ethers.Interface([
-          'function submitBatch(bytes32 stateRoot, bytes calldata batchData) external',
-          'function challengeBatch(uint256 batchIndex) external',
+          'function submitBatch(bytes32 stateRoot, bytes32 merkleRoot, bytes calldata batchData) external',
+          'function challengeBatch(uint256 batchIndex, string calldata reason) external',
           'function getStateRoot() external view returns (bytes32)'
         ])
       };
@@ -84,15 +176,44 @@ class RollupManager {
   }
 
   /**
-   * Load current state from contract
+   * Load batches and L2 state from storage
    */
   async loadState() {
     try {
-      // In a real implementation, this would read from the contract
-      this.stateRoot = ethers.ZeroHash;
+      const saved = await this.storage.getValue('rollup');
+
+      for (const batch of await this.storage.load('batches')) {
+        this.batches.set(batch.id, batch);
+      }
+
+      for (const snapshot of await this.storage.load('state_snapshots')) {
+        this.batchSnapshots.set(snapshot.batchId, snapshot.accounts);
+      }
+
+      if (this.proposerSchedule) {
+        await this.proposerSchedule.load();
+      }
+
+      if (saved) {
+        this.stateManager.restore(saved.accounts);
+        this.stateRoot = saved.stateRoot;
+        this.batchCounter = saved.batchCounter;
+        this.latestFinalizedStateRoot = saved.latestFinalizedStateRoot;
+        this.latestFinalizedBatchIndex = saved.latestFinalizedBatchIndex;
+        this.feeMarket.baseFee = BigInt(saved.baseFee);
+        this.sealedSnapshot = saved.sealedSnapshot;
+        this.pendingBridgeOperations = saved.pendingBridgeOperations;
+      } else {
+        this.stateRoot = this.stateManager.computeRoot();
+        this.latestFinalizedStateRoot = this.stateRoot;
+        this.sealedSnapshot = this.stateManager.snapshot();
+      }
       
-      logger.info('State loaded from contract', {
-        stateRoot: this.stateRoot
+      logger.info('Rollup state loaded from storage', {
+        stateRoot: this.stateRoot,
+        batchCount: this.batches.size,
+        accountCount: this.stateManager.accounts.size,
+        pendingBridgeOperations: this.pendingBridgeOperations.length
       });
     } catch (error) {
       logger.logError(error, { operation: 'loadState' });
@@ -100,32 +221,96 @@ class RollupManager {
     }
   }
 
+  /**
+   * Persist the L2 state and rollup counters
+   */
+  async persistState() {
+    try {
+      await this.storage.setValue('rollup', {
+        accounts: this.stateManager.snapshot(),
+        stateRoot: this.stateRoot,
+        batchCounter: this.batchCounter,
+        latestFinalizedStateRoot: this.latestFinalizedStateRoot,
+        latestFinalizedBatchIndex: this.latestFinalizedBatchIndex,
+        baseFee: this.feeMarket.baseFee.toString(),
+        sealedSnapshot: this.sealedSnapshot,
+        pendingBridgeOperations: this.pendingBridgeOperations
+      });
+    } catch (error) {
+      logger.logError(error, { operation: 'persistState' });
+      throw error;
+    }
+  }
+
+  /**
+   * Persist a batch record
+   * @param {Object} batch - Batch to persist
+   */
+  async persistBatch(batch) {
+    try {
+      await this.storage.save('batches', batch.id, batch);
+    } catch (error) {
+      logger.logError(error, { operation: 'persistBatch', batchId: batch.id });
+      throw error;
+    }
+  }
+
   /**
    * Add transaction to pending pool
    * @param {Object} transaction - Transaction object
+   * @returns {Object} Pending transaction with its recovered sender
    */
   async addTransaction(transaction) {
     try {
       if (!this.validateTransaction(transaction)) {
-        throw new Error('Invalid transaction');
+        throw new DefiRainError('INVALID_TRANSACTION', 'Transaction is missing fields or is not signed by its sender');
+      }
+
+      if (BigInt(transaction.maxPriorityFeePerGas) > BigInt(transaction.maxFeePerGas)) {
+        throw new DefiRainError('INVALID_FEE_CAP', 'maxPriorityFeePerGas exceeds maxFeePerGas');
       }
 
-      this.pendingTransactions.push({
+      const gasEstimate = this.estimateTransactionGas(transaction);
+      if (gasEstimate > this.maxGasPerBatch) {
+        throw new DefiRainError('GAS_EXCEEDS_BATCH_LIMIT', 'Transaction can never fit in a batch', {
+          gasEstimate,
+          maxGasPerBatch: this.maxGasPerBatch
+        });
+      }
+
+      const pendingTransaction = {
         ...transaction,
         id: this.generateTransactionId(),
+        hash: this.hashTransaction(transaction),
+        gas: gasEstimate,
+        sender: this.recoverSender(transaction),
         timestamp: Date.now(),
         status: 'pending'
-      });
+      };
+
+      // Replays and stale nonces throw; future nonces wait in the queued sub-pool
+      const { status, ready } = this.nonceRegistry.register(pendingTransaction);
+      pendingTransaction.status = status;
+
+      for (const readyTransaction of ready) {
+        readyTransaction.status = 'pending';
+        this.pendingTransactions.push(readyTransaction);
+      }
 
       logger.info('Transaction added to pending pool', {
-        transactionId: transaction.id,
+        transactionId: pendingTransaction.id,
+        sender: pendingTransaction.sender,
+        nonce: pendingTransaction.nonce,
+        status,
         pendingCount: this.pendingTransactions.length
       });
 
-      // Check if we should create a batch
-      if (this.pendingTransactions.length >= this.batchSize) {
-        await this.createBatch();
+      // Seal right away when the batch is full instead of waiting for the next tick
+      if (this.pendingTransactions.length >= this.batchSize && this.isCurrentProposer()) {
+        await this.sealBatch('size');
       }
+
+      return pendingTransaction;
     } catch (error) {
       logger.logError(error, { operation: 'addTransaction', transaction });
       throw error;
@@ -139,13 +324,14 @@ class RollupManager {
    */
   validateTransaction(transaction) {
     try {
-      const requiredFields = ['from', 'to', 'value', 'data', 'nonce', 'signature'];
+      const requiredFields = ['from', 'to', 'value', 'data', 'nonce', 'maxFeePerGas', 'maxPriorityFeePerGas', 'signature'];
       
       for (const field of requiredFields) {
-        if (!transaction[field]) {
-          logger.warn('Transaction validation failed', { 
-            field, 
-            transactionId: transaction.id 
+        // nonce and value may legitimately be 0
+        if (transaction[field] === undefined || transaction[field] === null || transaction[field] === '') {
+          logger.warn('Transaction validation failed', {
+            field,
+            transactionId: transaction.id
           });
           return false;
         }
@@ -173,57 +359,590 @@ class RollupManager {
    */
   verifySignature(transaction) {
     try {
-      // In a real implementation, this would verify the ECDSA signature
-      // For now, we'll do a basic validation
-      return transaction.signature && transaction.signature.length === 132;
+      const sender = this.recoverSender(transaction);
+      return sender === ethers.getAddress(transaction.from);
     } catch (error) {
       logger.logError(error, { operation: 'verifySignature' });
       return false;
     }
   }
 
+  /**
+   * Get the EIP-712 domain transactions are signed under
+   * @returns {Object} Signing domain
+   */
+  getSigningDomain() {
+    return {
+      name: 'Defi-Rain',
+      version: '1',
+      chainId: Number(config.blockchain.layer2.chainId)
+    };
+  }
+
+  /**
+   * Build the canonical signing payload of a transaction
+   * @param {Object} transaction - Transaction object
+   * @returns {Object} Typed data message
+   */
+  getSigningPayload(transaction) {
+    return {
+      from: ethers.getAddress(transaction.from),
+      to: ethers.getAddress(transaction.to),
+      value: BigInt(transaction.value),
+      data: ethers.hexlify(transaction.data),
+      nonce: BigInt(transaction.nonce),
+      maxFeePerGas: BigInt(transaction.maxFeePerGas),
+      maxPriorityFeePerGas: BigInt(transaction.maxPriorityFeePerGas)
+    };
+  }
+
+  /**
+   * Hash a transaction's signing payload
+   * @param {Object} transaction - Transaction object
+   * @returns {string} Transaction hash
+   */
+  hashTransaction(transaction) {
+    return ethers.TypedDataEncoder.hash(
+      this.getSigningDomain(),
+      TRANSACTION_TYPES,
+      this.getSigningPayload(transaction)
+    );
+  }
+
+  /**
+   * Recover the address that signed a transaction
+   * @param {Object} transaction - Transaction object
+   * @returns {string} Checksummed signer address
+   */
+  recoverSender(transaction) {
+    return ethers.verifyTypedData(
+      this.getSigningDomain(),
+      TRANSACTION_TYPES,
+      this.getSigningPayload(transaction),
+      transaction.signature
+    );
+  }
+
+  /**
+   * Start the sequencer loop that seals batches on size, gas or timeout
+   */
+  startSequencer() {
+    if (this.sequencerTimer) {
+      return;
+    }
+
+    this.sequencerTimer = setInterval(() => {
+      this.sequencerTick().catch(error => {
+        logger.logError(error, { operation: 'sequencerTick' });
+      });
+    }, this.sequencerInterval);
+
+    logger.info('Sequencer started', {
+      interval: this.sequencerInterval,
+      batchTimeout: this.batchTimeout
+    });
+  }
+
+  /**
+   * Run one step of the sequencer loop: fix the proposer schedule when an
+   * epoch starts, then seal or retry batches waiting for submission
+   */
+  async sequencerTick() {
+    if (this.proposerSchedule) {
+      await this.proposerSchedule.startEpoch();
+    }
+
+    const reason = this.shouldSealBatch();
+    if (reason && this.isCurrentProposer()) {
+      await this.sealBatch(reason);
+    } else if (!this.sealingPromise && (this.getAllBatches('sealed').length > 0 || this.getAllBatches('attested').length > 0)) {
+      // Pick up quorum changes and retry batches whose Layer1 submission failed earlier
+      await this.attestationCollector.checkPendingBatches();
+      await this.submitSealedBatches();
+    }
+  }
+
+  /**
+   * Stop the sequencer loop
+   * @param {Object} options - Stop options
+   * @param {boolean} options.flush - Seal everything still pending before returning
+   */
+  async stopSequencer(options = { flush: true }) {
+    if (this.sequencerTimer) {
+      clearInterval(this.sequencerTimer);
+      this.sequencerTimer = null;
+    }
+
+    if (this.sealingPromise) {
+      await this.sealingPromise;
+    }
+
+    if (options.flush) {
+      while ((this.pendingTransactions.length > 0 || this.pendingBridgeOperations.length > 0) && this.isCurrentProposer()) {
+        const pending = this.pendingTransactions.length + this.pendingBridgeOperations.length;
+        await this.sealBatch('shutdown');
+
+        // Transactions priced below the base fee are never selected, so they stay in the pool
+        if (this.pendingTransactions.length + this.pendingBridgeOperations.length >= pending) {
+          break;
+        }
+      }
+    }
+
+    logger.info('Sequencer stopped', {
+      flushed: options.flush,
+      pendingTransactions: this.pendingTransactions.length,
+      pendingBridgeOperations: this.pendingBridgeOperations.length
+    });
+  }
+
+  /**
+   * Decide whether the pending pool should be sealed into a batch
+   * @returns {string|null} Seal reason, or null to keep waiting
+   */
+  shouldSealBatch() {
+    if (this.pendingTransactions.length === 0 && this.pendingBridgeOperations.length === 0) {
+      return null;
+    }
+
+    if (this.pendingTransactions.length >= this.batchSize) {
+      return 'size';
+    }
+
+    if (this.getPendingGas() >= this.maxGasPerBatch) {
+      return 'gas';
+    }
+
+    const oldest = Math.min(
+      ...this.pendingTransactions.map(tx => tx.timestamp),
+      ...this.pendingBridgeOperations.map(op => op.timestamp)
+    );
+
+    if (Date.now() - oldest >= this.batchTimeout) {
+      return 'timeout';
+    }
+
+    return null;
+  }
+
+  /**
+   * Check whether this node may seal a batch in the current slot
+   * @returns {boolean} True without a validator set or while this node is an eligible proposer
+   */
+  isCurrentProposer() {
+    return !this.proposerSchedule || this.proposerSchedule.isProposer(this.sequencerAddress);
+  }
+
+  /**
+   * Seal a batch, never running two seals at once
+   * @param {string} reason - Why the batch is being sealed
+   */
+  async sealBatch(reason) {
+    if (this.sealingPromise) {
+      return this.sealingPromise;
+    }
+
+    if (!this.isCurrentProposer()) {
+      throw new DefiRainError('NOT_PROPOSER', 'This node is not the current batch proposer', {
+        sequencerAddress: this.sequencerAddress,
+        eligibleProposers: this.proposerSchedule.getEligibleProposers()
+      }, 409);
+    }
+
+    logger.debug('Sealing batch', {
+      reason,
+      pendingTransactions: this.pendingTransactions.length
+    });
+
+    this.sealingPromise = this.createBatch().finally(() => {
+      this.sealingPromise = null;
+    });
+
+    return this.sealingPromise;
+  }
+
+  /**
+   * Estimate the gas a transaction consumes in a batch
+   * @param {Object} transaction - Transaction object
+   * @returns {number} Gas estimate
+   */
+  estimateTransactionGas(transaction) {
+    const data = ethers.getBytes(transaction.data || '0x');
+    let calldataGas = 0;
+
+    for (const byte of data) {
+      calldataGas += byte === 0 ? ZERO_BYTE_GAS : NONZERO_BYTE_GAS;
+    }
+
+    return INTRINSIC_GAS + calldataGas;
+  }
+
+  /**
+   * Get the total estimated gas of the pending pool
+   * @returns {number} Pending gas
+   */
+  getPendingGas() {
+    return this.pendingTransactions.reduce((sum, tx) => sum + tx.gas, 0);
+  }
+
+  /**
+   * Take the best paying transactions off the pending pool until the batch is
+   * full by count or gas. Each sender's transactions stay in nonce order, so
+   * only the lowest pending nonce of every sender competes on tip.
+   * @returns {Array} Transactions for the next batch
+   */
+  selectBatchTransactions() {
+    const baseFee = this.feeMarket.baseFee;
+    const queues = new Map();
+
+    for (const transaction of this.pendingTransactions) {
+      if (!queues.has(transaction.sender)) {
+        queues.set(transaction.sender, []);
+      }
+      queues.get(transaction.sender).push(transaction);
+    }
+
+    const selected = [];
+    let gas = 0;
+
+    while (selected.length < this.batchSize && queues.size > 0) {
+      let best = null;
+      let bestTip = -1n;
+
+      for (const [sender, queue] of queues) {
+        const tip = this.feeMarket.getEffectiveTip(queue[0], baseFee);
+
+        // Underpriced or too large heads block the rest of that sender's queue
+        if (tip === null || gas + queue[0].gas > this.maxGasPerBatch) {
+          queues.delete(sender);
+          continue;
+        }
+
+        if (tip > bestTip) {
+          best = sender;
+          bestTip = tip;
+        }
+      }
+
+      if (best === null) {
+        break;
+      }
+
+      const queue = queues.get(best);
+      const transaction = queue.shift();
+      selected.push(transaction);
+      gas += transaction.gas;
+
+      if (queue.length === 0) {
+        queues.delete(best);
+      }
+    }
+
+    const selectedSet = new Set(selected);
+    this.pendingTransactions = this.pendingTransactions.filter(tx => !selectedSet.has(tx));
+
+    return selected;
+  }
+
   /**
    * Create a new batch
    */
   async createBatch() {
     try {
-      if (this.pendingTransactions.length === 0) {
+      if (this.pendingTransactions.length === 0 && this.pendingBridgeOperations.length === 0) {
+        return;
+      }
+
+      const candidates = this.selectBatchTransactions();
+      if (candidates.length === 0 && this.pendingBridgeOperations.length === 0) {
         return;
       }
 
-      const batchTransactions = this.pendingTransactions.splice(0, this.batchSize);
       const batchId = this.generateBatchId();
       
       const batch = {
         id: batchId,
-        transactions: batchTransactions,
+        index: this.batchCounter,
+        transactions: [],
+        rejectedTransactions: [],
+        bridgeOperations: this.pendingBridgeOperations.splice(0),
+        preStateRoot: this.stateRoot,
         stateRoot: null,
+        sequencerAddress: this.sequencerAddress,
+        proposerSlot: this.proposerSchedule ? this.proposerSchedule.getSlot(Date.now()) : null,
         merkleRoot: null,
+        withdrawalRoot: null,
+        attestations: [],
+        attestedAt: null,
         timestamp: Date.now(),
         status: 'pending',
-        gasUsed: 0
+        gasUsed: 0,
+        submissionAttempts: 0,
+        baseFee: this.feeMarket.baseFee.toString()
       };
 
+      // Execute transactions against the L2 state, keeping the pre-state for fraud proofs
+      this.batchSnapshots.set(batchId, this.sealedSnapshot);
+      this.executeBatch(batch, candidates);
+      this.sealedSnapshot = this.stateManager.snapshot();
+      this.nonceRegistry.prune();
+
       // Calculate state root and merkle root
       await this.calculateBatchRoots(batch);
+
+      // Price the next batch from this batch's gas utilization
+      this.feeMarket.updateBaseFee(batch.gasUsed);
+      this.feeMarket.recordTips(batch.transactions.map(tx => BigInt(tx.effectiveTip)));
       
+      batch.status = 'sealed';
+      this.stateRoot = batch.stateRoot;
       this.batches.set(batchId, batch);
       this.batchCounter++;
 
       logger.info('Batch created', {
         batchId,
         transactionCount: batch.transactions.length,
-        merkleRoot: batch.merkleRoot
+        rejectedCount: batch.rejectedTransactions.length,
+        bridgeOperationCount: batch.bridgeOperations.length,
+        merkleRoot: batch.merkleRoot,
+        gasUsed: batch.gasUsed
+      });
+
+      // Keep the pre-state durable until the batch can no longer be challenged
+      await this.storage.save('state_snapshots', batchId, {
+        batchId,
+        accounts: this.batchSnapshots.get(batchId)
       });
 
-      // Submit batch to Layer1
-      await this.submitBatchToLayer1(batch);
+      await this.persistBatch(batch);
+      await this.persistState();
+
+      // Without validators to wait for the batch is attested right away
+      await this.attestationCollector.checkQuorum(batch);
+
+      // Post attested batches to Layer1 in order
+      await this.submitSealedBatches();
     } catch (error) {
       logger.logError(error, { operation: 'createBatch' });
       throw error;
     }
   }
 
+  /**
+   * Execute candidate transactions in order, keeping those that apply cleanly
+   * @param {Object} batch - Batch being built
+   * @param {Array} transactions - Candidate transactions
+   */
+  executeBatch(batch, transactions) {
+    const baseFee = BigInt(batch.baseFee);
+
+    for (const transaction of transactions) {
+      try {
+        const tip = this.feeMarket.getEffectiveTip(transaction, baseFee);
+
+        // The base fee portion is burned and the tip goes to the sequencer
+        this.stateManager.applyTransaction(transaction, {
+          fee: this.calculateFee(transaction, baseFee),
+          reward: BigInt(transaction.gas) * tip,
+          feeRecipient: this.sequencerAddress || ethers.ZeroAddress
+        });
+
+        transaction.status = 'executed';
+        transaction.effectiveTip = tip.toString();
+        transaction.effectiveGasPrice = (baseFee + tip).toString();
+        transaction.postStateRoot = this.stateManager.computeRoot();
+        transaction.gasUsed = transaction.gas;
+        batch.transactions.push(transaction);
+        batch.gasUsed += transaction.gas;
+      } catch (error) {
+        if (!(error instanceof DefiRainError)) {
+          throw error;
+        }
+
+        transaction.status = 'rejected';
+        transaction.error = error.code;
+        batch.rejectedTransactions.push({
+          id: transaction.id,
+          hash: transaction.hash,
+          sender: transaction.sender,
+          reason: error.code
+        });
+
+        this.dropSenderTransactions(transaction.sender);
+        this.nonceRegistry.forget(transaction.hash);
+
+        logger.warn('Transaction rejected during execution', {
+          transactionId: transaction.id,
+          sender: transaction.sender,
+          reason: error.code
+        });
+      }
+    }
+  }
+
+  /**
+   * Drop a sender's remaining pool transactions after one of theirs failed,
+   * since later nonces can no longer execute
+   * @param {string} sender - Sender address
+   */
+  dropSenderTransactions(sender) {
+    const dropped = this.pendingTransactions.filter(tx => tx.sender === sender);
+    this.pendingTransactions = this.pendingTransactions.filter(tx => tx.sender !== sender);
+
+    for (const transaction of dropped) {
+      transaction.status = 'dropped';
+      this.nonceRegistry.forget(transaction.hash);
+    }
+
+    this.nonceRegistry.resetAccount(sender);
+  }
+
+  /**
+   * Calculate the fee charged for a transaction
+   * @param {Object} transaction - Transaction object
+   * @param {bigint} baseFee - Base fee of the batch
+   * @returns {bigint} Fee in wei
+   */
+  calculateFee(transaction, baseFee = this.feeMarket.baseFee) {
+    const tip = this.feeMarket.getEffectiveTip(transaction, baseFee);
+    return BigInt(transaction.gas) * (baseFee + tip);
+  }
+
+  /**
+   * Quote fees for a transaction
+   * @param {Object} transaction - Partial transaction, only data is required
+   * @returns {Object} Fee estimate
+   */
+  estimateFees(transaction = {}) {
+    return this.feeMarket.estimate(this.estimateTransactionGas(transaction));
+  }
+
+  /**
+   * Get current fee market data
+   * @returns {Object} Fee data
+   */
+  getFeeData() {
+    return {
+      ...this.feeMarket.getStats(this.getPendingGas()),
+      standard: this.feeMarket.estimate(INTRINSIC_GAS).standard
+    };
+  }
+
+  /**
+   * Credit a completed bridge deposit to the L2 state
+   * @param {Object} deposit - Deposit object
+   */
+  async applyDeposit(deposit) {
+    this.stateManager.credit(deposit.userAddress, deposit.tokenAddress, deposit.amount);
+    this.pendingBridgeOperations.push({
+      type: 'deposit',
+      id: deposit.id,
+      account: ethers.getAddress(deposit.userAddress),
+      token: deposit.tokenAddress,
+      amount: deposit.amount.toString(),
+      timestamp: Date.now()
+    });
+
+    await this.persistState();
+
+    logger.info('Deposit credited to L2 state', {
+      depositId: deposit.id,
+      account: deposit.userAddress
+    });
+  }
+
+  /**
+   * Take back the credit of a deposit whose Layer1 block was reorganized away.
+   * A credit not yet batched is simply dropped; a batched one is offset by a
+   * reversal operation in the next batch.
+   * @param {Object} deposit - Deposit object
+   */
+  async reverseDeposit(deposit) {
+    this.stateManager.debit(deposit.userAddress, deposit.tokenAddress, deposit.amount);
+
+    const pendingIndex = this.pendingBridgeOperations.findIndex(operation =>
+      operation.type === 'deposit' && operation.id === deposit.id
+    );
+
+    if (pendingIndex !== -1) {
+      this.pendingBridgeOperations.splice(pendingIndex, 1);
+    } else {
+      this.pendingBridgeOperations.push({
+        type: 'deposit_reversal',
+        id: `${deposit.id}_reversal`,
+        account: ethers.getAddress(deposit.userAddress),
+        token: deposit.tokenAddress,
+        amount: deposit.amount.toString(),
+        timestamp: Date.now()
+      });
+    }
+
+    await this.persistState();
+
+    logger.warn('Deposit credit reversed after Layer1 reorg', {
+      depositId: deposit.id,
+      account: deposit.userAddress
+    });
+  }
+
+  /**
+   * Debit a bridge withdrawal from the L2 state
+   * @param {Object} withdrawal - Withdrawal object
+   */
+  async applyWithdrawal(withdrawal) {
+    this.stateManager.debit(withdrawal.userAddress, withdrawal.tokenAddress, withdrawal.amount);
+    this.pendingBridgeOperations.push({
+      type: 'withdrawal',
+      id: withdrawal.id,
+      account: ethers.getAddress(withdrawal.userAddress),
+      token: withdrawal.tokenAddress,
+      amount: withdrawal.amount.toString(),
+      timestamp: Date.now()
+    });
+
+    await this.persistState();
+
+    logger.info('Withdrawal debited from L2 state', {
+      withdrawalId: withdrawal.id,
+      account: withdrawal.userAddress
+    });
+  }
+
+  /**
+   * Move native L2 funds into or out of staking. The operation is batched like
+   * a bridge operation so fraud proofs replay it.
+   * @param {string} type - stake_lock or stake_release
+   * @param {string} account - Account address
+   * @param {bigint} amount - Amount in wei
+   * @param {string} reference - Delegation or unbonding entry the funds belong to
+   * @returns {Object} Batched operation
+   */
+  async applyStakeOperation(type, account, amount, reference) {
+    const operation = {
+      type,
+      id: `${type}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      reference,
+      account: ethers.getAddress(account),
+      token: ethers.ZeroAddress,
+      amount: amount.toString(),
+      timestamp: Date.now()
+    };
+
+    this.stateManager.applyOperation(operation);
+    this.pendingBridgeOperations.push(operation);
+
+    await this.persistState();
+
+    logger.info('Stake funds moved in L2 state', {
+      type,
+      account: operation.account,
+      amount: operation.amount,
+      reference
+    });
+
+    return operation;
+  }
+
   /**
    * Calculate batch roots
    * @param {Object} batch - Batch object
@@ -231,25 +950,21 @@ class RollupManager {
   async calculateBatchRoots(batch) {
     try {
       // Calculate Merkle root of transactions
-      const transactionHashes = batch.transactions.map(tx => 
-        ethers.keccak256(ethers.toUtf8Bytes(JSON.stringify(tx)))
-      );
+      const transactionHashes = batch.transactions.map(tx => tx.hash);
       
       const merkleTree = new MerkleTree(transactionHashes);
-      batch.merkleRoot = merkleTree.getRoot();
+      batch.merkleRoot = merkleTree.getRoot() ? '0x' + merkleTree.getRoot() : EMPTY_MERKLE_ROOT;
 
-      // Calculate new state root (simplified)
-      batch.stateRoot = ethers.keccak256(
-        ethers.concat([
-          this.stateRoot,
-          batch.merkleRoot,
-          ethers.toUtf8Bytes(batch.id)
-        ])
-      );
+      // Withdrawal root lets users prove their burn on L1 once the batch is final
+      batch.withdrawalRoot = this.computeWithdrawalRoot(batch.bridgeOperations);
+
+      // State root commits to every account after execution
+      batch.stateRoot = this.stateManager.computeRoot();
 
       logger.debug('Batch roots calculated', {
         batchId: batch.id,
         merkleRoot: batch.merkleRoot,
+        withdrawalRoot: batch.withdrawalRoot,
         stateRoot: batch.stateRoot
       });
     } catch (error) {
@@ -258,43 +973,446 @@ class RollupManager {
     }
   }
 
+  /**
+   * Submit attested batches to Layer1 in index order, stopping at the first
+   * batch still collecting attestations or failing to submit so batches
+   * never land on L1 out of order
+   */
+  async submitSealedBatches() {
+    if (this.submissionPromise) {
+      return this.submissionPromise;
+    }
+
+    this.submissionPromise = (async () => {
+      const queued = this.getAllBatches()
+        .filter(batch => ['sealed', 'attested'].includes(batch.status))
+        .sort((a, b) => a.index - b.index);
+
+      for (const batch of queued) {
+        if (batch.status !== 'attested') {
+          break;
+        }
+
+        try {
+          await this.submitBatchToLayer1(batch);
+        } catch (error) {
+          batch.lastSubmissionError = error.shortMessage || error.message;
+          break;
+        } finally {
+          await this.persistBatch(batch);
+        }
+      }
+    })().finally(() => {
+      this.submissionPromise = null;
+    });
+
+    return this.submissionPromise;
+  }
+
   /**
    * Submit batch to Layer1
    * @param {Object} batch - Batch to submit
    */
   async submitBatchToLayer1(batch) {
     try {
-      // In a real implementation, this would submit to the actual contract
+      if (!this.submitter) {
+        throw new Error('Sequencer private key not configured');
+      }
+
       const batchData = this.encodeBatchData(batch);
-      
-      // Mock transaction for now
-      const tx = {
+      const request = {
         to: this.contract.address,
         data: this.contract.interface.encodeFunctionData('submitBatch', [
           batch.stateRoot,
+          batch.merkleRoot,
           batchData
-        ]),
-        gasLimit: this.maxGasPerBatch
+        ])
       };
 
+      // Progress is kept on the batch so a retry replaces the earlier attempt at the same nonce
+      batch.submission = batch.submission || { nonce: null, hashes: [], fees: null };
+      const { receipt, attempts } = await this.submitter.submit(request, batch.submission, {
+        onBroadcast: () => this.persistBatch(batch)
+      });
+
       batch.status = 'submitted';
-      batch.layer1TxHash = '0x' + Math.random().toString(16).substring(2, 66);
+      batch.submissionAttempts += attempts;
+      batch.layer1TxHash = receipt.hash;
+      batch.layer1BlockNumber = receipt.blockNumber;
+      batch.layer1BlockHash = receipt.blockHash;
+      batch.layer1GasUsed = receipt.gasUsed.toString();
+      batch.lastSubmissionError = null;
+      batch.submittedAt = Date.now();
+      batch.challengeDeadline = batch.submittedAt + this.challengePeriod;
       
       logger.info('Batch submitted to Layer1', {
         batchId: batch.id,
         layer1TxHash: batch.layer1TxHash,
+        blockNumber: batch.layer1BlockNumber,
+        gasUsed: batch.layer1GasUsed,
         stateRoot: batch.stateRoot
       });
-
-      // Update state root
-      this.stateRoot = batch.stateRoot;
     } catch (error) {
       logger.logError(error, { operation: 'submitBatchToLayer1', batchId: batch.id });
-      batch.status = 'failed';
       throw error;
     }
   }
 
+  /**
+   * Record where a submitted batch transaction now sits on Layer1 after a reorg
+   * @param {Object} batch - Submitted batch
+   * @param {Object|null} receipt - Receipt on the canonical chain, null while
+   * the transaction waits in the mempool to be mined again
+   */
+  async recordBatchInclusion(batch, receipt) {
+    batch.layer1BlockNumber = receipt ? receipt.blockNumber : null;
+    batch.layer1BlockHash = receipt ? receipt.blockHash : null;
+    await this.persistBatch(batch);
+
+    logger.warn('Batch submission moved by Layer1 reorg', {
+      batchId: batch.id,
+      layer1TxHash: batch.layer1TxHash,
+      blockNumber: batch.layer1BlockNumber
+    });
+  }
+
+  /**
+   * Send a batch whose Layer1 submission was reorganized away back to the
+   * submission queue. Its attestations still cover the same roots.
+   * @param {Object} batch - Submitted batch
+   */
+  async resetBatchSubmission(batch) {
+    const layer1TxHash = batch.layer1TxHash;
+
+    batch.status = 'attested';
+    batch.layer1TxHash = null;
+    batch.layer1BlockNumber = null;
+    batch.layer1BlockHash = null;
+    batch.layer1GasUsed = null;
+    batch.submittedAt = null;
+    batch.challengeDeadline = null;
+    await this.persistBatch(batch);
+
+    logger.warn('Batch submission reorganized away, queued for resubmission', {
+      batchId: batch.id,
+      layer1TxHash
+    });
+  }
+
+  /**
+   * Mark a batch final once its challenge window passed without a successful dispute
+   * @param {Object} batch - Batch to finalize
+   */
+  async finalizeBatch(batch) {
+    batch.status = 'finalized';
+    batch.finalizedAt = Date.now();
+
+    this.latestFinalizedStateRoot = batch.stateRoot;
+    this.latestFinalizedBatchIndex = batch.index;
+
+    // A finalized batch can no longer be challenged, so its pre-state is not needed
+    this.batchSnapshots.delete(batch.id);
+
+    await this.persistBatch(batch);
+    await this.storage.remove('state_snapshots', batch.id);
+    await this.persistState();
+
+    logger.info('Batch finalized', {
+      batchId: batch.id,
+      stateRoot: batch.stateRoot
+    });
+  }
+
+  /**
+   * Find the live batch that included a bridge operation
+   * @param {string} operationId - Deposit or withdrawal ID
+   * @returns {Object|null} Batch object
+   */
+  getBridgeOperationBatch(operationId) {
+    return this.getAllBatches().find(batch =>
+      batch.status !== 'reverted' && batch.bridgeOperations.some(operation => operation.id === operationId)
+    ) || null;
+  }
+
+  /**
+   * Hash a withdrawal into its leaf of the batch withdrawal tree
+   * @param {Object} operation - Withdrawal bridge operation
+   * @returns {string} Leaf hash
+   */
+  hashWithdrawal(operation) {
+    return ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(
+      ['string', 'address', 'address', 'uint256'],
+      [operation.id, operation.account, operation.token, operation.amount]
+    ));
+  }
+
+  /**
+   * Build the Merkle tree over the withdrawals of a batch, in batch order
+   * @param {Array} operations - Bridge operations of the batch
+   * @returns {Object} Withdrawal operations and their tree
+   */
+  buildWithdrawalTree(operations) {
+    const withdrawals = operations.filter(operation => operation.type === 'withdrawal');
+
+    return {
+      withdrawals,
+      tree: new MerkleTree(withdrawals.map(operation => this.hashWithdrawal(operation)))
+    };
+  }
+
+  /**
+   * Compute the withdrawal root committed by a batch
+   * @param {Array} operations - Bridge operations of the batch
+   * @returns {string} Withdrawal root
+   */
+  computeWithdrawalRoot(operations) {
+    const root = this.buildWithdrawalTree(operations).tree.getRoot();
+    return root ? '0x' + root : EMPTY_MERKLE_ROOT;
+  }
+
+  /**
+   * Get the inclusion proof of a batched withdrawal
+   * @param {string} withdrawalId - Withdrawal ID
+   * @returns {Object|null} Leaf, sibling path and withdrawal root
+   */
+  getWithdrawalProof(withdrawalId) {
+    const batch = this.getBridgeOperationBatch(withdrawalId);
+    if (!batch) {
+      return null;
+    }
+
+    const { withdrawals, tree } = this.buildWithdrawalTree(batch.bridgeOperations);
+    const leafIndex = withdrawals.findIndex(operation => operation.id === withdrawalId);
+    if (leafIndex === -1) {
+      return null;
+    }
+
+    return {
+      withdrawalId,
+      batchId: batch.id,
+      batchIndex: batch.index,
+      batchStatus: batch.status,
+      leafIndex,
+      leaf: this.hashWithdrawal(withdrawals[leafIndex]),
+      proof: tree.getProof(leafIndex),
+      withdrawalRoot: batch.withdrawalRoot
+    };
+  }
+
+  /**
+   * Verify a withdrawal against the withdrawal root of a batch
+   * @param {Object} batch - Batch that committed the withdrawal
+   * @param {Object} operation - Withdrawal as { id, account, token, amount }
+   * @param {Array} proof - Sibling path from the leaf to the root
+   * @returns {boolean} Whether the withdrawal is committed by the batch
+   */
+  verifyWithdrawalProof(batch, operation, proof) {
+    if (!Array.isArray(proof) || !batch.withdrawalRoot || batch.withdrawalRoot === EMPTY_MERKLE_ROOT) {
+      return false;
+    }
+
+    const merkleTree = new MerkleTree();
+    const leaf = merkleTree.hashLeaf(this.hashWithdrawal(operation));
+    return merkleTree.verifyProof(leaf, proof, batch.withdrawalRoot.slice(2));
+  }
+
+  /**
+   * Get the inclusion proof of a batched transaction
+   * @param {string} batchId - Batch ID
+   * @param {number} transactionIndex - Transaction index in the batch
+   * @returns {Object|null} Transaction hash, proof and merkle root
+   */
+  getTransactionProof(batchId, transactionIndex) {
+    const batch = this.batches.get(batchId);
+    if (!batch || !batch.transactions[transactionIndex]) {
+      return null;
+    }
+
+    const merkleTree = new MerkleTree(batch.transactions.map(tx => tx.hash));
+
+    return {
+      batchId,
+      transactionIndex,
+      transactionHash: batch.transactions[transactionIndex].hash,
+      proof: merkleTree.getProof(transactionIndex),
+      merkleRoot: batch.merkleRoot
+    };
+  }
+
+  /**
+   * Challenge a batch by disputing one of its transactions
+   * @param {string} batchId - Batch ID
+   * @param {string} challenger - Challenger address
+   * @param {Object} challenge - Transaction index, transaction and Merkle proof
+   * @returns {Object} Challenge record
+   */
+  async challengeBatch(batchId, challenger, challenge) {
+    try {
+      const batch = this.batches.get(batchId);
+      if (!batch) {
+        throw new DefiRainError('BATCH_NOT_FOUND', 'Batch not found', {}, 404);
+      }
+
+      if (batch.status !== 'submitted') {
+        throw new DefiRainError('BATCH_NOT_CHALLENGEABLE', `Batch is ${batch.status}`);
+      }
+
+      if (Date.now() > batch.challengeDeadline) {
+        throw new DefiRainError('CHALLENGE_WINDOW_CLOSED', 'Challenge window has closed', {
+          challengeDeadline: batch.challengeDeadline
+        });
+      }
+
+      const { transactionIndex, transaction, proof, signature } = challenge;
+
+      if (!this.isChallengerAuthorized(batchId, challenger, transactionIndex, signature)) {
+        throw new DefiRainError('UNAUTHORIZED_CHALLENGER', 'Challenger is not an authorized validator', {}, 403);
+      }
+
+      const committed = batch.transactions[transactionIndex];
+      const transactionHash = this.hashTransaction(transaction);
+
+      // The sorted-pair tree does not bind positions, so also match the committed hash
+      if (!committed || committed.hash !== transactionHash ||
+          !this.fraudProofVerifier.verifyInclusion(batch, transactionHash, proof)) {
+        throw new DefiRainError('INVALID_INCLUSION_PROOF', 'Transaction is not included in the batch at that index');
+      }
+
+      const record = {
+        challenger,
+        transactionIndex,
+        transactionHash,
+        timestamp: Date.now(),
+        result: null,
+        reason: null,
+        layer1Calldata: this.contract.interface.encodeFunctionData('challengeBatch', [
+          batch.index,
+          `fraud proof for transaction ${transactionIndex}`
+        ])
+      };
+
+      // Replaying the pre-state can throw, so the batch is only touched once there is a verdict
+      const verdict = this.fraudProofVerifier.verify(batch, this.batchSnapshots.get(batch.id), transactionIndex);
+
+      record.reason = verdict.reason;
+      batch.challenges = [...(batch.challenges || []), record];
+
+      if (verdict.fraudulent) {
+        record.result = 'accepted';
+        batch.status = 'challenged';
+        await this.revertFromBatch(batch);
+
+        if (this.validatorManager) {
+          const slashes = await this.validatorManager.slashForFraudulentBatch(batch, record);
+          record.slashes = slashes.map(slash => slash.id);
+          await this.persistBatch(batch);
+        }
+      } else {
+        record.result = 'rejected';
+        await this.persistBatch(batch);
+      }
+
+      logger.info('Batch challenge resolved', {
+        batchId,
+        challenger,
+        transactionIndex,
+        result: record.result,
+        reason: record.reason
+      });
+
+      return record;
+    } catch (error) {
+      logger.logError(error, { operation: 'challengeBatch', batchId });
+      throw error;
+    }
+  }
+
+  /**
+   * Check that a challenge was signed by a configured validator
+   * @param {string} batchId - Batch ID
+   * @param {string} challenger - Challenger address
+   * @param {number} transactionIndex - Disputed transaction index
+   * @param {string} signature - Signature over the challenge message
+   * @returns {boolean} True if authorized
+   */
+  isChallengerAuthorized(batchId, challenger, transactionIndex, signature) {
+    try {
+      const validators = config.rollup.validatorAddresses.map(address => ethers.getAddress(address));
+      const message = `Defi-Rain challenge ${batchId} ${transactionIndex}`;
+      const signer = ethers.verifyMessage(message, signature);
+
+      return signer === ethers.getAddress(challenger) && validators.includes(signer);
+    } catch (error) {
+      logger.warn('Challenge signature verification failed', { batchId, challenger });
+      return false;
+    }
+  }
+
+  /**
+   * Revert a fraudulent batch and every batch built on top of it
+   * @param {Object} fraudulentBatch - Batch proven fraudulent
+   */
+  async revertFromBatch(fraudulentBatch) {
+    const reverted = this.getAllBatches()
+      .filter(batch => batch.index >= fraudulentBatch.index && batch.status !== 'reverted')
+      .sort((a, b) => a.index - b.index);
+
+    // Bridge operations happened on L1 and must survive the rollback
+    const operations = [];
+    const senders = new Set();
+
+    for (const batch of reverted) {
+      batch.status = 'reverted';
+      batch.revertedAt = Date.now();
+      operations.push(...batch.bridgeOperations);
+
+      for (const transaction of batch.transactions) {
+        transaction.status = 'reverted';
+        senders.add(transaction.sender);
+        this.nonceRegistry.forget(transaction.hash);
+      }
+    }
+
+    operations.push(...this.pendingBridgeOperations);
+
+    this.stateManager.restore(this.batchSnapshots.get(fraudulentBatch.id));
+    this.sealedSnapshot = this.stateManager.snapshot();
+    this.stateRoot = fraudulentBatch.preStateRoot;
+
+    for (const batch of reverted) {
+      this.batchSnapshots.delete(batch.id);
+      await this.storage.remove('state_snapshots', batch.id);
+      await this.persistBatch(batch);
+    }
+
+    this.pendingBridgeOperations = [];
+    for (const operation of operations) {
+      try {
+        this.stateManager.applyOperation(operation);
+        this.pendingBridgeOperations.push(operation);
+      } catch (error) {
+        logger.warn('Bridge operation could not be replayed after revert', {
+          operationId: operation.id,
+          type: operation.type,
+          reason: error.code || error.message
+        });
+      }
+    }
+
+    // Senders' nonces moved back, so their pool transactions no longer line up
+    for (const sender of senders) {
+      this.dropSenderTransactions(sender);
+    }
+
+    await this.persistState();
+
+    logger.warn('Batches reverted after successful challenge', {
+      fromBatch: fraudulentBatch.id,
+      revertedCount: reverted.length,
+      stateRoot: this.stateRoot
+    });
+  }
+
   /**
    * Encode batch data
    * @param {Object} batch - Batch to encode
@@ -302,25 +1420,44 @@ class RollupManager {
    */
   encodeBatchData(batch) {
     try {
-      const batchData = {
-        id: batch.id,
-        transactions: batch.transactions.map(tx => ({
-          from: tx.from,
-          to: tx.to,
-          value: tx.value,
-          data: tx.data,
-          nonce: tx.nonce
-        })),
-        timestamp: batch.timestamp
+      const { data, rawSize, encodedSize, compressionRatio } = this.batchCodec.encode(batch);
+
+      batch.encoding = {
+        version: BatchCodec.BATCH_FORMAT_VERSION,
+        compression: this.batchCodec.compression,
+        rawSize,
+        encodedSize,
+        compressionRatio
       };
 
-      return ethers.toUtf8Bytes(JSON.stringify(batchData));
+      return data;
     } catch (error) {
       logger.logError(error, { operation: 'encodeBatchData', batchId: batch.id });
       throw error;
     }
   }
 
+  /**
+   * Reconstruct batch contents from submitBatch calldata
+   * @param {string} calldata - Layer1 transaction input
+   * @returns {Object} Decoded batch with recomputed transaction hashes
+   */
+  decodeBatchCalldata(calldata) {
+    const [stateRoot, merkleRoot, batchData] = this.contract.interface.decodeFunctionData('submitBatch', calldata);
+    const batch = this.batchCodec.decode(batchData);
+
+    for (const transaction of batch.transactions) {
+      transaction.hash = this.hashTransaction(transaction);
+    }
+
+    return {
+      ...batch,
+      stateRoot,
+      merkleRoot,
+      withdrawalRoot: this.computeWithdrawalRoot(batch.bridgeOperations)
+    };
+  }
+
   /**
    * Generate transaction ID
    * @returns {string} Transaction ID
@@ -342,12 +1479,74 @@ class RollupManager {
    * @returns {Object} Statistics
    */
   getStats() {
+    const totalGasUsed = this.getAllBatches().reduce((sum, batch) => sum + batch.gasUsed, 0);
+    const averageGasPerBatch = this.batches.size > 0 ? Math.round(totalGasUsed / this.batches.size) : 0;
+    const gasPrice = BigInt(config.blockchain.ethereum.gasPrice);
+    const encodedBatches = this.getAllBatches().filter(batch => batch.encoding);
+    const averageCompressionRatio = encodedBatches.length > 0
+      ? Number((encodedBatches.reduce((sum, batch) => sum + batch.encoding.compressionRatio, 0) / encodedBatches.length).toFixed(2))
+      : null;
+
     return {
       totalBatches: this.batches.size,
+      totalGasUsed,
+      averageGasPerBatch,
+      maxGasPerBatch: this.maxGasPerBatch,
+      estimatedL1CostPerBatch: (BigInt(averageGasPerBatch) * gasPrice).toString(),
+      estimatedPendingL1Cost: (BigInt(this.getPendingGas()) * gasPrice).toString(),
+      batchCompression: this.batchCodec.compression,
+      totalCalldataBytes: encodedBatches.reduce((sum, batch) => sum + batch.encoding.encodedSize, 0),
+      averageCompressionRatio,
       pendingTransactions: this.pendingTransactions.length,
+      awaitingAttestation: this.getAllBatches('sealed').length,
+      attestationThresholdBps: this.attestationCollector.thresholdBps,
+      pendingGas: this.getPendingGas(),
+      baseFee: this.feeMarket.baseFee.toString(),
+      sequencerRunning: this.sequencerTimer !== null,
+      queuedTransactions: this.nonceRegistry.getQueuedCount(),
       stateRoot: this.stateRoot,
+      latestFinalizedStateRoot: this.latestFinalizedStateRoot,
+      latestFinalizedBatchIndex: this.latestFinalizedBatchIndex,
       batchCounter: this.batchCounter,
-      sequencerAddress: this.sequencerAddress
+      sequencerAddress: this.sequencerAddress,
+      isCurrentProposer: this.isCurrentProposer(),
+      challengePeriod: this.challengePeriod,
+      accountCount: this.stateManager.accounts.size
+    };
+  }
+
+  /**
+   * Get nonce information for an account
+   * @param {string} address - Account address
+   * @returns {Object} Next nonce and queued nonces
+   */
+  getAccountNonce(address) {
+    return {
+      address: ethers.getAddress(address),
+      nonce: this.nonceRegistry.getNextNonce(address),
+      queuedNonces: this.nonceRegistry.getQueuedNonces(address)
+    };
+  }
+
+  /**
+   * Get an account's L2 state
+   * @param {string} address - Account address
+   * @returns {Object} Account nonce and balances
+   */
+  getAccountState(address) {
+    const account = this.stateManager.getAccount(address);
+    const balances = {};
+
+    if (account) {
+      for (const [token, balance] of account.balances) {
+        balances[token] = balance.toString();
+      }
+    }
+
+    return {
+      address: ethers.getAddress(address),
+      nonce: account ? account.nonce : 0,
+      balances
     };
   }
 
@@ -362,11 +1561,14 @@ class RollupManager {
 
   /**
    * Get all batches
+   * @param {string} status - Only return batches with this status
    * @returns {Array} Array of batches
    */
-  getAllBatches() {
-    return Array.from(this.batches.values());
+  getAllBatches(status) {
+    const batches = Array.from(this.batches.values());
+    return status ? batches.filter(batch => batch.status === status) : batches;
   }
 }
 
 module.exports = RollupManager;
+module.exports.TRANSACTION_TYPES = TRANSACTION_TYPES;
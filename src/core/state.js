@@ -0,0 +1,235 @@
+const { ethers } = require('ethers');
+const MerkleTree = require('../utils/merkle');
+const logger = require('../utils/logger');
+const { DefiRainError } = require('../utils/errors');
+
+const NATIVE_TOKEN = ethers.ZeroAddress;
+
+// Batched operations that add funds to an account; every other type removes them
+const CREDIT_OPERATIONS = ['deposit', 'stake_release'];
+
+class StateManager {
+  constructor() {
+    this.accounts = new Map();
+  }
+
+  /**
+   * Get an account, creating it when requested
+   * @param {string} address - Account address
+   * @param {boolean} create - Create the account if missing
+   * @returns {Object|null} Account with nonce and balances
+   */
+  getAccount(address, create = false) {
+    const key = ethers.getAddress(address);
+
+    if (!this.accounts.has(key) && create) {
+      this.accounts.set(key, { address: key, nonce: 0, balances: new Map() });
+    }
+
+    return this.accounts.get(key) || null;
+  }
+
+  /**
+   * Get an account balance
+   * @param {string} address - Account address
+   * @param {string} token - Token address (native token if omitted)
+   * @returns {bigint} Balance
+   */
+  getBalance(address, token = NATIVE_TOKEN) {
+    const account = this.getAccount(address);
+    return account ? account.balances.get(ethers.getAddress(token)) || 0n : 0n;
+  }
+
+  /**
+   * Get an account nonce
+   * @param {string} address - Account address
+   * @returns {number} Number of executed transactions
+   */
+  getNonce(address) {
+    const account = this.getAccount(address);
+    return account ? account.nonce : 0;
+  }
+
+  /**
+   * Credit an account
+   * @param {string} address - Account address
+   * @param {string} token - Token address
+   * @param {bigint} amount - Amount to credit
+   */
+  credit(address, token, amount) {
+    const value = BigInt(amount);
+    if (value === 0n) {
+      return;
+    }
+
+    const account = this.getAccount(address, true);
+    const key = ethers.getAddress(token || NATIVE_TOKEN);
+    account.balances.set(key, (account.balances.get(key) || 0n) + value);
+  }
+
+  /**
+   * Debit an account
+   * @param {string} address - Account address
+   * @param {string} token - Token address
+   * @param {bigint} amount - Amount to debit
+   */
+  debit(address, token, amount) {
+    const value = BigInt(amount);
+    const key = ethers.getAddress(token || NATIVE_TOKEN);
+    const available = this.getBalance(address, key);
+
+    if (available < value) {
+      throw new DefiRainError('INSUFFICIENT_BALANCE', 'Insufficient balance', {
+        available: available.toString(),
+        required: value.toString()
+      });
+    }
+
+    if (value === 0n) {
+      return;
+    }
+
+    const account = this.getAccount(address);
+    if (available === value) {
+      account.balances.delete(key);
+    } else {
+      account.balances.set(key, available - value);
+    }
+  }
+
+  /**
+   * Apply a batched bridge or staking operation
+   * @param {Object} operation - Operation with type, account, token and amount
+   */
+  applyOperation(operation) {
+    if (CREDIT_OPERATIONS.includes(operation.type)) {
+      this.credit(operation.account, operation.token, operation.amount);
+    } else {
+      this.debit(operation.account, operation.token, operation.amount);
+    }
+  }
+
+  /**
+   * Execute a transfer transaction against the state
+   * @param {Object} transaction - Transaction with recovered sender
+   * @param {Object} options - Fee charged, reward paid out of it and its recipient
+   */
+  applyTransaction(transaction, options = {}) {
+    const sender = ethers.getAddress(transaction.sender || transaction.from);
+    const value = BigInt(transaction.value);
+    const fee = BigInt(options.fee || 0);
+    const reward = options.reward !== undefined ? BigInt(options.reward) : fee;
+    const expectedNonce = this.getNonce(sender);
+
+    if (Number(transaction.nonce) !== expectedNonce) {
+      throw new DefiRainError('NONCE_MISMATCH', 'Transaction nonce does not match account nonce', {
+        nonce: Number(transaction.nonce),
+        expectedNonce
+      });
+    }
+
+    // Check the full cost up front so a failed transfer leaves no partial debit
+    const available = this.getBalance(sender);
+    if (available < value + fee) {
+      throw new DefiRainError('INSUFFICIENT_BALANCE', 'Insufficient balance', {
+        available: available.toString(),
+        required: (value + fee).toString()
+      });
+    }
+
+    this.debit(sender, NATIVE_TOKEN, value + fee);
+    this.credit(transaction.to, NATIVE_TOKEN, value);
+    // Whatever part of the fee is not paid out as reward is burned
+    if (reward > 0n) {
+      this.credit(options.feeRecipient || NATIVE_TOKEN, NATIVE_TOKEN, reward);
+    }
+
+    this.getAccount(sender, true).nonce++;
+  }
+
+  /**
+   * Hash a single account into a state leaf
+   * @param {Object} account - Account object
+   * @returns {string} Account leaf hash
+   */
+  hashAccount(account) {
+    const tokens = Array.from(account.balances.keys()).sort();
+    const balances = tokens.map(token => account.balances.get(token));
+
+    return ethers.keccak256(
+      ethers.AbiCoder.defaultAbiCoder().encode(
+        ['address', 'uint256', 'address[]', 'uint256[]'],
+        [account.address, account.nonce, tokens, balances]
+      )
+    );
+  }
+
+  /**
+   * Compute the state root over all accounts
+   * @returns {string} State root
+   */
+  computeRoot() {
+    const addresses = Array.from(this.accounts.keys()).sort();
+
+    if (addresses.length === 0) {
+      return ethers.ZeroHash;
+    }
+
+    const leaves = addresses.map(address => this.hashAccount(this.accounts.get(address)));
+    const tree = new MerkleTree(leaves);
+
+    return '0x' + tree.getRoot();
+  }
+
+  /**
+   * Take a serializable snapshot of the state
+   * @returns {Object} Snapshot keyed by address
+   */
+  snapshot() {
+    const snapshot = {};
+
+    for (const [address, account] of this.accounts) {
+      const balances = {};
+      for (const [token, balance] of account.balances) {
+        balances[token] = balance.toString();
+      }
+      snapshot[address] = { nonce: account.nonce, balances };
+    }
+
+    return snapshot;
+  }
+
+  /**
+   * Replace the state with a snapshot
+   * @param {Object} snapshot - Snapshot from snapshot()
+   */
+  restore(snapshot) {
+    this.accounts.clear();
+
+    for (const [address, data] of Object.entries(snapshot || {})) {
+      const balances = new Map();
+      for (const [token, balance] of Object.entries(data.balances)) {
+        balances.set(token, BigInt(balance));
+      }
+      this.accounts.set(address, { address, nonce: data.nonce, balances });
+    }
+
+    logger.debug('State restored from snapshot', {
+      accountCount: this.accounts.size
+    });
+  }
+
+  /**
+   * Get state statistics
+   * @returns {Object} Statistics
+   */
+  getStats() {
+    return {
+      accountCount: this.accounts.size,
+      stateRoot: this.computeRoot()
+    };
+  }
+}
+
+module.exports = StateManager;
+module.exports.NATIVE_TOKEN = NATIVE_TOKEN;
@@ -0,0 +1,231 @@
+const { ethers } = require('ethers');
+const logger = require('../utils/logger');
+const config = require('../config/config');
+
+class L1Submitter {
+  /**
+   * @param {ethers.Provider} provider - Layer1 provider
+   * @param {Object} options - Submission options, defaulting to config.blockchain.ethereum
+   */
+  constructor(provider, options = {}) {
+    const settings = { ...config.blockchain.ethereum, ...options };
+
+    this.provider = provider;
+    this.wallet = new ethers.Wallet(settings.privateKey, provider);
+    this.confirmations = settings.confirmations;
+    this.submissionTimeout = settings.submissionTimeout;
+    this.maxRetries = settings.maxSubmissionRetries;
+    this.feeBumpPercent = BigInt(settings.feeBumpPercent);
+    this.fallbackGasLimit = BigInt(settings.gasLimit);
+  }
+
+  /**
+   * Get the address transactions are sent from
+   * @returns {string} Signer address
+   */
+  get address() {
+    return this.wallet.address;
+  }
+
+  /**
+   * Get starting fees, preferring EIP-1559 when the node supports it
+   * @returns {Object} Fee fields for the transaction
+   */
+  async getInitialFees() {
+    const feeData = await this.provider.getFeeData();
+
+    if (feeData.maxFeePerGas !== null && feeData.maxPriorityFeePerGas !== null) {
+      return {
+        maxFeePerGas: feeData.maxFeePerGas,
+        maxPriorityFeePerGas: feeData.maxPriorityFeePerGas
+      };
+    }
+
+    return { gasPrice: feeData.gasPrice || BigInt(config.blockchain.ethereum.gasPrice) };
+  }
+
+  /**
+   * Raise fees enough for the node to accept a replacement transaction
+   * @param {Object} fees - Current fee fields
+   * @returns {Object} Bumped fee fields
+   */
+  bumpFees(fees) {
+    const bump = (value) => value * (100n + this.feeBumpPercent) / 100n;
+
+    if (fees.gasPrice !== undefined) {
+      return { gasPrice: bump(fees.gasPrice) };
+    }
+
+    return {
+      maxFeePerGas: bump(fees.maxFeePerGas),
+      maxPriorityFeePerGas: bump(fees.maxPriorityFeePerGas)
+    };
+  }
+
+  /**
+   * Estimate gas with headroom, falling back to the configured limit
+   * @param {Object} request - Transaction request
+   * @returns {bigint} Gas limit
+   */
+  async estimateGasLimit(request) {
+    try {
+      const estimate = await this.wallet.estimateGas(request);
+      return estimate * 120n / 100n;
+    } catch (error) {
+      logger.warn('Gas estimation failed, using configured gas limit', {
+        to: request.to,
+        reason: error.shortMessage || error.message
+      });
+      return this.fallbackGasLimit;
+    }
+  }
+
+  /**
+   * Find a receipt for any of the transactions sent for one nonce
+   * @param {Array} hashes - Transaction hashes sent so far
+   * @returns {Object|null} Receipt of the mined transaction
+   */
+  async findMinedReceipt(hashes) {
+    for (const hash of hashes) {
+      const receipt = await this.provider.getTransactionReceipt(hash);
+      if (receipt) {
+        return receipt;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Sign and broadcast a transaction, replacing it with higher fees while it
+   * stays unconfirmed, and wait for the configured confirmations.
+   *
+   * The nonce, last fees and every signed hash are kept in `state`, and each
+   * hash is handed to `onBroadcast` before it is sent. A later call with the
+   * same state first looks for a mined earlier attempt, then replaces it at
+   * the same nonce, so one request never lands on L1 twice.
+   * @param {Object} request - Transaction request with to and data
+   * @param {Object} state - Submission progress to resume, updated in place
+   * @param {Object} options - Submission hooks
+   * @param {Function} options.onBroadcast - Awaited with the state before each broadcast
+   * @returns {Object} Receipt with the number of attempts used
+   */
+  async submit(request, state = {}, options = {}) {
+    const onBroadcast = options.onBroadcast || (async () => {});
+    state.hashes = state.hashes || [];
+
+    const previous = await this.findMinedReceipt(state.hashes);
+    if (previous) {
+      const receipt = await this.provider.waitForTransaction(previous.hash, this.confirmations, this.submissionTimeout);
+      return { receipt: await this.checkReceipt(receipt, state, onBroadcast), attempts: 0 };
+    }
+
+    if (state.nonce === null || state.nonce === undefined) {
+      state.nonce = await this.wallet.getNonce('pending');
+    }
+
+    const nonce = state.nonce;
+    const gasLimit = request.gasLimit || await this.estimateGasLimit(request);
+    let fees = state.fees
+      ? this.bumpFees(Object.fromEntries(Object.entries(state.fees).map(([key, value]) => [key, BigInt(value)])))
+      : await this.getInitialFees();
+
+    for (let attempt = 1; attempt <= this.maxRetries + 1; attempt++) {
+      const populated = await this.wallet.populateTransaction({ ...request, ...fees, nonce, gasLimit });
+      const signed = await this.wallet.signTransaction(populated);
+      const hash = ethers.keccak256(signed);
+
+      // Record the hash before it can be mined so a crash cannot lose track of it
+      state.hashes.push(hash);
+      state.fees = Object.fromEntries(Object.entries(fees).map(([key, value]) => [key, value.toString()]));
+      await onBroadcast(state);
+
+      try {
+        await this.provider.broadcastTransaction(signed);
+
+        logger.info('Layer1 transaction broadcast', {
+          txHash: hash,
+          nonce,
+          attempt
+        });
+      } catch (error) {
+        if (!['NONCE_EXPIRED', 'REPLACEMENT_UNDERPRICED'].includes(error.code)) {
+          throw error;
+        }
+
+        // The nonce is used; unless by an earlier attempt, the next call needs a fresh one
+        if (error.code === 'NONCE_EXPIRED' && !(await this.findMinedReceipt(state.hashes))) {
+          state.nonce = null;
+          state.fees = null;
+          await onBroadcast(state);
+          throw error;
+        }
+      }
+
+      try {
+        const receipt = await this.waitForAny(state.hashes);
+        if (receipt) {
+          return { receipt: await this.checkReceipt(receipt, state, onBroadcast), attempts: attempt };
+        }
+      } catch (error) {
+        if (error.code !== 'TIMEOUT') {
+          throw error;
+        }
+      }
+
+      fees = this.bumpFees(fees);
+      logger.warn('Layer1 transaction not confirmed in time, bumping fees', {
+        nonce,
+        attempt,
+        fees: Object.fromEntries(Object.entries(fees).map(([key, value]) => [key, value.toString()]))
+      });
+    }
+
+    throw new Error(`Layer1 transaction not confirmed after ${this.maxRetries + 1} attempts`);
+  }
+
+  /**
+   * Reject a receipt of a reverted transaction. Its nonce is used up, so the
+   * submission state is cleared for a fresh attempt.
+   * @param {Object} receipt - Transaction receipt
+   * @param {Object} state - Submission state
+   * @param {Function} onBroadcast - Persists the cleared state
+   * @returns {Object} The receipt
+   */
+  async checkReceipt(receipt, state, onBroadcast) {
+    if (receipt.status !== 1) {
+      state.nonce = null;
+      state.hashes = [];
+      state.fees = null;
+      await onBroadcast(state);
+      throw new Error(`Layer1 transaction reverted: ${receipt.hash}`);
+    }
+    return receipt;
+  }
+
+  /**
+   * Wait for the latest attempt to confirm, then check earlier attempts too
+   * @param {Array} hashes - Transaction hashes sent so far
+   * @returns {Object|null} Confirmed receipt
+   */
+  async waitForAny(hashes) {
+    if (hashes.length === 0) {
+      return null;
+    }
+
+    try {
+      return await this.provider.waitForTransaction(
+        hashes[hashes.length - 1],
+        this.confirmations,
+        this.submissionTimeout
+      );
+    } catch (error) {
+      const mined = await this.findMinedReceipt(hashes);
+      if (mined) {
+        return await this.provider.waitForTransaction(mined.hash, this.confirmations, this.submissionTimeout);
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = L1Submitter;
@@ -0,0 +1,242 @@
+const { ethers } = require('ethers');
+const logger = require('../utils/logger');
+const config = require('../config/config');
+const { DefiRainError } = require('../utils/errors');
+const { MemoryStorage } = require('../storage');
+
+// Rolling-window caps a token can carry, enforced by the bridge rate limiter
+const CAP_FIELDS = ['userDepositCap', 'userWithdrawalCap', 'depositCap', 'withdrawalCap', 'hourlyOutflowThreshold'];
+
+class TokenRegistry {
+  /**
+   * @param {Object} options - Registry dependencies
+   * @param {Object} options.storage - Storage backend for registered tokens
+   */
+  constructor(options = {}) {
+    this.storage = options.storage || new MemoryStorage();
+    this.tokens = new Map();
+
+    // Native ETH is always bridgeable
+    this.tokens.set(ethers.ZeroAddress, {
+      l1Address: ethers.ZeroAddress,
+      l2Address: ethers.ZeroAddress,
+      symbol: 'ETH',
+      decimals: 18,
+      minAmount: ethers.parseEther('0.001'),
+      maxAmount: ethers.parseEther('1000'),
+      ...this.parseCaps({ symbol: 'ETH', decimals: 18 }, config.bridge.limits.eth),
+      registeredAt: 0
+    });
+  }
+
+  /**
+   * Parse the rolling-window caps of a token; missing caps are unlimited
+   * @param {Object} token - Token with symbol and decimals
+   * @param {Object} caps - Caps in token units
+   * @returns {Object} Caps in base units, null where unlimited
+   */
+  parseCaps(token, caps = {}) {
+    const parsed = {};
+
+    for (const field of CAP_FIELDS) {
+      parsed[field] = caps[field] ? this.parseAmount(token, caps[field]) : null;
+    }
+
+    return parsed;
+  }
+
+  /**
+   * Load registered tokens from storage
+   */
+  async load() {
+    try {
+      for (const token of await this.storage.load('tokens')) {
+        this.tokens.set(token.l1Address, token);
+      }
+
+      logger.info('Token registry loaded', { tokenCount: this.tokens.size });
+    } catch (error) {
+      logger.logError(error, { operation: 'loadTokens' });
+      throw error;
+    }
+  }
+
+  /**
+   * Register a Layer1 token and its Layer2 counterpart
+   * @param {Object} params - Token parameters
+   * @param {string} params.l1Address - Layer1 token address
+   * @param {string} params.l2Address - Layer2 token address
+   * @param {string} params.symbol - Token symbol
+   * @param {number} params.decimals - Token decimals
+   * @param {string} params.minAmount - Minimum bridge amount, in token units
+   * @param {string} params.maxAmount - Maximum bridge amount, in token units
+   * @param {string} params.userDepositCap - Deposits per user per window, in token units
+   * @param {string} params.userWithdrawalCap - Withdrawals per user per window, in token units
+   * @param {string} params.depositCap - Deposits across users per window, in token units
+   * @param {string} params.withdrawalCap - Withdrawals across users per window, in token units
+   * @param {string} params.hourlyOutflowThreshold - Hourly withdrawals that trip the circuit breaker
+   * @returns {Object} Registered token
+   */
+  async register(params) {
+    try {
+      const { l1Address, l2Address, symbol, decimals, minAmount, maxAmount } = params;
+
+      if (!ethers.isAddress(l1Address) || !ethers.isAddress(l2Address)) {
+        throw new DefiRainError('INVALID_TOKEN', 'Layer1 and Layer2 token addresses must be valid addresses');
+      }
+
+      if (!symbol || typeof symbol !== 'string') {
+        throw new DefiRainError('INVALID_TOKEN', 'Token symbol required');
+      }
+
+      if (!Number.isInteger(decimals) || decimals < 0 || decimals > 36) {
+        throw new DefiRainError('INVALID_TOKEN', 'Token decimals must be an integer between 0 and 36');
+      }
+
+      const address = ethers.getAddress(l1Address);
+      if (this.tokens.has(address)) {
+        throw new DefiRainError('TOKEN_ALREADY_REGISTERED', 'Token is already registered', { l1Address: address }, 409);
+      }
+
+      const token = {
+        l1Address: address,
+        l2Address: ethers.getAddress(l2Address),
+        symbol,
+        decimals,
+        minAmount: 0n,
+        maxAmount: null,
+        registeredAt: Date.now()
+      };
+      token.minAmount = minAmount ? this.parseAmount(token, minAmount) : 0n;
+      token.maxAmount = maxAmount ? this.parseAmount(token, maxAmount) : null;
+      Object.assign(token, this.parseCaps(token, params));
+
+      if (token.maxAmount !== null && token.maxAmount < token.minAmount) {
+        throw new DefiRainError('INVALID_TOKEN', 'Maximum amount is below the minimum amount');
+      }
+
+      this.tokens.set(address, token);
+      await this.storage.save('tokens', address, token);
+
+      logger.info('Token registered', {
+        l1Address: token.l1Address,
+        l2Address: token.l2Address,
+        symbol: token.symbol,
+        decimals: token.decimals
+      });
+
+      return token;
+    } catch (error) {
+      logger.logError(error, { operation: 'registerToken', l1Address: params.l1Address });
+      throw error;
+    }
+  }
+
+  /**
+   * Get a registered token by its Layer1 address
+   * @param {string} address - Layer1 token address (ETH if null)
+   * @returns {Object|null} Token
+   */
+  getToken(address) {
+    if (!address) {
+      return this.tokens.get(ethers.ZeroAddress);
+    }
+
+    return ethers.isAddress(address) ? this.tokens.get(ethers.getAddress(address)) || null : null;
+  }
+
+  /**
+   * Get a registered token, rejecting unknown tokens
+   * @param {string} address - Layer1 token address (ETH if null)
+   * @returns {Object} Token
+   */
+  requireToken(address) {
+    const token = this.getToken(address);
+    if (!token) {
+      throw new DefiRainError('TOKEN_NOT_SUPPORTED', 'Token is not registered with the bridge', { tokenAddress: address });
+    }
+
+    return token;
+  }
+
+  /**
+   * Parse a decimal amount into token base units
+   * @param {Object} token - Token
+   * @param {string|number} amount - Decimal amount
+   * @returns {bigint} Amount in base units
+   */
+  parseAmount(token, amount) {
+    try {
+      const parsed = ethers.parseUnits(amount.toString(), token.decimals);
+      if (parsed <= 0n) {
+        throw new Error('Amount must be positive');
+      }
+      return parsed;
+    } catch (error) {
+      throw new DefiRainError('INVALID_AMOUNT', `Invalid ${token.symbol} amount`, {
+        amount: amount.toString(),
+        decimals: token.decimals
+      });
+    }
+  }
+
+  /**
+   * Format base units as a decimal amount
+   * @param {Object} token - Token
+   * @param {bigint} amount - Amount in base units
+   * @returns {string} Decimal amount
+   */
+  formatAmount(token, amount) {
+    return ethers.formatUnits(amount, token.decimals);
+  }
+
+  /**
+   * Check an amount against the token's bridge limits
+   * @param {Object} token - Token
+   * @param {bigint} amount - Amount in base units
+   * @param {Object} options - Limit options
+   * @param {boolean} options.enforceMaximum - Whether the maximum applies
+   */
+  checkLimits(token, amount, options = { enforceMaximum: true }) {
+    if (amount < token.minAmount) {
+      throw new DefiRainError('AMOUNT_BELOW_MINIMUM', `Amount is below the ${token.symbol} minimum`, {
+        minimum: this.formatAmount(token, token.minAmount)
+      });
+    }
+
+    if (options.enforceMaximum && token.maxAmount !== null && amount > token.maxAmount) {
+      throw new DefiRainError('AMOUNT_ABOVE_MAXIMUM', `Amount is above the ${token.symbol} maximum`, {
+        maximum: this.formatAmount(token, token.maxAmount)
+      });
+    }
+  }
+
+  /**
+   * Describe a token for API responses
+   * @param {Object} token - Token
+   * @returns {Object} Token with limits and caps as decimal strings
+   */
+  describe(token) {
+    const described = {
+      ...token,
+      minAmount: this.formatAmount(token, token.minAmount),
+      maxAmount: token.maxAmount === null ? null : this.formatAmount(token, token.maxAmount)
+    };
+
+    for (const field of CAP_FIELDS) {
+      described[field] = token[field] == null ? null : this.formatAmount(token, token[field]);
+    }
+
+    return described;
+  }
+
+  /**
+   * List registered tokens
+   * @returns {Array} Tokens
+   */
+  list() {
+    return Array.from(this.tokens.values()).map(token => this.describe(token));
+  }
+}
+
+module.exports = TokenRegistry;
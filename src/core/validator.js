@@ -1,55 +1,348 @@
+const { ethers } = require('ethers');
 const logger = require('../utils/logger');
 const config = require('../config/config');
+const { DefiRainError } = require('../utils/errors');
+const { MemoryStorage } = require('../storage');
+
+const BPS_DENOMINATOR = 10000n;
+
+// Recipient of the slashed funds that are not paid out as a challenger reward
+const TREASURY = 'treasury';
 
 class ValidatorManager {
-  constructor() {
+  /**
+   * @param {Object} options - Validator dependencies
+   * @param {Object} options.storage - Storage backend for validators and slashes
+   * @param {RollupManager} options.rollupManager - Rollup whose L2 balances back delegations
+   */
+  constructor(options = {}) {
+    this.storage = options.storage || new MemoryStorage();
+    this.rollupManager = options.rollupManager || null;
     this.validators = new Map();
     this.stakes = new Map();
     this.performance = new Map();
-    this.minimumStake = config.rollup.minimumStake || 1000000000000000000; // 1 ETH
+    this.slashes = new Map();
+    this.slashedOffences = new Set();
+    this.payouts = new Map();
+    this.unbonding = new Map();
+    this.delegations = new Map();
+    this.rewards = new Map();
+    this.usedRequests = new Map();
+    this.stakeHistory = [];
+    this.stakeHistorySequence = 0;
+    this.unbondingPeriod = config.rollup.unbondingPeriod;
+    this.minimumStake = BigInt(config.rollup.minimumStake);
+    this.slashing = config.rollup.slashing;
+    this.downtimeTimer = null;
+  }
+
+  /**
+   * Initialize the validator manager
+   */
+  async initialize() {
+    try {
+      await this.loadValidators();
+
+      logger.info('ValidatorManager initialized successfully', {
+        totalValidators: this.validators.size,
+        totalSlashes: this.slashes.size
+      });
+    } catch (error) {
+      logger.logError(error, { operation: 'initialize' });
+      throw error;
+    }
+  }
+
+  /**
+   * Load validators, delegations, unbonding entries, slashes, rewards and
+   * slashing payouts from storage
+   */
+  async loadValidators() {
+    for (const validator of await this.storage.load('validators')) {
+      this.validators.set(validator.address, validator);
+      this.stakes.set(validator.address, validator.stake);
+      this.performance.set(validator.address, validator.performance);
+    }
+
+    for (const delegation of await this.storage.load('delegations')) {
+      this.delegations.set(delegation.id, delegation);
+    }
+
+    for (const reward of await this.storage.load('validator_rewards')) {
+      this.rewards.set(reward.address, reward.amount);
+    }
+
+    for (const entry of await this.storage.load('unbonding')) {
+      this.unbonding.set(entry.id, entry);
+    }
+
+    for (const slash of await this.storage.load('slashes')) {
+      this.slashes.set(slash.id, slash);
+      this.slashedOffences.add(slash.offence);
+    }
+
+    for (const payout of await this.storage.load('slashing_payouts')) {
+      this.payouts.set(payout.recipient, payout.amount);
+    }
+
+    for (const request of await this.storage.load('validator_requests')) {
+      this.usedRequests.set(request.key, request.expiresAt);
+    }
+
+    this.stakeHistory = (await this.storage.load('stake_history')).sort((a, b) => a.sequence - b.sequence);
+    this.stakeHistorySequence = this.stakeHistory.reduce((max, entry) => Math.max(max, entry.sequence + 1), 0);
+
+    // Validators stored before stake history was kept count from their registration
+    for (const validator of this.validators.values()) {
+      if (!this.stakeHistory.some(entry => entry.address === validator.address)) {
+        await this.recordStakeChange(validator.address, validator.registeredAt || 0);
+      }
+    }
+  }
+
+  /**
+   * Persist a validator record
+   * @param {Object} validator - Validator object
+   */
+  async persistValidator(validator) {
+    try {
+      await this.storage.save('validators', validator.address, validator);
+      await this.recordStakeChange(validator.address);
+    } catch (error) {
+      logger.logError(error, { operation: 'persistValidator', address: validator.address });
+      throw error;
+    }
+  }
+
+  /**
+   * Persist a delegation record
+   * @param {Object} delegation - Delegation object
+   */
+  async persistDelegation(delegation) {
+    try {
+      await this.storage.save('delegations', delegation.id, delegation);
+      await this.recordStakeChange(delegation.validator);
+    } catch (error) {
+      logger.logError(error, { operation: 'persistDelegation', delegationId: delegation.id });
+      throw error;
+    }
+  }
+
+  /**
+   * Append a validator's status and effective stake to the stake history
+   * when either changed since its last entry
+   * @param {string} address - Validator address
+   * @param {number} timestamp - Time the change took effect
+   */
+  async recordStakeChange(address, timestamp = Date.now()) {
+    const validator = this.validators.get(address);
+    if (!validator) {
+      return;
+    }
+
+    const stake = this.getEffectiveStake(address);
+    const latest = this.stakeHistory.filter(entry => entry.address === address).pop();
+    if (latest && latest.status === validator.status && latest.stake === stake) {
+      return;
+    }
+
+    const entry = {
+      id: `${address}_${this.stakeHistorySequence}`,
+      sequence: this.stakeHistorySequence++,
+      address,
+      status: validator.status,
+      stake,
+      timestamp
+    };
+
+    this.stakeHistory.push(entry);
+    await this.storage.save('stake_history', entry.id, entry);
+  }
+
+  /**
+   * Get the active validators and their effective stake as they stood at a
+   * point in time, so every node derives the same set for an epoch boundary
+   * @param {number} timestamp - Time in milliseconds
+   * @returns {Array} Addresses and effective stake of the validators active then
+   */
+  getStakeSnapshot(timestamp) {
+    const latest = new Map();
+    for (const entry of this.stakeHistory) {
+      if (entry.timestamp < timestamp) {
+        latest.set(entry.address, entry);
+      }
+    }
+
+    return Array.from(latest.values())
+      .filter(entry => entry.status === 'active' && entry.stake > 0n)
+      .map(entry => ({ address: entry.address, stake: entry.stake }));
+  }
+
+  /**
+   * Drop stake history that no snapshot from a cutoff on can reach. The
+   * latest entry of each validator before the cutoff is kept.
+   * @param {number} before - Earliest time snapshots are still taken for
+   */
+  async pruneStakeHistory(before) {
+    try {
+      const latest = new Map();
+      for (const entry of this.stakeHistory) {
+        if (entry.timestamp < before) {
+          latest.set(entry.address, entry);
+        }
+      }
+
+      const stale = this.stakeHistory.filter(entry =>
+        entry.timestamp < before && latest.get(entry.address) !== entry);
+      if (stale.length === 0) {
+        return;
+      }
+
+      this.stakeHistory = this.stakeHistory.filter(entry => !stale.includes(entry));
+      for (const entry of stale) {
+        await this.storage.remove('stake_history', entry.id);
+      }
+    } catch (error) {
+      logger.logError(error, { operation: 'pruneStakeHistory' });
+      throw error;
+    }
+  }
+
+  /**
+   * Persist an unbonding entry
+   * @param {Object} entry - Unbonding entry
+   */
+  async persistUnbonding(entry) {
+    try {
+      await this.storage.save('unbonding', entry.id, entry);
+    } catch (error) {
+      logger.logError(error, { operation: 'persistUnbonding', entryId: entry.id });
+      throw error;
+    }
+  }
+
+  /**
+   * Start checking validators for prolonged downtime
+   */
+  start() {
+    if (this.downtimeTimer) {
+      return;
+    }
+
+    this.downtimeTimer = setInterval(() => {
+      this.checkDowntime().catch(error => {
+        logger.logError(error, { operation: 'checkDowntime' });
+      });
+    }, this.slashing.downtimeCheckInterval);
+
+    logger.info('Validator downtime checks started', {
+      interval: this.slashing.downtimeCheckInterval,
+      downtimeWindow: this.slashing.downtimeWindow
+    });
+  }
+
+  /**
+   * Stop checking validators for downtime
+   */
+  stop() {
+    if (this.downtimeTimer) {
+      clearInterval(this.downtimeTimer);
+      this.downtimeTimer = null;
+      logger.info('Validator downtime checks stopped');
+    }
+  }
+
+  /**
+   * Normalize a validator address for lookups
+   * @param {string} address - Validator address
+   * @returns {string|null} Checksummed address, or null if invalid
+   */
+  normalizeAddress(address) {
+    return ethers.isAddress(address) ? ethers.getAddress(address) : null;
+  }
+
+  /**
+   * Parse a stake amount in wei
+   * @param {bigint|string|number} stake - Stake amount
+   * @returns {bigint} Stake in wei
+   */
+  parseStake(stake) {
+    try {
+      return BigInt(stake);
+    } catch (error) {
+      throw new DefiRainError('INVALID_STAKE', 'Stake must be an integer amount in wei', { stake: String(stake) });
+    }
   }
 
   /**
    * Register a new validator
    * @param {string} address - Validator address
    * @param {string} publicKey - Validator public key
-   * @param {number} stake - Stake amount
+   * @param {bigint|string} stake - Stake amount in wei
+   * @param {number} commissionBps - Share of rewards kept before delegators are paid
    */
-  async registerValidator(address, publicKey, stake) {
+  async registerValidator(address, publicKey, stake, commissionBps = config.rollup.defaultCommissionBps) {
     try {
-      if (this.validators.has(address)) {
-        throw new Error('Validator already registered');
+      const key = this.normalizeAddress(address);
+      if (!key) {
+        throw new DefiRainError('INVALID_ADDRESS', 'Validator address is invalid');
       }
 
-      if (stake < this.minimumStake) {
-        throw new Error('Insufficient stake amount');
+      // An exited validator may bond again; anyone else is still bonded or unbonding
+      const existing = this.validators.get(key);
+      if (existing && existing.status !== 'exited') {
+        throw new DefiRainError('VALIDATOR_ALREADY_REGISTERED', 'Validator already registered', {
+          status: existing.status
+        }, 409);
       }
 
+      const amount = this.parseStake(stake);
+      if (amount < this.minimumStake) {
+        throw new DefiRainError('INSUFFICIENT_STAKE', 'Insufficient stake amount', {
+          minimumStake: this.minimumStake.toString()
+        });
+      }
+
+      this.validateCommission(commissionBps);
+
       if (!this.validatePublicKey(publicKey)) {
-        throw new Error('Invalid public key format');
+        throw new DefiRainError('INVALID_PUBLIC_KEY', 'Invalid public key format');
+      }
+
+      // Attestations are checked against this key, so it must belong to the address
+      if (ethers.computeAddress('0x04' + publicKey.slice(2)) !== key) {
+        throw new DefiRainError('INVALID_PUBLIC_KEY', 'Public key does not match the validator address');
       }
 
       const validator = {
-        address,
+        address: key,
         publicKey,
-        stake,
+        stake: amount,
+        commissionBps,
         registeredAt: Date.now(),
-        isActive: true,
+        status: 'active',
+        totalSlashed: existing ? existing.totalSlashed : 0n,
+        exitRequestedAt: null,
+        exitedAt: null,
+        deactivatedAt: null,
+        deactivationReason: null,
         performance: {
           totalBatches: 0,
           successfulBatches: 0,
           failedBatches: 0,
-          uptime: 100
+          uptime: 100,
+          lastActiveAt: Date.now()
         }
       };
 
-      this.validators.set(address, validator);
-      this.stakes.set(address, stake);
-      this.performance.set(address, validator.performance);
+      this.validators.set(key, validator);
+      this.stakes.set(key, amount);
+      this.performance.set(key, validator.performance);
+      await this.persistValidator(validator);
 
       logger.info('Validator registered successfully', {
-        address,
-        stake: stake.toString(),
+        address: key,
+        stake: amount.toString(),
         publicKey: publicKey.substring(0, 20) + '...'
       });
 
@@ -61,25 +354,32 @@ class ValidatorManager {
   }
 
   /**
-   * Unregister a validator
+   * Unregister a validator. Its whole stake starts unbonding and stays
+   * slashable until the unbonding period has passed.
    * @param {string} address - Validator address
+   * @returns {Object} Unbonding entry
    */
   async unregisterValidator(address) {
     try {
-      if (!this.validators.has(address)) {
-        throw new Error('Validator not found');
+      const validator = this.getValidator(address);
+      if (!validator) {
+        throw new DefiRainError('VALIDATOR_NOT_FOUND', 'Validator not found', {}, 404);
       }
 
-      const validator = this.validators.get(address);
-      validator.isActive = false;
+      if (validator.status !== 'active') {
+        throw new DefiRainError('VALIDATOR_NOT_ACTIVE', `Validator is ${validator.status}`, {}, 409);
+      }
 
-      this.validators.delete(address);
-      this.stakes.delete(address);
-      this.performance.delete(address);
+      validator.status = 'unbonding';
+      validator.exitRequestedAt = Date.now();
+      const entry = await this.queueUnbonding(validator, validator.stake, 'exit');
 
-      logger.info('Validator unregistered successfully', { address });
+      logger.info('Validator exit requested', {
+        address: validator.address,
+        unlockAt: new Date(entry.unlockAt).toISOString()
+      });
 
-      return true;
+      return entry;
     } catch (error) {
       logger.logError(error, { operation: 'unregisterValidator', address });
       throw error;
@@ -87,30 +387,159 @@ class ValidatorManager {
   }
 
   /**
-   * Update validator stake
+   * Move bonded stake into the unbonding queue
+   * @param {Object} validator - Validator object
+   * @param {bigint} amount - Amount in wei
+   * @param {string} reason - exit, stake_decrease, slashed_below_minimum_stake or undelegation
+   * @param {Object} delegation - Delegation the amount is taken from, self stake if omitted
+   * @returns {Object} Unbonding entry
+   */
+  async queueUnbonding(validator, amount, reason, delegation = null) {
+    const entry = {
+      id: 'unbonding_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+      validator: validator.address,
+      delegator: delegation ? delegation.delegator : null,
+      owner: delegation ? delegation.delegator : validator.address,
+      amount,
+      slashed: 0n,
+      reason,
+      status: 'unbonding',
+      requestedAt: Date.now(),
+      unlockAt: Date.now() + this.unbondingPeriod,
+      withdrawnAt: null
+    };
+
+    this.unbonding.set(entry.id, entry);
+    await this.persistUnbonding(entry);
+
+    if (delegation) {
+      delegation.amount -= amount;
+      delegation.updatedAt = Date.now();
+      await this.persistDelegation(delegation);
+    } else {
+      validator.stake -= amount;
+      this.stakes.set(validator.address, validator.stake);
+      await this.persistValidator(validator);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Release the unbonding entries owned by a validator or delegator whose
+   * period has passed. A validator that is exiting becomes exited once none of
+   * its own stake is left locked.
+   * @param {string} address - Validator or delegator address
+   * @returns {Object} Withdrawn amount and entries
+   */
+  async withdrawUnbonded(address) {
+    try {
+      const owner = this.normalizeAddress(address);
+      const now = Date.now();
+      const entries = Array.from(this.unbonding.values())
+        .filter(entry => entry.owner === owner && entry.status === 'unbonding');
+      const unlocked = entries.filter(entry => entry.unlockAt <= now);
+
+      if (unlocked.length === 0) {
+        throw new DefiRainError('NOTHING_TO_WITHDRAW', 'No unbonded stake is withdrawable yet', {
+          nextUnlockAt: entries.length > 0 ? Math.min(...entries.map(entry => entry.unlockAt)) : null
+        });
+      }
+
+      // Mark every entry before the first await so a concurrent call cannot withdraw it again
+      let amount = 0n;
+      for (const entry of unlocked) {
+        entry.status = 'withdrawn';
+        entry.withdrawnAt = now;
+        amount += entry.amount;
+      }
+
+      for (const entry of unlocked) {
+        await this.persistUnbonding(entry);
+
+        // Delegated stake was locked out of the delegator's L2 balance; slashed cuts stay burned
+        if (entry.delegator !== null && entry.amount > 0n) {
+          await this.rollupManager.applyStakeOperation('stake_release', entry.delegator, entry.amount, entry.id);
+        }
+      }
+
+      const validator = this.validators.get(owner);
+      const selfLocked = this.getUnbonding(owner).some(entry => entry.delegator === null);
+      if (validator && validator.status === 'unbonding' && !selfLocked) {
+        validator.status = 'exited';
+        validator.exitedAt = now;
+        await this.persistValidator(validator);
+      }
+
+      logger.info('Unbonded stake withdrawn', {
+        address: owner,
+        amount: amount.toString(),
+        entries: unlocked.length
+      });
+
+      return {
+        address: owner,
+        amount,
+        entries: unlocked.map(entry => entry.id),
+        status: validator ? validator.status : null
+      };
+    } catch (error) {
+      logger.logError(error, { operation: 'withdrawUnbonded', address });
+      throw error;
+    }
+  }
+
+  /**
+   * Get a validator's self and delegated stake that is still unbonding
    * @param {string} address - Validator address
-   * @param {number} newStake - New stake amount
+   * @returns {Array} Unbonding entries, oldest first
+   */
+  getUnbonding(address) {
+    const key = this.normalizeAddress(address);
+    return Array.from(this.unbonding.values())
+      .filter(entry => entry.validator === key && entry.status === 'unbonding')
+      .sort((a, b) => a.requestedAt - b.requestedAt);
+  }
+
+  /**
+   * Update validator stake. An increase is bonded immediately; a decrease
+   * goes through the unbonding queue.
+   * @param {string} address - Validator address
+   * @param {bigint|string} newStake - New stake amount in wei
    */
   async updateStake(address, newStake) {
     try {
-      if (!this.validators.has(address)) {
-        throw new Error('Validator not found');
+      const key = this.normalizeAddress(address);
+      if (!this.validators.has(key)) {
+        throw new DefiRainError('VALIDATOR_NOT_FOUND', 'Validator not found', {}, 404);
       }
 
-      if (newStake < this.minimumStake) {
-        throw new Error('Insufficient stake amount');
+      if (this.validators.get(key).status !== 'active') {
+        throw new DefiRainError('VALIDATOR_NOT_ACTIVE', `Validator is ${this.validators.get(key).status}`, {}, 409);
       }
 
-      const validator = this.validators.get(address);
+      const amount = this.parseStake(newStake);
+      if (amount < this.minimumStake) {
+        throw new DefiRainError('INSUFFICIENT_STAKE', 'Insufficient stake amount', {
+          minimumStake: this.minimumStake.toString()
+        });
+      }
+
+      const validator = this.validators.get(key);
       const oldStake = validator.stake;
-      
-      validator.stake = newStake;
-      this.stakes.set(address, newStake);
+
+      if (amount < oldStake) {
+        await this.queueUnbonding(validator, oldStake - amount, 'stake_decrease');
+      } else {
+        validator.stake = amount;
+        this.stakes.set(key, amount);
+        await this.persistValidator(validator);
+      }
 
       logger.info('Validator stake updated', {
-        address,
+        address: key,
         oldStake: oldStake.toString(),
-        newStake: newStake.toString()
+        newStake: amount.toString()
       });
 
       return validator;
@@ -120,13 +549,317 @@ class ValidatorManager {
     }
   }
 
+  /**
+   * Check a commission rate
+   * @param {number} commissionBps - Commission in basis points
+   */
+  validateCommission(commissionBps) {
+    if (!Number.isInteger(commissionBps) || commissionBps < 0 || commissionBps > Number(BPS_DENOMINATOR)) {
+      throw new DefiRainError('INVALID_COMMISSION', 'Commission must be between 0 and 10000 basis points');
+    }
+  }
+
+  /**
+   * Change the share of rewards a validator keeps before paying delegators
+   * @param {string} address - Validator address
+   * @param {number} commissionBps - Commission in basis points
+   * @returns {Object} Validator object
+   */
+  async setCommission(address, commissionBps) {
+    try {
+      const validator = this.getValidator(address);
+      if (!validator) {
+        throw new DefiRainError('VALIDATOR_NOT_FOUND', 'Validator not found', {}, 404);
+      }
+
+      this.validateCommission(commissionBps);
+
+      const oldCommissionBps = validator.commissionBps;
+      validator.commissionBps = commissionBps;
+      await this.persistValidator(validator);
+
+      logger.info('Validator commission updated', {
+        address: validator.address,
+        oldCommissionBps,
+        commissionBps
+      });
+
+      return validator;
+    } catch (error) {
+      logger.logError(error, { operation: 'setCommission', address });
+      throw error;
+    }
+  }
+
+  /**
+   * Check that a request was signed by a delegator and has not been used
+   * before. The delegator signs getRequestMessage(action, timestamp).
+   * @param {string} delegator - Delegator address
+   * @param {string} action - Requested action
+   * @param {number} timestamp - Request time in milliseconds
+   * @param {string} signature - Delegator signature
+   */
+  async verifyDelegatorRequest(delegator, action, timestamp, signature) {
+    if (!Number.isFinite(timestamp) || Math.abs(Date.now() - timestamp) > config.rollup.validatorRequestTtl) {
+      throw new DefiRainError('REQUEST_EXPIRED', 'Request timestamp is too old or in the future', {
+        maxAge: config.rollup.validatorRequestTtl
+      });
+    }
+
+    const message = this.getRequestMessage(action, timestamp);
+    let signer = null;
+    try {
+      signer = ethers.verifyMessage(message, signature);
+    } catch (error) {
+      signer = null;
+    }
+
+    if (!signer || signer !== this.normalizeAddress(delegator)) {
+      throw new DefiRainError('INVALID_SIGNATURE', 'Request is not signed by the delegator', {}, 403);
+    }
+
+    await this.consumeRequest(signer, message, timestamp);
+  }
+
+  /**
+   * Delegate stake to an active validator. The amount is locked out of the
+   * delegator's native L2 balance until it is undelegated and withdrawn.
+   * @param {string} delegator - Delegator address
+   * @param {string} validatorAddress - Validator address
+   * @param {bigint|string} amount - Amount in wei
+   * @returns {Object} Delegation object
+   */
+  async delegate(delegator, validatorAddress, amount) {
+    try {
+      const owner = this.normalizeAddress(delegator);
+      if (!owner) {
+        throw new DefiRainError('INVALID_ADDRESS', 'Delegator address is invalid');
+      }
+
+      const validator = this.getValidator(validatorAddress);
+      if (!validator) {
+        throw new DefiRainError('VALIDATOR_NOT_FOUND', 'Validator not found', {}, 404);
+      }
+
+      if (validator.status !== 'active') {
+        throw new DefiRainError('VALIDATOR_NOT_ACTIVE', `Validator is ${validator.status}`, {}, 409);
+      }
+
+      const value = this.parseStake(amount);
+      if (value <= 0n) {
+        throw new DefiRainError('INVALID_STAKE', 'Delegation amount must be positive');
+      }
+
+      if (!this.rollupManager) {
+        throw new Error('Delegation requires a rollup to lock the delegated funds');
+      }
+
+      const id = `${owner}:${validator.address}`;
+
+      // Throws INSUFFICIENT_BALANCE before anything is recorded
+      await this.rollupManager.applyStakeOperation('stake_lock', owner, value, id);
+
+      const delegation = this.delegations.get(id) || {
+        id,
+        delegator: owner,
+        validator: validator.address,
+        amount: 0n,
+        createdAt: Date.now(),
+        updatedAt: null
+      };
+
+      delegation.amount += value;
+      delegation.updatedAt = Date.now();
+      this.delegations.set(id, delegation);
+      await this.persistDelegation(delegation);
+
+      logger.info('Stake delegated', {
+        delegator: owner,
+        validator: validator.address,
+        amount: value.toString()
+      });
+
+      return delegation;
+    } catch (error) {
+      logger.logError(error, { operation: 'delegate', delegator, validator: validatorAddress });
+      throw error;
+    }
+  }
+
+  /**
+   * Undelegate stake. It stays locked and slashable for the unbonding period.
+   * @param {string} delegator - Delegator address
+   * @param {string} validatorAddress - Validator address
+   * @param {bigint|string} amount - Amount in wei
+   * @returns {Object} Unbonding entry
+   */
+  async undelegate(delegator, validatorAddress, amount) {
+    try {
+      const validator = this.getValidator(validatorAddress);
+      const delegation = validator
+        ? this.delegations.get(`${this.normalizeAddress(delegator)}:${validator.address}`)
+        : null;
+
+      if (!delegation || delegation.amount === 0n) {
+        throw new DefiRainError('DELEGATION_NOT_FOUND', 'Delegation not found', {}, 404);
+      }
+
+      const value = this.parseStake(amount);
+      if (value <= 0n || value > delegation.amount) {
+        throw new DefiRainError('INVALID_STAKE', 'Undelegation amount must be positive and at most the delegated amount', {
+          delegated: delegation.amount.toString()
+        });
+      }
+
+      const entry = await this.queueUnbonding(validator, value, 'undelegation', delegation);
+
+      logger.info('Stake undelegated', {
+        delegator: delegation.delegator,
+        validator: validator.address,
+        amount: value.toString(),
+        unlockAt: new Date(entry.unlockAt).toISOString()
+      });
+
+      return entry;
+    } catch (error) {
+      logger.logError(error, { operation: 'undelegate', delegator, validator: validatorAddress });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the delegations made to a validator
+   * @param {string} address - Validator address
+   * @returns {Array} Delegations with a positive amount
+   */
+  getValidatorDelegations(address) {
+    const key = this.normalizeAddress(address);
+    return Array.from(this.delegations.values())
+      .filter(delegation => delegation.validator === key && delegation.amount > 0n);
+  }
+
+  /**
+   * Get the delegations made by a delegator
+   * @param {string} delegator - Delegator address
+   * @returns {Array} Delegations with a positive amount
+   */
+  getDelegatorDelegations(delegator) {
+    const key = this.normalizeAddress(delegator);
+    return Array.from(this.delegations.values())
+      .filter(delegation => delegation.delegator === key && delegation.amount > 0n);
+  }
+
+  /**
+   * Get the stake delegated to a validator
+   * @param {string} address - Validator address
+   * @returns {bigint} Delegated stake in wei
+   */
+  getDelegatedStake(address) {
+    return this.getValidatorDelegations(address).reduce((sum, delegation) => sum + delegation.amount, 0n);
+  }
+
+  /**
+   * Get the self and delegated stake backing a validator
+   * @param {string} address - Validator address
+   * @returns {bigint} Effective stake in wei
+   */
+  getEffectiveStake(address) {
+    return this.getStake(address) + this.getDelegatedStake(address);
+  }
+
+  /**
+   * Get a validator's governance voting weight
+   * @param {string} address - Validator address
+   * @returns {number} Effective stake in ether, 0 unless the validator is active
+   */
+  getVotingWeight(address) {
+    return this.isValidator(address) ? Number(ethers.formatEther(this.getEffectiveStake(address))) : 0;
+  }
+
+  /**
+   * Split a reward between a validator and its delegators. The validator
+   * keeps its commission, and the rest is shared pro rata to self and
+   * delegated stake.
+   * @param {string} address - Validator address
+   * @param {bigint|string} amount - Reward in wei
+   * @returns {Object} Amount credited to each address
+   */
+  async distributeRewards(address, amount) {
+    try {
+      const validator = this.getValidator(address);
+      if (!validator) {
+        throw new DefiRainError('VALIDATOR_NOT_FOUND', 'Validator not found', {}, 404);
+      }
+
+      const reward = this.parseStake(amount);
+      if (reward <= 0n) {
+        throw new DefiRainError('INVALID_REWARD', 'Reward must be positive');
+      }
+
+      const delegations = this.getValidatorDelegations(validator.address);
+      const effectiveStake = this.getEffectiveStake(validator.address);
+      const commission = reward * BigInt(validator.commissionBps) / BPS_DENOMINATOR;
+      const shared = reward - commission;
+      const shares = new Map();
+
+      for (const delegation of delegations) {
+        const share = effectiveStake > 0n ? shared * delegation.amount / effectiveStake : 0n;
+        shares.set(delegation.delegator, (shares.get(delegation.delegator) || 0n) + share);
+      }
+
+      // The validator's own share also absorbs rounding dust
+      const delegated = Array.from(shares.values()).reduce((sum, share) => sum + share, 0n);
+      shares.set(validator.address, (shares.get(validator.address) || 0n) + reward - delegated);
+
+      for (const [recipient, share] of shares) {
+        await this.creditReward(recipient, share);
+      }
+
+      logger.info('Validator rewards distributed', {
+        address: validator.address,
+        reward: reward.toString(),
+        commission: commission.toString(),
+        delegators: delegations.length
+      });
+
+      return Object.fromEntries(Array.from(shares, ([recipient, share]) => [recipient, share.toString()]));
+    } catch (error) {
+      logger.logError(error, { operation: 'distributeRewards', address });
+      throw error;
+    }
+  }
+
+  /**
+   * Add to an address's accrued rewards
+   * @param {string} address - Validator or delegator address
+   * @param {bigint} amount - Amount in wei
+   */
+  async creditReward(address, amount) {
+    if (amount === 0n) {
+      return;
+    }
+
+    const balance = (this.rewards.get(address) || 0n) + amount;
+    this.rewards.set(address, balance);
+    await this.storage.save('validator_rewards', address, { address, amount: balance });
+  }
+
+  /**
+   * Get an address's accrued rewards
+   * @param {string} address - Validator or delegator address
+   * @returns {bigint} Amount in wei
+   */
+  getRewards(address) {
+    return this.rewards.get(this.normalizeAddress(address)) || 0n;
+  }
+
   /**
    * Get validator information
    * @param {string} address - Validator address
    * @returns {Object|null} Validator information
    */
   getValidator(address) {
-    return this.validators.get(address) || null;
+    return this.validators.get(this.normalizeAddress(address)) || null;
   }
 
   /**
@@ -142,7 +875,7 @@ class ValidatorManager {
    * @returns {Array} Array of active validators
    */
   getActiveValidators() {
-    return Array.from(this.validators.values()).filter(v => v.isActive);
+    return Array.from(this.validators.values()).filter(v => v.status === 'active');
   }
 
   /**
@@ -150,14 +883,16 @@ class ValidatorManager {
    * @param {string} address - Validator address
    * @param {boolean} success - Whether the batch was successful
    */
-  updatePerformance(address, success) {
+  async updatePerformance(address, success) {
     try {
-      if (!this.performance.has(address)) {
+      const key = this.normalizeAddress(address);
+      if (!this.performance.has(key)) {
         return;
       }
 
-      const perf = this.performance.get(address);
+      const perf = this.performance.get(key);
       perf.totalBatches++;
+      perf.lastActiveAt = Date.now();
 
       if (success) {
         perf.successfulBatches++;
@@ -167,8 +902,10 @@ class ValidatorManager {
 
       perf.uptime = (perf.successfulBatches / perf.totalBatches) * 100;
 
+      await this.persistValidator(this.validators.get(key));
+
       logger.debug('Validator performance updated', {
-        address,
+        address: key,
         totalBatches: perf.totalBatches,
         successRate: perf.uptime.toFixed(2) + '%'
       });
@@ -177,13 +914,105 @@ class ValidatorManager {
     }
   }
 
+  /**
+   * Build the message a validator or delegator signs to authorize an action
+   * @param {string} action - Requested action
+   * @param {number} timestamp - Request time in milliseconds
+   * @returns {string} "Defi-Rain <chainId> <action> <timestamp>"
+   */
+  getRequestMessage(action, timestamp) {
+    return `Defi-Rain ${config.blockchain.layer2.chainId} ${action} ${timestamp}`;
+  }
+
+  /**
+   * Mark a signed request used so it cannot be replayed while its timestamp
+   * is still accepted. Entries are dropped once they expire.
+   * @param {string} signer - Address or public key that signed the request
+   * @param {string} message - Signed message
+   * @param {number} timestamp - Request time in milliseconds
+   */
+  async consumeRequest(signer, message, timestamp) {
+    const now = Date.now();
+    const key = ethers.id(`${signer.toLowerCase()}:${message}`);
+
+    if (this.usedRequests.has(key) && this.usedRequests.get(key) > now) {
+      throw new DefiRainError('REQUEST_REPLAYED', 'Request was already used', {}, 409);
+    }
+
+    const expiresAt = timestamp + config.rollup.validatorRequestTtl;
+    this.usedRequests.set(key, expiresAt);
+
+    for (const [used, usedExpiresAt] of this.usedRequests) {
+      if (usedExpiresAt <= now) {
+        this.usedRequests.delete(used);
+        await this.storage.remove('validator_requests', used);
+      }
+    }
+
+    await this.storage.save('validator_requests', key, { key, expiresAt });
+  }
+
+  /**
+   * Check that a request was signed by a validator's registered key and has
+   * not been used before. The validator signs getRequestMessage(action, timestamp).
+   * @param {string} address - Validator address
+   * @param {string} action - Requested action
+   * @param {number} timestamp - Request time in milliseconds
+   * @param {string} signature - Validator signature
+   * @returns {Object} Validator object
+   */
+  async verifyValidatorRequest(address, action, timestamp, signature) {
+    const validator = this.getValidator(address);
+    if (!validator) {
+      throw new DefiRainError('VALIDATOR_NOT_FOUND', 'Validator not found', {}, 404);
+    }
+
+    if (!Number.isFinite(timestamp) || Math.abs(Date.now() - timestamp) > config.rollup.validatorRequestTtl) {
+      throw new DefiRainError('REQUEST_EXPIRED', 'Request timestamp is too old or in the future', {
+        maxAge: config.rollup.validatorRequestTtl
+      });
+    }
+
+    const message = this.getRequestMessage(action, timestamp);
+    const signerKey = this.recoverPublicKey(ethers.hashMessage(message), signature);
+    if (signerKey !== validator.publicKey.toLowerCase()) {
+      throw new DefiRainError('INVALID_SIGNATURE', 'Request is not signed by the validator key', {}, 403);
+    }
+
+    await this.consumeRequest(validator.address, message, timestamp);
+
+    return validator;
+  }
+
+  /**
+   * Record a signed liveness heartbeat, signed for the "heartbeat" action
+   * with the validator's registered key.
+   * @param {string} address - Validator address
+   * @param {number} timestamp - Heartbeat time in milliseconds
+   * @param {string} signature - Validator signature
+   * @returns {Object} Validator performance
+   */
+  async recordHeartbeat(address, timestamp, signature) {
+    try {
+      const validator = await this.verifyValidatorRequest(address, 'heartbeat', timestamp, signature);
+
+      validator.performance.lastActiveAt = Math.max(validator.performance.lastActiveAt, timestamp);
+      await this.persistValidator(validator);
+
+      return validator.performance;
+    } catch (error) {
+      logger.logError(error, { operation: 'recordHeartbeat', address });
+      throw error;
+    }
+  }
+
   /**
    * Get validator performance
    * @param {string} address - Validator address
    * @returns {Object|null} Performance data
    */
   getPerformance(address) {
-    return this.performance.get(address) || null;
+    return this.performance.get(this.normalizeAddress(address)) || null;
   }
 
   /**
@@ -194,12 +1023,390 @@ class ValidatorManager {
   validatePublicKey(publicKey) {
     try {
       // Basic validation for Ethereum public key format
-      return publicKey && publicKey.length === 130 && publicKey.startsWith('0x');
+      return publicKey && publicKey.length === 130 && publicKey.startsWith('0x') && ethers.isHexString(publicKey);
     } catch (error) {
       return false;
     }
   }
 
+  /**
+   * Recover the public key that signed a digest, in the registered format
+   * (uncompressed, without the 0x04 prefix)
+   * @param {string} digest - Signed digest
+   * @param {string} signature - Signature
+   * @returns {string|null} Lowercase public key, or null if the signature is malformed
+   */
+  recoverPublicKey(digest, signature) {
+    try {
+      return ('0x' + ethers.SigningKey.recoverPublicKey(digest, signature).slice(4)).toLowerCase();
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Hash the batch commitment a validator signs when it endorses a batch
+   * @param {number} batchIndex - Batch index
+   * @param {string} stateRoot - Post-state root
+   * @param {string} merkleRoot - Transaction Merkle root
+   * @returns {string} Digest validators sign as a personal message
+   */
+  hashBatchAttestation(batchIndex, stateRoot, merkleRoot) {
+    return ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(
+      ['string', 'uint256', 'uint256', 'bytes32', 'bytes32'],
+      ['Defi-Rain batch', BigInt(config.blockchain.layer2.chainId), BigInt(batchIndex), stateRoot, merkleRoot]
+    ));
+  }
+
+  /**
+   * Recover the key that signed a batch attestation
+   * @param {number} batchIndex - Batch index
+   * @param {Object} attestation - Signed stateRoot and merkleRoot
+   * @returns {string|null} Lowercase public key
+   */
+  recoverAttestationKey(batchIndex, attestation) {
+    try {
+      const digest = this.hashBatchAttestation(batchIndex, attestation.stateRoot, attestation.merkleRoot);
+      return this.recoverPublicKey(ethers.hashMessage(ethers.getBytes(digest)), attestation.signature);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Slash a validator that signed two different commitments for one batch
+   * @param {string} address - Validator address
+   * @param {Object} evidence - Conflicting attestations
+   * @param {number} evidence.batchIndex - Batch index both attestations commit to
+   * @param {Array} evidence.attestations - Two { stateRoot, merkleRoot, signature }
+   * @param {string} reporter - Address that submitted the evidence
+   * @returns {Object} Slash record
+   */
+  async slashForEquivocation(address, evidence, reporter) {
+    try {
+      const validator = this.getValidator(address);
+      if (!validator) {
+        throw new DefiRainError('VALIDATOR_NOT_FOUND', 'Validator not found', {}, 404);
+      }
+
+      const { batchIndex, attestations } = evidence || {};
+      if (!Number.isInteger(batchIndex) || !Array.isArray(attestations) || attestations.length !== 2) {
+        throw new DefiRainError('INVALID_EVIDENCE', 'Equivocation evidence needs a batch index and two attestations');
+      }
+
+      const wellFormed = attestations.every(attestation =>
+        attestation !== null && typeof attestation === 'object' &&
+        ethers.isHexString(attestation.stateRoot, 32) &&
+        ethers.isHexString(attestation.merkleRoot, 32) &&
+        typeof attestation.signature === 'string'
+      );
+      if (!wellFormed) {
+        throw new DefiRainError('INVALID_EVIDENCE', 'Each attestation needs a stateRoot, merkleRoot and signature');
+      }
+
+      const [first, second] = attestations;
+      if (first.stateRoot === second.stateRoot && first.merkleRoot === second.merkleRoot) {
+        throw new DefiRainError('INVALID_EVIDENCE', 'Attestations commit to the same batch');
+      }
+
+      const key = validator.publicKey.toLowerCase();
+      if (this.recoverAttestationKey(batchIndex, first) !== key ||
+          this.recoverAttestationKey(batchIndex, second) !== key) {
+        throw new DefiRainError('INVALID_EVIDENCE', 'Attestations are not both signed by the validator key');
+      }
+
+      return await this.slash(validator, 'equivocation', { batchIndex, attestations }, reporter, `${batchIndex}`);
+    } catch (error) {
+      logger.logError(error, { operation: 'slashForEquivocation', address });
+      throw error;
+    }
+  }
+
+  /**
+   * Slash the validators that signed a batch later proven fraudulent: its
+   * sequencer and every validator whose attestation signature recovers to
+   * its registered key
+   * @param {Object} batch - Reverted batch
+   * @param {Object} challenge - Accepted challenge record
+   * @returns {Array} Slash records
+   */
+  async slashForFraudulentBatch(batch, challenge) {
+    const signers = new Set([batch.sequencerAddress].filter(Boolean).map(address => this.normalizeAddress(address)));
+    const records = [];
+
+    for (const attestation of batch.attestations || []) {
+      const validator = this.getValidator(attestation.validator);
+      const signerKey = this.recoverAttestationKey(batch.index, {
+        stateRoot: batch.stateRoot,
+        merkleRoot: batch.merkleRoot,
+        signature: attestation.signature
+      });
+
+      if (validator && signerKey === validator.publicKey.toLowerCase()) {
+        signers.add(validator.address);
+      }
+    }
+
+    for (const address of signers) {
+      const validator = this.validators.get(address);
+      if (!validator) {
+        continue;
+      }
+
+      try {
+        records.push(await this.slash(validator, 'fraud', {
+          batchId: batch.id,
+          batchIndex: batch.index,
+          transactionIndex: challenge.transactionIndex,
+          transactionHash: challenge.transactionHash,
+          reason: challenge.reason
+        }, challenge.challenger, batch.id));
+      } catch (error) {
+        logger.logError(error, { operation: 'slashForFraudulentBatch', batchId: batch.id, address });
+      }
+    }
+
+    return records;
+  }
+
+  /**
+   * Slash active validators that have not shown activity within the downtime window
+   * @returns {Array} Slash records
+   */
+  async checkDowntime() {
+    const now = Date.now();
+    const records = [];
+
+    for (const validator of this.getActiveValidators()) {
+      const inactiveSince = validator.performance.lastActiveAt;
+      if (now - inactiveSince <= this.slashing.downtimeWindow) {
+        continue;
+      }
+
+      // Each elapsed window is a separate offence
+      const window = Math.floor((now - inactiveSince) / this.slashing.downtimeWindow);
+      const offenceId = `${inactiveSince}:${window}`;
+      if (this.slashedOffences.has(this.getOffenceKey('downtime', validator.address, offenceId))) {
+        continue;
+      }
+
+      records.push(await this.slash(validator, 'downtime', {
+        inactiveSince,
+        downtimeWindow: this.slashing.downtimeWindow
+      }, null, offenceId));
+    }
+
+    return records;
+  }
+
+  /**
+   * Build the key that identifies an offence across restarts
+   * @param {string} condition - Slashing condition
+   * @param {string} address - Validator address
+   * @param {string} offenceId - Condition-specific offence identifier
+   * @returns {string} Offence key
+   */
+  getOffenceKey(condition, address, offenceId) {
+    return `${condition}:${address}:${offenceId}`;
+  }
+
+  /**
+   * Take a condition's share of a validator's bonded and unbonding stake, pay
+   * the challenger's reward and the rest to the treasury, and start unbonding
+   * an active validator whose stake falls below the minimum
+   * @param {Object} validator - Validator object
+   * @param {string} condition - equivocation, fraud or downtime
+   * @param {Object} evidence - Evidence of the offence
+   * @param {string|null} challenger - Address that reported the offence
+   * @param {string} offenceId - Identifies the offence so it is slashed once
+   * @returns {Object} Slash record
+   */
+  async slash(validator, condition, evidence, challenger, offenceId) {
+    const offence = this.getOffenceKey(condition, validator.address, offenceId);
+    if (this.slashedOffences.has(offence)) {
+      throw new DefiRainError('ALREADY_SLASHED', 'Validator was already slashed for this offence', { offence }, 409);
+    }
+
+    const rateBps = BigInt(this.slashing[`${condition}Bps`]);
+    const bondedAmount = validator.stake * rateBps / BPS_DENOMINATOR;
+    let delegatedAmount = 0n;
+    let unbondingAmount = 0n;
+
+    // Delegators share the validator's fate in proportion to their stake. Their
+    // stake is locked L2 funds, so the cut is never released back to them.
+    for (const delegation of this.getValidatorDelegations(validator.address)) {
+      const cut = delegation.amount * rateBps / BPS_DENOMINATOR;
+      delegation.amount -= cut;
+      delegation.updatedAt = Date.now();
+      delegatedAmount += cut;
+      await this.persistDelegation(delegation);
+    }
+
+    // Stake on its way out is still answerable for offences committed while bonded
+    for (const entry of this.getUnbonding(validator.address)) {
+      const cut = entry.amount * rateBps / BPS_DENOMINATOR;
+      entry.amount -= cut;
+      entry.slashed += cut;
+      unbondingAmount += cut;
+      await this.persistUnbonding(entry);
+    }
+
+    const amount = bondedAmount + delegatedAmount + unbondingAmount;
+    const challengerReward = challenger && this.normalizeAddress(challenger)
+      ? amount * BigInt(this.slashing.challengerRewardBps) / BPS_DENOMINATOR
+      : 0n;
+    const treasuryAmount = amount - challengerReward;
+
+    validator.stake -= bondedAmount;
+    validator.totalSlashed += amount;
+    this.stakes.set(validator.address, validator.stake);
+
+    const slash = {
+      id: 'slash_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+      offence,
+      validator: validator.address,
+      condition,
+      rateBps: Number(rateBps),
+      amount,
+      delegatedAmount,
+      unbondingAmount,
+      evidence,
+      challenger: challengerReward > 0n ? this.normalizeAddress(challenger) : null,
+      challengerReward,
+      treasury: this.slashing.treasuryAddress || TREASURY,
+      treasuryAmount,
+      remainingStake: validator.stake,
+      timestamp: Date.now()
+    };
+
+    const deactivate = validator.status === 'active' && validator.stake < this.minimumStake;
+    if (deactivate) {
+      validator.status = 'unbonding';
+      validator.exitRequestedAt = slash.timestamp;
+      validator.deactivatedAt = slash.timestamp;
+      validator.deactivationReason = 'slashed_below_minimum_stake';
+      slash.deactivated = true;
+    }
+
+    this.slashedOffences.add(offence);
+    this.slashes.set(slash.id, slash);
+    await this.storage.save('slashes', slash.id, slash);
+
+    if (deactivate) {
+      await this.queueUnbonding(validator, validator.stake, 'slashed_below_minimum_stake');
+    } else {
+      await this.persistValidator(validator);
+    }
+
+    if (slash.challenger) {
+      await this.creditPayout(slash.challenger, challengerReward);
+    }
+    await this.creditPayout(slash.treasury, treasuryAmount);
+
+    logger.warn('Validator slashed', {
+      address: validator.address,
+      condition,
+      amount: amount.toString(),
+      remainingStake: validator.stake.toString(),
+      status: validator.status
+    });
+
+    return slash;
+  }
+
+  /**
+   * Add slashed funds to a recipient's payout balance
+   * @param {string} recipient - Challenger address or treasury
+   * @param {bigint} amount - Amount in wei
+   */
+  async creditPayout(recipient, amount) {
+    if (amount === 0n) {
+      return;
+    }
+
+    const balance = (this.payouts.get(recipient) || 0n) + amount;
+    this.payouts.set(recipient, balance);
+    await this.storage.save('slashing_payouts', recipient, { recipient, amount: balance });
+  }
+
+  /**
+   * Get slashed funds owed to a challenger or the treasury
+   * @param {string} recipient - Challenger address or treasury
+   * @returns {bigint} Amount in wei
+   */
+  getPayout(recipient) {
+    return this.payouts.get(this.normalizeAddress(recipient) || recipient) || 0n;
+  }
+
+  /**
+   * Get a validator's slashing history
+   * @param {string} address - Validator address
+   * @returns {Array} Slash records, oldest first
+   */
+  getSlashes(address) {
+    const key = this.normalizeAddress(address);
+    return Array.from(this.slashes.values())
+      .filter(slash => slash.validator === key)
+      .sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  /**
+   * Describe a validator for API responses
+   * @param {Object} validator - Validator object
+   * @returns {Object} Validator with amounts as decimal strings of wei
+   */
+  describe(validator) {
+    return {
+      ...validator,
+      stake: validator.stake.toString(),
+      delegatedStake: this.getDelegatedStake(validator.address).toString(),
+      effectiveStake: this.getEffectiveStake(validator.address).toString(),
+      totalSlashed: validator.totalSlashed.toString()
+    };
+  }
+
+  /**
+   * Describe a delegation for API responses
+   * @param {Object} delegation - Delegation object
+   * @returns {Object} Delegation with its amount as a decimal string of wei
+   */
+  describeDelegation(delegation) {
+    return {
+      ...delegation,
+      amount: delegation.amount.toString()
+    };
+  }
+
+  /**
+   * Describe an unbonding entry for API responses
+   * @param {Object} entry - Unbonding entry
+   * @returns {Object} Entry with amounts as decimal strings of wei
+   */
+  describeUnbonding(entry) {
+    return {
+      ...entry,
+      amount: entry.amount.toString(),
+      slashed: entry.slashed.toString()
+    };
+  }
+
+  /**
+   * Describe a slash record for API responses
+   * @param {Object} slash - Slash record
+   * @returns {Object} Slash with amounts as decimal strings of wei
+   */
+  describeSlash(slash) {
+    return {
+      ...slash,
+      amount: slash.amount.toString(),
+      delegatedAmount: slash.delegatedAmount.toString(),
+      unbondingAmount: slash.unbondingAmount.toString(),
+      challengerReward: slash.challengerReward.toString(),
+      treasuryAmount: slash.treasuryAmount.toString(),
+      remainingStake: slash.remainingStake.toString()
+    };
+  }
+
   /**
    * Get validator statistics
    * @returns {Object} Statistics
@@ -207,15 +1414,27 @@ class ValidatorManager {
   getStats() {
     const totalValidators = this.validators.size;
     const activeValidators = this.getActiveValidators().length;
-    const totalStake = Array.from(this.stakes.values()).reduce((sum, stake) => sum + stake, 0);
-    const averageStake = totalValidators > 0 ? totalStake / totalValidators : 0;
+    const totalStake = Array.from(this.stakes.values()).reduce((sum, stake) => sum + stake, 0n);
+    const averageStake = totalValidators > 0 ? totalStake / BigInt(totalValidators) : 0n;
+    const totalSlashed = Array.from(this.slashes.values()).reduce((sum, slash) => sum + slash.amount, 0n);
+    const totalDelegated = Array.from(this.delegations.values()).reduce((sum, delegation) => sum + delegation.amount, 0n);
+    const totalUnbonding = Array.from(this.unbonding.values())
+      .filter(entry => entry.status === 'unbonding')
+      .reduce((sum, entry) => sum + entry.amount, 0n);
 
     return {
       totalValidators,
       activeValidators,
+      unbondingValidators: this.getAllValidators().filter(v => v.status === 'unbonding').length,
       totalStake: totalStake.toString(),
+      totalDelegated: totalDelegated.toString(),
+      totalDelegations: Array.from(this.delegations.values()).filter(delegation => delegation.amount > 0n).length,
+      totalUnbonding: totalUnbonding.toString(),
+      unbondingPeriod: this.unbondingPeriod,
       averageStake: averageStake.toString(),
-      minimumStake: this.minimumStake.toString()
+      minimumStake: this.minimumStake.toString(),
+      totalSlashes: this.slashes.size,
+      totalSlashed: totalSlashed.toString()
     };
   }
 
@@ -225,17 +1444,18 @@ class ValidatorManager {
    * @returns {boolean} True if validator
    */
   isValidator(address) {
-    return this.validators.has(address) && this.validators.get(address).isActive;
+    const validator = this.getValidator(address);
+    return Boolean(validator && validator.status === 'active');
   }
 
   /**
    * Get validator stake
    * @param {string} address - Validator address
-   * @returns {number} Stake amount
+   * @returns {bigint} Stake amount
    */
   getStake(address) {
-    return this.stakes.get(address) || 0;
+    return this.stakes.get(this.normalizeAddress(address)) || 0n;
   }
 }
 
-module.exports = ValidatorManager;
\ No newline at end of file
+module.exports = ValidatorManager;
@@ -0,0 +1,214 @@
+const { ethers } = require('ethers');
+const logger = require('../utils/logger');
+const config = require('../config/config');
+
+const CHECKPOINT_KEY = 'deposit_watcher';
+
+class DepositWatcher {
+  /**
+   * @param {CrossChainBridge} bridge - Bridge that records the observed deposits
+   */
+  constructor(bridge) {
+    this.bridge = bridge;
+    this.interval = config.bridge.watcherInterval;
+    this.confirmations = config.bridge.depositConfirmations;
+    this.maxBlockRange = config.bridge.maxLogBlockRange;
+    this.lastProcessedBlock = null;
+    this.checkpoints = [];
+    this.timer = null;
+    this.pollingPromise = null;
+  }
+
+  /**
+   * Start polling Layer1 for bridge deposits
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.poll().catch(error => {
+        logger.logError(error, { operation: 'pollDeposits' });
+      });
+    }, this.interval);
+
+    logger.info('Deposit watcher started', {
+      interval: this.interval,
+      confirmations: this.confirmations
+    });
+  }
+
+  /**
+   * Stop polling Layer1
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info('Deposit watcher stopped');
+    }
+  }
+
+  /**
+   * Resume from the persisted checkpoint, or from the configured start block
+   * (the current head if none) on first run
+   * @param {number} head - Current Layer1 block number
+   */
+  async loadCheckpoint(head) {
+    try {
+      const checkpoint = await this.bridge.storage.getValue(CHECKPOINT_KEY);
+
+      if (checkpoint) {
+        this.lastProcessedBlock = checkpoint.lastProcessedBlock;
+        this.checkpoints = checkpoint.checkpoints || [];
+      } else if (config.bridge.watcherStartBlock !== null) {
+        this.lastProcessedBlock = config.bridge.watcherStartBlock - 1;
+      } else {
+        this.lastProcessedBlock = head - 1;
+      }
+
+      logger.info('Deposit watcher checkpoint loaded', {
+        lastProcessedBlock: this.lastProcessedBlock
+      });
+    } catch (error) {
+      logger.logError(error, { operation: 'loadCheckpoint' });
+      throw error;
+    }
+  }
+
+  /**
+   * Persist the last block whose deposit logs were recorded, keeping recent
+   * block hashes so a reorg below the checkpoint can be found and rescanned
+   * @param {number} blockNumber - Last processed block
+   */
+  async saveCheckpoint(blockNumber) {
+    const block = await this.bridge.provider.getBlock(blockNumber);
+    const horizon = blockNumber - this.bridge.reorgMonitor.trackingDepth;
+
+    this.lastProcessedBlock = blockNumber;
+    this.checkpoints = this.checkpoints
+      .filter(checkpoint => checkpoint.number < blockNumber && checkpoint.number > horizon)
+      .concat(block ? [{ number: blockNumber, hash: block.hash }] : []);
+
+    await this.bridge.storage.setValue(CHECKPOINT_KEY, {
+      lastProcessedBlock: this.lastProcessedBlock,
+      checkpoints: this.checkpoints
+    });
+  }
+
+  /**
+   * Move the watcher back so logs on a new canonical branch are rescanned
+   * @param {number} blockNumber - Last block still known to be canonical
+   */
+  async rewind(blockNumber) {
+    if (blockNumber >= this.lastProcessedBlock) {
+      return;
+    }
+
+    logger.warn('Deposit watcher rewinding after reorg', {
+      from: this.lastProcessedBlock,
+      to: blockNumber
+    });
+
+    this.checkpoints = this.checkpoints.filter(checkpoint => checkpoint.number <= blockNumber);
+    this.lastProcessedBlock = blockNumber;
+    await this.bridge.storage.setValue(CHECKPOINT_KEY, {
+      lastProcessedBlock: this.lastProcessedBlock,
+      checkpoints: this.checkpoints
+    });
+  }
+
+  /**
+   * Poll once, sharing an in-flight poll instead of overlapping it
+   * @returns {Promise<number>} Number of deposit logs recorded
+   */
+  poll() {
+    if (!this.pollingPromise) {
+      this.pollingPromise = this.processNewBlocks().finally(() => {
+        this.pollingPromise = null;
+      });
+    }
+
+    return this.pollingPromise;
+  }
+
+  /**
+   * Roll back anything built on reorganized blocks, record deposit logs up to
+   * the chain head, then credit the deposits that have reached the required
+   * confirmation depth
+   * @returns {number} Number of deposit logs recorded
+   */
+  async processNewBlocks() {
+    const provider = this.bridge.provider;
+    const head = await provider.getBlockNumber();
+    let recorded = 0;
+
+    if (this.lastProcessedBlock === null) {
+      await this.loadCheckpoint(head);
+    }
+
+    const rewindTo = await this.bridge.reorgMonitor.check(head, this.checkpoints);
+    if (rewindTo !== null) {
+      await this.rewind(rewindTo);
+    }
+
+    while (this.lastProcessedBlock < head) {
+      const fromBlock = this.lastProcessedBlock + 1;
+      const toBlock = Math.min(head, fromBlock + this.maxBlockRange - 1);
+
+      const logs = await provider.getLogs({
+        address: this.bridge.layer1Contract.address,
+        topics: [this.bridge.layer1Contract.interface.getEvent('Deposit').topicHash],
+        fromBlock,
+        toBlock
+      });
+
+      for (const log of logs) {
+        await this.bridge.recordLayer1Deposit(this.parseDepositLog(log));
+        recorded++;
+      }
+
+      await this.saveCheckpoint(toBlock);
+    }
+
+    await this.bridge.confirmLayer1Deposits(head, this.confirmations);
+
+    return recorded;
+  }
+
+  /**
+   * Decode a Deposit log emitted by the Layer1 bridge contract
+   * @param {Object} log - Raw log
+   * @returns {Object} Deposit event fields
+   */
+  parseDepositLog(log) {
+    const { args } = this.bridge.layer1Contract.interface.parseLog(log);
+
+    return {
+      layer1DepositId: args.depositId,
+      userAddress: ethers.getAddress(args.user),
+      tokenAddress: ethers.getAddress(args.token),
+      amount: args.amount,
+      layer1Timestamp: Number(args.timestamp) * 1000,
+      layer1TxHash: log.transactionHash,
+      layer1BlockNumber: log.blockNumber,
+      layer1BlockHash: log.blockHash,
+      layer1LogIndex: log.index
+    };
+  }
+
+  /**
+   * Get watcher progress
+   * @returns {Object} Watcher status
+   */
+  getStatus() {
+    return {
+      running: this.timer !== null,
+      lastProcessedBlock: this.lastProcessedBlock,
+      confirmations: this.confirmations
+    };
+  }
+}
+
+module.exports = DepositWatcher;
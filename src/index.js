@@ -47,8 +47,8 @@ class DefiRainServer {
             defaultSrc: ["'self'"],
             styleSrc: ["'self'", "'unsafe-inline'"],
             scriptSrc: ["'self'"],
-            imgSrc: ["'self'", "data:", "https:"],
-          },
+            imgSrc: ["'self'", 'data:', 'https:']
+          }
         },
         crossOriginEmbedderPolicy: false
       }));
@@ -173,7 +173,7 @@ class DefiRainServer {
 
       // Handle unhandled promise rejections
       process.on('unhandledRejection', (reason, promise) => {
-        logger.logError(new Error(reason), { 
+        logger.logError(new Error(reason), {
           operation: 'unhandled_rejection',
           promise: promise.toString()
         });
@@ -205,6 +205,14 @@ class DefiRainServer {
   async start() {
     try {
       await this.initialize();
+
+      // Seal batches on a timer once the managers are connected
+      if (await routes.ready) {
+        routes.rollupManager.startSequencer();
+        routes.rollupManager.finalizationTracker.start();
+        routes.bridgeManager.depositWatcher.start();
+        routes.validatorManager.start();
+      }
       
       this.server = this.app.listen(this.port, this.host, () => {
         logger.info('DefiRain server started successfully', {
@@ -220,7 +228,6 @@ class DefiRainServer {
         logger.logError(error, { operation: 'server_error' });
         throw error;
       });
-
     } catch (error) {
       logger.logError(error, { operation: 'start_server' });
       throw error;
@@ -259,6 +266,14 @@ class DefiRainServer {
       logger.info('Starting graceful shutdown...');
       
       await this.stop();
+
+      // Flush pending transactions into a final batch
+      routes.rollupManager.finalizationTracker.stop();
+      routes.bridgeManager.depositWatcher.stop();
+      routes.validatorManager.stop();
+      await routes.rollupManager.stopSequencer({ flush: true });
+      await routes.storage.disconnect();
+      await routes.idempotencyStore.disconnect();
       
       logger.info('Graceful shutdown completed');
       process.exit(0);
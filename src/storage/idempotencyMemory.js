@@ -0,0 +1,77 @@
+const logger = require('../utils/logger');
+const { serialize, deserialize } = require('./serializer');
+
+class MemoryIdempotencyStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {number} options.ttl - Milliseconds a completed key is remembered
+   * @param {number} options.inProgressTtl - Milliseconds a reservation is held
+   */
+  constructor(options = {}) {
+    this.ttl = options.ttl;
+    this.inProgressTtl = options.inProgressTtl || options.ttl;
+    this.entries = new Map();
+  }
+
+  /**
+   * Connect to the store
+   */
+  async connect() {
+    logger.info('Memory idempotency store ready');
+  }
+
+  /**
+   * Disconnect from the store
+   */
+  async disconnect() {}
+
+  /**
+   * Drop expired keys
+   * @param {number} now - Current time
+   */
+  prune(now) {
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Reserve a key for a request unless it is already known
+   * @param {string} key - Idempotency key
+   * @param {Object} record - In-progress record to store
+   * @returns {Object|null} Existing record, or null if the key was reserved
+   */
+  async reserve(key, record) {
+    const now = Date.now();
+    this.prune(now);
+
+    const existing = this.entries.get(key);
+    if (existing) {
+      return deserialize(existing.value);
+    }
+
+    this.entries.set(key, { value: serialize(record), expiresAt: now + this.inProgressTtl });
+    return null;
+  }
+
+  /**
+   * Replace the record of a reserved key and keep it for the full TTL
+   * @param {string} key - Idempotency key
+   * @param {Object} record - Record to store
+   */
+  async complete(key, record) {
+    this.entries.set(key, { value: serialize(record), expiresAt: Date.now() + this.ttl });
+  }
+
+  /**
+   * Forget a key so the request can be retried
+   * @param {string} key - Idempotency key
+   */
+  async release(key) {
+    this.entries.delete(key);
+  }
+}
+
+module.exports = MemoryIdempotencyStore;
@@ -0,0 +1,118 @@
+const Redis = require('ioredis');
+const logger = require('../utils/logger');
+const config = require('../config/config');
+const { serialize, deserialize } = require('./serializer');
+
+// Namespace for idempotency keys in a Redis database shared with other data
+const KEY_PREFIX = 'defi-rain:idempotency:';
+
+// SET NX attempts before giving up on a key that keeps expiring under us
+const RESERVE_ATTEMPTS = 3;
+
+class RedisIdempotencyStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {number} options.ttl - Milliseconds a completed key is remembered
+   * @param {number} options.inProgressTtl - Milliseconds a reservation is held
+   * @param {Object} options.redis - Redis connection settings
+   */
+  constructor(options = {}) {
+    this.ttl = options.ttl;
+    this.inProgressTtl = options.inProgressTtl || options.ttl;
+    this.redisOptions = options.redis || config.database.redis;
+    this.client = null;
+  }
+
+  /**
+   * Connect to Redis
+   */
+  async connect() {
+    try {
+      this.client = new Redis({
+        host: this.redisOptions.host,
+        port: Number(this.redisOptions.port),
+        password: this.redisOptions.password || undefined,
+        db: Number(this.redisOptions.db),
+        lazyConnect: true
+      });
+      await this.client.connect();
+
+      logger.info('Redis idempotency store connected', {
+        host: this.redisOptions.host,
+        db: this.redisOptions.db
+      });
+    } catch (error) {
+      logger.logError(error, { operation: 'redisConnect' });
+      throw error;
+    }
+  }
+
+  /**
+   * Disconnect from Redis
+   */
+  async disconnect() {
+    if (this.client) {
+      await this.client.quit();
+      this.client = null;
+      logger.info('Redis idempotency store disconnected');
+    }
+  }
+
+  /**
+   * Reserve a key for a request unless it is already known
+   * @param {string} key - Idempotency key
+   * @param {Object} record - In-progress record to store
+   * @returns {Object|null} Existing record, or null if the key was reserved
+   */
+  async reserve(key, record) {
+    try {
+      for (let attempt = 0; attempt < RESERVE_ATTEMPTS; attempt++) {
+        // SET NX makes the reservation atomic across API instances
+        const reserved = await this.client.set(KEY_PREFIX + key, serialize(record), 'PX', this.inProgressTtl, 'NX');
+        if (reserved) {
+          return null;
+        }
+
+        // The key can expire or be released between SET NX and GET; reserve it again then
+        const existing = await this.client.get(KEY_PREFIX + key);
+        if (existing) {
+          return deserialize(existing);
+        }
+      }
+
+      throw new Error(`Could not reserve idempotency key after ${RESERVE_ATTEMPTS} attempts`);
+    } catch (error) {
+      logger.logError(error, { operation: 'redisReserve', key });
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the record of a reserved key and keep it for the full TTL
+   * @param {string} key - Idempotency key
+   * @param {Object} record - Record to store
+   */
+  async complete(key, record) {
+    try {
+      await this.client.set(KEY_PREFIX + key, serialize(record), 'PX', this.ttl);
+    } catch (error) {
+      logger.logError(error, { operation: 'redisComplete', key });
+      throw error;
+    }
+  }
+
+  /**
+   * Forget a key so the request can be retried
+   * @param {string} key - Idempotency key
+   */
+  async release(key) {
+    try {
+      await this.client.del(KEY_PREFIX + key);
+    } catch (error) {
+      logger.logError(error, { operation: 'redisRelease', key });
+      throw error;
+    }
+  }
+}
+
+module.exports = RedisIdempotencyStore;
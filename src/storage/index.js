@@ -0,0 +1,48 @@
+const MemoryStorage = require('./memory');
+const MongoStorage = require('./mongo');
+const MemoryIdempotencyStore = require('./idempotencyMemory');
+const RedisIdempotencyStore = require('./idempotencyRedis');
+const config = require('../config/config');
+
+/**
+ * Create the storage backend selected by configuration
+ * @param {string} driver - mongodb or memory
+ * @returns {MemoryStorage|MongoStorage} Storage instance
+ */
+const createStorage = (driver = config.database.driver) => {
+  switch (driver) {
+    case 'memory':
+      return new MemoryStorage();
+    case 'mongodb':
+      return new MongoStorage();
+    default:
+      throw new Error(`Unknown storage driver: ${driver}`);
+  }
+};
+
+/**
+ * Create the idempotency key store selected by configuration
+ * @param {string} driver - redis or memory
+ * @returns {MemoryIdempotencyStore|RedisIdempotencyStore} Idempotency store
+ */
+const createIdempotencyStore = (driver = config.api.idempotency.driver) => {
+  const { ttl, inProgressTtl } = config.api.idempotency;
+
+  switch (driver) {
+    case 'memory':
+      return new MemoryIdempotencyStore({ ttl, inProgressTtl });
+    case 'redis':
+      return new RedisIdempotencyStore({ ttl, inProgressTtl });
+    default:
+      throw new Error(`Unknown idempotency driver: ${driver}`);
+  }
+};
+
+module.exports = {
+  createStorage,
+  createIdempotencyStore,
+  MemoryStorage,
+  MongoStorage,
+  MemoryIdempotencyStore,
+  RedisIdempotencyStore
+};
@@ -0,0 +1,82 @@
+const logger = require('../utils/logger');
+const { serialize, deserialize } = require('./serializer');
+
+class MemoryStorage {
+  constructor() {
+    this.collections = new Map();
+    this.values = new Map();
+  }
+
+  /**
+   * Connect to the storage backend
+   */
+  async connect() {
+    logger.info('Memory storage ready');
+  }
+
+  /**
+   * Disconnect from the storage backend
+   */
+  async disconnect() {}
+
+  /**
+   * Get a collection, creating it if missing
+   * @param {string} name - Collection name
+   * @returns {Map} Collection records keyed by ID
+   */
+  getCollection(name) {
+    if (!this.collections.has(name)) {
+      this.collections.set(name, new Map());
+    }
+    return this.collections.get(name);
+  }
+
+  /**
+   * Insert or replace a record
+   * @param {string} collection - Collection name
+   * @param {string} id - Record ID
+   * @param {Object} record - Record to store
+   */
+  async save(collection, id, record) {
+    // Store serialized copies so later mutations of the live object are not persisted implicitly
+    this.getCollection(collection).set(id, serialize(record));
+  }
+
+  /**
+   * Load every record of a collection
+   * @param {string} collection - Collection name
+   * @returns {Array} Records
+   */
+  async load(collection) {
+    return Array.from(this.getCollection(collection).values()).map(deserialize);
+  }
+
+  /**
+   * Remove a record
+   * @param {string} collection - Collection name
+   * @param {string} id - Record ID
+   */
+  async remove(collection, id) {
+    this.getCollection(collection).delete(id);
+  }
+
+  /**
+   * Read a named value
+   * @param {string} key - Value key
+   * @returns {*} Stored value or null
+   */
+  async getValue(key) {
+    return this.values.has(key) ? deserialize(this.values.get(key)) : null;
+  }
+
+  /**
+   * Write a named value
+   * @param {string} key - Value key
+   * @param {*} value - Value to store
+   */
+  async setValue(key, value) {
+    this.values.set(key, serialize(value));
+  }
+}
+
+module.exports = MemoryStorage;
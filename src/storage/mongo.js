@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+const config = require('../config/config');
+const { serialize, deserialize } = require('./serializer');
+
+// Collection holding named values such as the rollup state
+const VALUES_COLLECTION = 'values';
+
+class MongoStorage {
+  constructor(options = {}) {
+    this.uri = options.uri || config.database.mongodb.uri;
+    this.options = options.options || config.database.mongodb.options;
+    this.connection = null;
+  }
+
+  /**
+   * Connect to MongoDB
+   */
+  async connect() {
+    try {
+      this.connection = await mongoose.createConnection(this.uri, this.options).asPromise();
+
+      logger.info('MongoDB storage connected', {
+        database: this.connection.name
+      });
+    } catch (error) {
+      logger.logError(error, { operation: 'mongoConnect' });
+      throw error;
+    }
+  }
+
+  /**
+   * Disconnect from MongoDB
+   */
+  async disconnect() {
+    if (this.connection) {
+      await this.connection.close();
+      this.connection = null;
+      logger.info('MongoDB storage disconnected');
+    }
+  }
+
+  /**
+   * Insert or replace a record
+   * @param {string} collection - Collection name
+   * @param {string} id - Record ID
+   * @param {Object} record - Record to store
+   */
+  async save(collection, id, record) {
+    try {
+      await this.connection.collection(collection).replaceOne(
+        { _id: id },
+        { _id: id, data: serialize(record), updatedAt: new Date() },
+        { upsert: true }
+      );
+    } catch (error) {
+      logger.logError(error, { operation: 'mongoSave', collection, id });
+      throw error;
+    }
+  }
+
+  /**
+   * Load every record of a collection
+   * @param {string} collection - Collection name
+   * @returns {Array} Records
+   */
+  async load(collection) {
+    try {
+      const documents = await this.connection.collection(collection).find({}).toArray();
+      return documents.map(document => deserialize(document.data));
+    } catch (error) {
+      logger.logError(error, { operation: 'mongoLoad', collection });
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a record
+   * @param {string} collection - Collection name
+   * @param {string} id - Record ID
+   */
+  async remove(collection, id) {
+    try {
+      await this.connection.collection(collection).deleteOne({ _id: id });
+    } catch (error) {
+      logger.logError(error, { operation: 'mongoRemove', collection, id });
+      throw error;
+    }
+  }
+
+  /**
+   * Read a named value
+   * @param {string} key - Value key
+   * @returns {*} Stored value or null
+   */
+  async getValue(key) {
+    try {
+      const document = await this.connection.collection(VALUES_COLLECTION).findOne({ _id: key });
+      return document ? deserialize(document.data) : null;
+    } catch (error) {
+      logger.logError(error, { operation: 'mongoGetValue', key });
+      throw error;
+    }
+  }
+
+  /**
+   * Write a named value
+   * @param {string} key - Value key
+   * @param {*} value - Value to store
+   */
+  async setValue(key, value) {
+    await this.save(VALUES_COLLECTION, key, value);
+  }
+}
+
+module.exports = MongoStorage;
@@ -0,0 +1,49 @@
+/**
+ * JSON serialization that round-trips the types our records use:
+ * bigint amounts, and Set/Map collections (e.g. proposal voters).
+ */
+
+/**
+ * Serialize a record to a JSON string
+ * @param {*} value - Value to serialize
+ * @returns {string} JSON string
+ */
+const serialize = (value) => JSON.stringify(value, (key, item) => {
+  if (typeof item === 'bigint') {
+    return { __type: 'bigint', value: item.toString() };
+  }
+
+  if (item instanceof Set) {
+    return { __type: 'set', values: Array.from(item) };
+  }
+
+  if (item instanceof Map) {
+    return { __type: 'map', entries: Array.from(item.entries()) };
+  }
+
+  return item;
+});
+
+/**
+ * Deserialize a JSON string produced by serialize()
+ * @param {string} json - JSON string
+ * @returns {*} Restored value
+ */
+const deserialize = (json) => JSON.parse(json, (key, item) => {
+  if (item && typeof item === 'object' && item.__type) {
+    switch (item.__type) {
+      case 'bigint':
+        return BigInt(item.value);
+      case 'set':
+        return new Set(item.values);
+      case 'map':
+        return new Map(item.entries);
+      default:
+        return item;
+    }
+  }
+
+  return item;
+});
+
+module.exports = { serialize, deserialize };
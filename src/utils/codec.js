@@ -0,0 +1,216 @@
+const zlib = require('zlib');
+const { ethers } = require('ethers');
+const logger = require('./logger');
+
+const BATCH_FORMAT_VERSION = 1;
+
+const COMPRESSION = {
+  none: 0,
+  zlib: 1,
+  brotli: 2
+};
+
+// New types are appended so the indices of encoded batches stay stable
+const OPERATION_TYPES = ['deposit', 'withdrawal', 'deposit_reversal', 'stake_lock', 'stake_release'];
+
+/**
+ * Encode an integer as a minimal big-endian RLP item
+ * @param {number|string|bigint} value - Integer value
+ * @returns {Uint8Array} Encoded integer
+ */
+const encodeInt = (value) => ethers.toBeArray(BigInt(value));
+
+/**
+ * Decode a minimal big-endian RLP item
+ * @param {string} hex - Encoded integer
+ * @returns {bigint} Integer value
+ */
+const decodeInt = (hex) => (hex === '0x' ? 0n : BigInt(hex));
+
+class BatchCodec {
+  /**
+   * @param {Object} options - Codec options
+   * @param {string} options.compression - none, zlib or brotli
+   */
+  constructor(options = {}) {
+    this.compression = options.compression || 'brotli';
+
+    if (COMPRESSION[this.compression] === undefined) {
+      throw new Error(`Unsupported batch compression: ${this.compression}`);
+    }
+  }
+
+  /**
+   * Encode a batch into the versioned binary calldata format.
+   * Layout: version byte, compression byte, RLP payload (optionally compressed).
+   * Addresses are replaced by indexes into a dictionary and each sender's
+   * nonce is stored once, with later transactions of that sender incrementing it.
+   * @param {Object} batch - Batch to encode
+   * @returns {Object} Hex encoded data with raw and encoded sizes
+   */
+  encode(batch) {
+    try {
+      const addresses = [];
+      const addressIndexes = new Map();
+      const indexOf = (address) => {
+        const key = ethers.getAddress(address);
+        if (!addressIndexes.has(key)) {
+          addressIndexes.set(key, addresses.length);
+          addresses.push(key);
+        }
+        return addressIndexes.get(key);
+      };
+
+      const nonceBases = new Map();
+      const transactions = batch.transactions.map(tx => {
+        const from = indexOf(tx.from);
+        if (!nonceBases.has(from)) {
+          nonceBases.set(from, tx.nonce);
+        }
+
+        return [
+          encodeInt(from),
+          encodeInt(indexOf(tx.to)),
+          encodeInt(tx.value),
+          ethers.hexlify(tx.data),
+          encodeInt(tx.maxFeePerGas),
+          encodeInt(tx.maxPriorityFeePerGas),
+          ethers.Signature.from(tx.signature).compactSerialized,
+          tx.postStateRoot
+        ];
+      });
+
+      const operations = (batch.bridgeOperations || []).map(operation => [
+        encodeInt(OPERATION_TYPES.indexOf(operation.type)),
+        ethers.toUtf8Bytes(operation.id),
+        encodeInt(indexOf(operation.account)),
+        encodeInt(indexOf(operation.token)),
+        encodeInt(operation.amount)
+      ]);
+
+      const payload = ethers.getBytes(ethers.encodeRlp([
+        ethers.toUtf8Bytes(batch.id),
+        encodeInt(batch.index),
+        encodeInt(batch.timestamp),
+        encodeInt(batch.baseFee),
+        addresses,
+        Array.from(nonceBases.entries()).map(([index, nonce]) => [encodeInt(index), encodeInt(nonce)]),
+        transactions,
+        operations
+      ]));
+
+      const body = this.compress(payload);
+      const header = new Uint8Array([BATCH_FORMAT_VERSION, COMPRESSION[this.compression]]);
+
+      const encodedSize = header.length + body.length;
+
+      return {
+        data: ethers.hexlify(ethers.concat([header, body])),
+        rawSize: header.length + payload.length,
+        encodedSize,
+        compressionRatio: Number(((header.length + payload.length) / encodedSize).toFixed(2))
+      };
+    } catch (error) {
+      logger.logError(error, { operation: 'encodeBatch', batchId: batch.id });
+      throw error;
+    }
+  }
+
+  /**
+   * Decode batch data produced by encode()
+   * @param {string|Uint8Array} data - Encoded batch data
+   * @returns {Object} Reconstructed batch contents
+   */
+  decode(data) {
+    try {
+      const bytes = ethers.getBytes(data);
+      const version = bytes[0];
+      const compression = bytes[1];
+
+      if (version !== BATCH_FORMAT_VERSION) {
+        throw new Error(`Unsupported batch format version: ${version}`);
+      }
+
+      const payload = this.decompress(bytes.slice(2), compression);
+      const [id, index, timestamp, baseFee, rawAddresses, nonceBases, transactions, operations] = ethers.decodeRlp(payload);
+      const addresses = rawAddresses.map(address => ethers.getAddress(address));
+
+      const nextNonces = new Map(nonceBases.map(([addressIndex, nonce]) => [Number(decodeInt(addressIndex)), decodeInt(nonce)]));
+
+      return {
+        version,
+        id: ethers.toUtf8String(id),
+        index: Number(decodeInt(index)),
+        timestamp: Number(decodeInt(timestamp)),
+        baseFee: decodeInt(baseFee).toString(),
+        transactions: transactions.map(([from, to, value, txData, maxFeePerGas, maxPriorityFeePerGas, signature, postStateRoot]) => {
+          const fromIndex = Number(decodeInt(from));
+          const nonce = nextNonces.get(fromIndex);
+          nextNonces.set(fromIndex, nonce + 1n);
+
+          return {
+            from: addresses[fromIndex],
+            to: addresses[Number(decodeInt(to))],
+            value: decodeInt(value).toString(),
+            data: txData,
+            nonce: Number(nonce),
+            maxFeePerGas: decodeInt(maxFeePerGas).toString(),
+            maxPriorityFeePerGas: decodeInt(maxPriorityFeePerGas).toString(),
+            signature: ethers.Signature.from(signature).serialized,
+            postStateRoot
+          };
+        }),
+        bridgeOperations: operations.map(([type, operationId, account, token, amount]) => ({
+          type: OPERATION_TYPES[Number(decodeInt(type))],
+          id: ethers.toUtf8String(operationId),
+          account: addresses[Number(decodeInt(account))],
+          token: addresses[Number(decodeInt(token))],
+          amount: decodeInt(amount).toString()
+        }))
+      };
+    } catch (error) {
+      logger.logError(error, { operation: 'decodeBatch' });
+      throw error;
+    }
+  }
+
+  /**
+   * Compress a payload with the configured algorithm
+   * @param {Uint8Array} payload - Raw payload
+   * @returns {Uint8Array} Compressed payload
+   */
+  compress(payload) {
+    switch (this.compression) {
+      case 'zlib':
+        return zlib.deflateRawSync(payload, { level: zlib.constants.Z_BEST_COMPRESSION });
+      case 'brotli':
+        return zlib.brotliCompressSync(payload, {
+          params: { [zlib.constants.BROTLI_PARAM_QUALITY]: zlib.constants.BROTLI_MAX_QUALITY }
+        });
+      default:
+        return payload;
+    }
+  }
+
+  /**
+   * Decompress a payload
+   * @param {Uint8Array} body - Compressed payload
+   * @param {number} compression - Compression flag from the header
+   * @returns {Uint8Array} Raw payload
+   */
+  decompress(body, compression) {
+    switch (compression) {
+      case COMPRESSION.none:
+        return body;
+      case COMPRESSION.zlib:
+        return zlib.inflateRawSync(body);
+      case COMPRESSION.brotli:
+        return zlib.brotliDecompressSync(body);
+      default:
+        throw new Error(`Unsupported batch compression flag: ${compression}`);
+    }
+  }
+}
+
+module.exports = BatchCodec;
+module.exports.BATCH_FORMAT_VERSION = BATCH_FORMAT_VERSION;
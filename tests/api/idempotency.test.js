@@ -0,0 +1,118 @@
+const { expect } = require('chai');
+const express = require('express');
+const { idempotent } = require('../../src/api/idempotency');
+const { MemoryIdempotencyStore } = require('../../src/storage');
+
+describe('idempotent middleware', () => {
+  let server;
+  let baseUrl;
+  let calls;
+  let release;
+  let held;
+  let markHeld;
+
+  /**
+   * Post a JSON body to the test endpoint
+   * @param {Object} body - Request body
+   * @param {string} key - Idempotency-Key header
+   * @returns {Object} Status, replay header and parsed body
+   */
+  const post = async (body, key) => {
+    const response = await fetch(`${baseUrl}/deposit`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', ...(key ? { 'idempotency-key': key } : {}) },
+      body: JSON.stringify(body)
+    });
+
+    return {
+      status: response.status,
+      replayed: response.headers.get('idempotent-replayed'),
+      body: await response.json()
+    };
+  };
+
+  beforeEach((done) => {
+    calls = 0;
+    release = null;
+    held = new Promise(resolve => { markHeld = resolve; });
+
+    const app = express();
+    app.use(express.json());
+    app.post('/deposit', idempotent(new MemoryIdempotencyStore({ ttl: 60000, inProgressTtl: 1000 }), 'deposit'), async (req, res) => {
+      calls++;
+
+      if (req.body.hold) {
+        await new Promise(resolve => {
+          release = resolve;
+          markHeld();
+        });
+      }
+
+      if (req.body.fail) {
+        return res.status(400).json({ error: 'rejected' });
+      }
+
+      res.json({ depositId: `deposit_${calls}` });
+    });
+
+    server = app.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterEach((done) => {
+    server.close(done);
+  });
+
+  it('replays the original response to a retried request', async () => {
+    const first = await post({ amount: '1' }, 'key-1');
+    const retry = await post({ amount: '1' }, 'key-1');
+
+    expect(retry).to.deep.equal({ status: 200, replayed: 'true', body: first.body });
+    expect(calls).to.equal(1);
+  });
+
+  it('accepts the key from options.idempotencyKey', async () => {
+    await post({ amount: '1', options: { idempotencyKey: 'key-1' } });
+    const retry = await post({ amount: '1', options: { idempotencyKey: 'key-1' } });
+
+    expect(retry.replayed).to.equal('true');
+    expect(calls).to.equal(1);
+  });
+
+  it('refuses a key reused with a different body', async () => {
+    await post({ amount: '1' }, 'key-1');
+    const reused = await post({ amount: '2' }, 'key-1');
+
+    expect(reused.status).to.equal(422);
+    expect(reused.body.code).to.equal('IDEMPOTENCY_KEY_REUSED');
+  });
+
+  it('refuses a retry while the original is still in progress', async () => {
+    const original = post({ amount: '1', hold: true }, 'key-1');
+    await held;
+
+    const concurrent = await post({ amount: '1', hold: true }, 'key-1');
+    release();
+
+    expect(concurrent.status).to.equal(409);
+    expect(concurrent.body.code).to.equal('IDEMPOTENCY_REQUEST_IN_PROGRESS');
+    expect((await original).status).to.equal(200);
+  });
+
+  it('releases the key of a rejected request so it can be retried', async () => {
+    await post({ amount: '1', fail: true }, 'key-1');
+    const retry = await post({ amount: '1', fail: true }, 'key-1');
+
+    expect(retry.replayed).to.equal(null);
+    expect(calls).to.equal(2);
+  });
+
+  it('rejects overlong keys', async () => {
+    const response = await post({ amount: '1' }, 'k'.repeat(256));
+
+    expect(response.status).to.equal(400);
+    expect(response.body.code).to.equal('INVALID_IDEMPOTENCY_KEY');
+  });
+});
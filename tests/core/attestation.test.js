@@ -0,0 +1,176 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { ethers } = require('ethers');
+const config = require('../../src/config/config');
+const ValidatorManager = require('../../src/core/validator');
+const { MemoryStorage } = require('../../src/storage');
+const { makeRollup, signTransaction, fund, publicKey } = require('../helpers');
+
+describe('AttestationCollector', () => {
+  let clock;
+  let rollup;
+  let manager;
+  let collector;
+  let validators;
+
+  /**
+   * Seal a batch holding a single deposit
+   * @returns {Object} Sealed batch
+   */
+  const sealBatch = async () => {
+    await fund(rollup, ethers.Wallet.createRandom().address, 1n);
+    await rollup.sealBatch('test');
+    return rollup.getAllBatches().sort((a, b) => b.index - a.index)[0];
+  };
+
+  /**
+   * Sign a batch attestation
+   * @param {ethers.Wallet} wallet - Signing wallet
+   * @param {Object} batch - Batch the signature commits to
+   * @returns {string} Signature
+   */
+  const sign = (wallet, batch) =>
+    wallet.signMessage(ethers.getBytes(manager.hashBatchAttestation(batch.index, batch.stateRoot, batch.merkleRoot)));
+
+  /**
+   * Attest a batch with a validator's own key
+   * @param {number} i - Validator index
+   * @param {Object} batch - Batch object
+   * @returns {Object} Batch object
+   */
+  const attest = async (i, batch) => collector.addAttestation(batch.id, validators[i].address, await sign(validators[i], batch));
+
+  beforeEach(async () => {
+    // Register in the middle of an epoch, so its proposer schedule is still empty
+    clock = sinon.useFakeTimers({ now: 1000 * 960000 + 1000, toFake: ['Date'] });
+
+    const storage = new MemoryStorage();
+    manager = new ValidatorManager({ storage });
+    await manager.initialize();
+    validators = [ethers.Wallet.createRandom(), ethers.Wallet.createRandom(), ethers.Wallet.createRandom()];
+    for (const [i, wallet] of validators.entries()) {
+      await manager.registerValidator(wallet.address, publicKey(wallet), ethers.parseEther(['2', '3', '5'][i]));
+    }
+
+    rollup = makeRollup({ storage, validatorManager: manager });
+    collector = rollup.attestationCollector;
+  });
+
+  afterEach(() => {
+    clock.restore();
+  });
+
+  it('submits batches at once while there are no active validators', async () => {
+    const plain = makeRollup();
+    await fund(plain, ethers.Wallet.createRandom().address, 1n);
+    await plain.sealBatch('test');
+
+    expect(plain.getAllBatches().map(batch => batch.status)).to.deep.equal(['submitted']);
+  });
+
+  it('holds a sealed batch until two thirds of the stake attested it', async () => {
+    const batch = await sealBatch();
+    expect(batch.status).to.equal('sealed');
+
+    await attest(2, batch);
+    expect(batch.status).to.equal('sealed');
+    expect(collector.describe(batch)).to.include({ attestedStake: ethers.parseEther('5').toString() });
+
+    await attest(1, batch);
+    await rollup.submitSealedBatches();
+
+    expect(batch.status).to.equal('submitted');
+    expect(batch.attestedAt).to.be.a('number');
+    expect(rollup.submitter.submissions).to.have.lengthOf(1);
+  });
+
+  it('submits attested batches in index order', async () => {
+    const first = await sealBatch();
+    const second = await sealBatch();
+
+    await attest(1, second);
+    await attest(2, second);
+    await rollup.submitSealedBatches();
+    expect([first.status, second.status]).to.deep.equal(['sealed', 'attested']);
+
+    await attest(1, first);
+    await attest(2, first);
+    await rollup.submitSealedBatches();
+    expect([first.status, second.status]).to.deep.equal(['submitted', 'submitted']);
+  });
+
+  it('only counts signatures by the validator key over the batch roots', async () => {
+    const batch = await sealBatch();
+    const other = await sealBatch();
+
+    await expect(collector.addAttestation(batch.id, validators[0].address, await sign(validators[1], batch))).to.be.rejected
+      .and.eventually.include({ code: 'INVALID_SIGNATURE', statusCode: 403 });
+    await expect(collector.addAttestation(batch.id, validators[0].address, await sign(validators[0], other))).to.be.rejected
+      .and.eventually.include({ code: 'INVALID_SIGNATURE' });
+
+    const outsider = ethers.Wallet.createRandom();
+    await expect(collector.addAttestation(batch.id, outsider.address, await sign(outsider, batch))).to.be.rejected
+      .and.eventually.include({ code: 'VALIDATOR_NOT_FOUND', statusCode: 404 });
+
+    await attest(0, batch);
+    await expect(attest(0, batch)).to.be.rejected.and.eventually.include({ code: 'ALREADY_ATTESTED', statusCode: 409 });
+    expect(batch.attestations).to.have.lengthOf(1);
+  });
+
+  it('refuses attestations for batches past attestation', async () => {
+    const batch = await sealBatch();
+    await attest(1, batch);
+    await attest(2, batch);
+    await rollup.submitSealedBatches();
+
+    await expect(attest(0, batch)).to.be.rejected
+      .and.eventually.include({ code: 'BATCH_NOT_ATTESTABLE', statusCode: 409 });
+  });
+
+  it('re-checks pending batches when the validator set shrinks', async () => {
+    const batch = await sealBatch();
+    await attest(1, batch);
+    await attest(0, batch);
+    expect(batch.status).to.equal('sealed');
+
+    await manager.unregisterValidator(validators[2].address);
+
+    expect(await collector.checkPendingBatches()).to.equal(1);
+    expect(batch.status).to.equal('attested');
+  });
+
+  it('slashes the attesters of a batch proven fraudulent', async () => {
+    const challenger = ethers.Wallet.createRandom();
+    const validatorAddresses = config.rollup.validatorAddresses;
+    config.rollup.validatorAddresses = [challenger.address];
+
+    try {
+      const alice = ethers.Wallet.createRandom();
+      rollup.sealedSnapshot = rollup.stateManager.snapshot();
+      await fund(rollup, alice.address, ethers.parseEther('1'));
+      await rollup.addTransaction(await signTransaction(rollup, alice, { nonce: 0, to: challenger.address }));
+      await rollup.sealBatch('test');
+      const [batch] = rollup.getAllBatches();
+      await attest(1, batch);
+      await attest(2, batch);
+      await rollup.submitSealedBatches();
+
+      const transaction = { ...batch.transactions[0], postStateRoot: ethers.ZeroHash };
+      batch.transactions[0] = transaction;
+      const record = await rollup.challengeBatch(batch.id, challenger.address, {
+        transactionIndex: 0,
+        transaction,
+        proof: rollup.getTransactionProof(batch.id, 0).proof,
+        signature: await challenger.signMessage(`Defi-Rain challenge ${batch.id} 0`)
+      });
+
+      expect(record.result).to.equal('accepted');
+      expect(record.slashes).to.have.lengthOf(2);
+      expect(manager.getSlashes(validators[1].address)).to.have.lengthOf(1);
+      expect(manager.getSlashes(validators[2].address)).to.have.lengthOf(1);
+      expect(manager.getSlashes(validators[0].address)).to.have.lengthOf(0);
+    } finally {
+      config.rollup.validatorAddresses = validatorAddresses;
+    }
+  });
+});
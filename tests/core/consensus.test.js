@@ -0,0 +1,93 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { MemoryStorage } = require('../../src/storage');
+const ConsensusManager = require('../../src/core/consensus');
+
+describe('ConsensusManager', () => {
+  let clock;
+  let storage;
+  let consensus;
+
+  /**
+   * Create a parameter change proposal
+   * @returns {Object} Proposal
+   */
+  const propose = () => consensus.createProposal('0xproposer', 'Raise gas limit', 'More room per batch', 'parameter_change', {
+    gasLimit: 30000000
+  });
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers({ now: Date.now(), toFake: ['Date'] });
+    storage = new MemoryStorage();
+    consensus = new ConsensusManager({ storage });
+  });
+
+  afterEach(() => {
+    clock.restore();
+  });
+
+  it('rejects unknown proposal types', async () => {
+    await expect(consensus.createProposal('0xproposer', 'x', 'y', 'coup')).to.be.rejected
+      .and.eventually.include({ code: 'INVALID_PROPOSAL_TYPE', statusCode: 400 });
+  });
+
+  it('passes a proposal once the for votes reach the threshold and persists it', async () => {
+    const proposal = await propose();
+    await consensus.vote(proposal.id, '0xa', 'for');
+
+    expect(proposal.status).to.equal('passed');
+
+    const restarted = new ConsensusManager({ storage });
+    await restarted.initialize();
+    expect(restarted.getProposal(proposal.id)).to.include({ status: 'passed' });
+    expect(restarted.getProposalVotes(proposal.id)).to.have.lengthOf(1);
+  });
+
+  it('refuses invalid, repeated and late votes', async () => {
+    const proposal = await propose();
+    await consensus.vote(proposal.id, '0xa', 'against');
+
+    await expect(consensus.vote(proposal.id, '0xb', 'maybe')).to.be.rejected
+      .and.eventually.include({ code: 'INVALID_VOTE' });
+    await expect(consensus.vote(proposal.id, '0xa', 'for')).to.be.rejected
+      .and.eventually.include({ code: 'ALREADY_VOTED', statusCode: 409 });
+    await expect(consensus.vote('proposal_missing', '0xa', 'for')).to.be.rejected
+      .and.eventually.include({ code: 'PROPOSAL_NOT_FOUND', statusCode: 404 });
+
+    clock.tick(consensus.votingPeriod + 1);
+    await expect(consensus.vote(proposal.id, '0xb', 'for')).to.be.rejected
+      .and.eventually.include({ code: 'VOTING_ENDED' });
+  });
+
+  it('only executes passed proposals, and only once', async () => {
+    const proposal = await propose();
+    await consensus.vote(proposal.id, '0xa', 'against');
+
+    await expect(consensus.executeProposal(proposal.id)).to.be.rejected
+      .and.eventually.include({ code: 'PROPOSAL_NOT_PASSED', statusCode: 409 });
+
+    const passing = await propose();
+    await consensus.vote(passing.id, '0xa', 'for');
+
+    expect(await consensus.executeProposal(passing.id)).to.include({ success: true, type: 'parameter_change' });
+    expect(passing.status).to.equal('executed');
+    await expect(consensus.executeProposal(passing.id)).to.be.rejected
+      .and.eventually.include({ code: 'PROPOSAL_NOT_PASSED' });
+  });
+
+  it('weighs validator votes by stake against the whole active set', async () => {
+    const weights = { '0xa': 30, '0xb': 70 };
+    consensus.validatorManager = {
+      isValidator: address => address in weights,
+      getVotingWeight: address => weights[address],
+      getActiveValidators: () => Object.keys(weights).map(address => ({ address }))
+    };
+
+    const proposal = await propose();
+    await consensus.vote(proposal.id, '0xa', 'for');
+    expect(proposal).to.include({ status: 'active', totalVotes: 30 });
+
+    await consensus.vote(proposal.id, '0xb', 'for');
+    expect(proposal.status).to.equal('passed');
+  });
+});
@@ -0,0 +1,43 @@
+const { expect } = require('chai');
+const FeeMarket = require('../../src/core/fees');
+
+describe('FeeMarket', () => {
+  let market;
+
+  beforeEach(() => {
+    market = new FeeMarket();
+  });
+
+  it('caps the effective tip at the fee cap headroom', () => {
+    market.baseFee = 100n;
+
+    expect(market.getEffectiveTip({ maxFeePerGas: '150', maxPriorityFeePerGas: '10' })).to.equal(10n);
+    expect(market.getEffectiveTip({ maxFeePerGas: '105', maxPriorityFeePerGas: '10' })).to.equal(5n);
+    expect(market.getEffectiveTip({ maxFeePerGas: '99', maxPriorityFeePerGas: '10' })).to.equal(null);
+  });
+
+  it('raises the base fee by at most an eighth above the gas target', () => {
+    const baseFee = market.baseFee;
+
+    expect(market.updateBaseFee(Number(market.targetGas) * 2)).to.equal(baseFee + baseFee / 8n);
+    expect(market.calculateNextBaseFee(Number(market.targetGas))).to.equal(market.baseFee);
+  });
+
+  it('lowers the base fee for empty batches but not below the minimum', () => {
+    market.baseFee = market.minBaseFee + 1n;
+
+    expect(market.updateBaseFee(0)).to.equal(market.minBaseFee);
+    expect(market.updateBaseFee(0)).to.equal(market.minBaseFee);
+  });
+
+  it('suggests tips from the percentiles of recent batches', () => {
+    expect(market.getTipPercentile(50)).to.equal(market.defaultPriorityFee);
+
+    market.recordTips([1n, 2n, 3n, 4n, 5n, 6n, 7n, 8n, 9n, 10n]);
+    const estimate = market.estimate(21000);
+
+    expect(estimate.slow.maxPriorityFeePerGas).to.equal('3');
+    expect(estimate.fast.maxPriorityFeePerGas).to.equal('10');
+    expect(BigInt(estimate.standard.maxFeePerGas)).to.equal(market.baseFee * 2n + 6n);
+  });
+});
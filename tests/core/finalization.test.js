@@ -0,0 +1,66 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { ethers } = require('ethers');
+const { makeRollup, fund } = require('../helpers');
+
+describe('FinalizationTracker', () => {
+  let clock;
+  let rollup;
+
+  /**
+   * Seal and submit a batch holding a single deposit
+   * @returns {Object} Submitted batch
+   */
+  const submitBatch = async () => {
+    await fund(rollup, ethers.Wallet.createRandom().address, 1n);
+    await rollup.createBatch();
+    return rollup.getAllBatches().sort((a, b) => b.index - a.index)[0];
+  };
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers({ now: Date.now(), toFake: ['Date'] });
+    rollup = makeRollup();
+  });
+
+  afterEach(() => {
+    clock.restore();
+  });
+
+  it('finalizes a batch once its challenge window has passed', async () => {
+    const batch = await submitBatch();
+    expect(batch.status).to.equal('submitted');
+
+    expect(await rollup.finalizationTracker.checkFinalization()).to.have.lengthOf(0);
+
+    clock.tick(rollup.challengePeriod);
+    const finalized = await rollup.finalizationTracker.checkFinalization();
+
+    expect(finalized).to.deep.equal([batch]);
+    expect(batch.status).to.equal('finalized');
+    expect(rollup.latestFinalizedStateRoot).to.equal(batch.stateRoot);
+    expect(rollup.latestFinalizedBatchIndex).to.equal(batch.index);
+    expect(rollup.batchSnapshots.has(batch.id)).to.equal(false);
+  });
+
+  it('stops at the first batch still open to dispute', async () => {
+    const first = await submitBatch();
+    clock.tick(rollup.challengePeriod / 2);
+    const second = await submitBatch();
+
+    clock.tick(rollup.challengePeriod / 2);
+    await rollup.finalizationTracker.checkFinalization();
+
+    expect([first.status, second.status]).to.deep.equal(['finalized', 'submitted']);
+  });
+
+  it('does not finalize past a batch under challenge', async () => {
+    const first = await submitBatch();
+    const second = await submitBatch();
+    first.status = 'challenged';
+
+    clock.tick(rollup.challengePeriod);
+    await rollup.finalizationTracker.checkFinalization();
+
+    expect(second.status).to.equal('submitted');
+  });
+});
@@ -0,0 +1,149 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { ethers } = require('ethers');
+const { MemoryStorage } = require('../../src/storage');
+const { makeRollup, makeBridge, signWithdrawal } = require('../helpers');
+
+describe('BridgeRateLimiter', () => {
+  let clock;
+  let storage;
+  let rollup;
+  let bridge;
+  let token;
+  let user;
+  let depositCount;
+
+  /**
+   * Withdraw the test token with a fresh owner signature
+   * @param {ethers.Wallet} wallet - Account owner
+   * @param {string} amount - Amount in token units
+   * @returns {Object} Withdrawal result
+   */
+  const withdraw = async (wallet, amount) => {
+    // Move the clock so repeated withdrawals are signed with distinct deadlines
+    clock.tick(1000);
+    const authorization = await signWithdrawal(rollup, wallet, ethers.parseEther(amount), token.l1Address);
+    return bridge.withdraw(wallet.address, token.l1Address, amount, authorization);
+  };
+
+  /**
+   * Record a Layer1 deposit of the test token that is already confirmed
+   * @param {string} userAddress - Depositor
+   * @param {string} amount - Amount in token units
+   * @returns {Object} Deposit object
+   */
+  const confirmedDeposit = async (userAddress, amount) => {
+    const deposit = await bridge.recordLayer1Deposit({
+      layer1DepositId: ethers.id(`deposit ${depositCount++}`),
+      userAddress,
+      tokenAddress: token.l1Address,
+      amount: ethers.parseEther(amount),
+      layer1BlockNumber: 100,
+      layer1BlockHash: ethers.id('block 100'),
+      layer1LogIndex: 0
+    });
+    await bridge.confirmLayer1Deposits(200, 12);
+    return deposit;
+  };
+
+  beforeEach(async () => {
+    clock = sinon.useFakeTimers({ now: Date.now(), toFake: ['Date'] });
+    depositCount = 0;
+    storage = new MemoryStorage();
+    rollup = makeRollup({ storage });
+    bridge = await makeBridge(rollup, { storage });
+    token = await bridge.tokenRegistry.register({
+      l1Address: ethers.Wallet.createRandom().address,
+      l2Address: ethers.Wallet.createRandom().address,
+      symbol: 'TKN',
+      decimals: 18,
+      userDepositCap: '5',
+      userWithdrawalCap: '5',
+      withdrawalCap: '20',
+      hourlyOutflowThreshold: '8'
+    });
+    user = ethers.Wallet.createRandom();
+
+    await rollup.applyDeposit({ id: 'genesis', userAddress: user.address, tokenAddress: token.l1Address, amount: ethers.parseEther('50') });
+  });
+
+  afterEach(() => {
+    clock.restore();
+  });
+
+  it('rejects a withdrawal over the per-user cap with the remaining allowance', async () => {
+    await withdraw(user, '3');
+
+    const error = await withdraw(user, '3').catch(caught => caught);
+    expect(error).to.include({ code: 'RATE_LIMITED', statusCode: 429 });
+    expect(error.details).to.include({ scope: 'user', limit: '5.0', used: '3.0', remaining: '2.0' });
+
+    expect(bridge.rateLimiter.getAllowance(user.address, token).withdrawal.remaining).to.equal('2.0');
+    await withdraw(user, '2');
+  });
+
+  it('counts concurrent withdrawals against the cap before either settles', async () => {
+    const results = await Promise.allSettled([withdraw(user, '3'), withdraw(user, '3')]);
+
+    expect(results.map(result => result.status).sort()).to.deep.equal(['fulfilled', 'rejected']);
+    expect(rollup.stateManager.getBalance(user.address, token.l1Address)).to.equal(ethers.parseEther('47'));
+  });
+
+  it('frees the allowance once the window has rolled past', async () => {
+    await withdraw(user, '5');
+    clock.tick(bridge.rateLimiter.windowMs);
+
+    await withdraw(user, '5');
+  });
+
+  it('limits the number of operations per user', async () => {
+    bridge.rateLimiter.maxOperationsPerUser = 2;
+    await withdraw(user, '1');
+    await withdraw(user, '1');
+
+    const error = await withdraw(user, '1').catch(caught => caught);
+    expect(error).to.include({ code: 'RATE_LIMITED' });
+    expect(error.details).to.include({ scope: 'user_operations', remaining: 0 });
+  });
+
+  it('pauses withdrawals when the hourly outflow crosses the threshold', async () => {
+    const other = ethers.Wallet.createRandom();
+    await rollup.applyDeposit({ id: 'other', userAddress: other.address, tokenAddress: token.l1Address, amount: ethers.parseEther('50') });
+
+    await withdraw(user, '5');
+    await withdraw(other, '3');
+
+    expect(bridge.rateLimiter.circuitBreaker).to.include({ tripped: true, tokenAddress: token.l1Address });
+    await expect(withdraw(other, '1')).to.be.rejected
+      .and.eventually.include({ code: 'BRIDGE_PAUSED', statusCode: 503 });
+  });
+
+  it('holds a confirmed deposit over its cap until the window moves on', async () => {
+    const first = await confirmedDeposit(user.address, '4');
+    const second = await confirmedDeposit(user.address, '4');
+
+    expect(first.status).to.equal('completed');
+    expect(second.status).to.equal('confirming');
+    expect(second.rateLimitedUntil).to.be.a('number');
+
+    clock.tick(bridge.rateLimiter.windowMs + 1);
+    await bridge.confirmLayer1Deposits(200, 12);
+
+    expect(second.status).to.equal('completed');
+  });
+
+  it('rebuilds the windows from stored bridge records after a restart', async () => {
+    await withdraw(user, '3');
+
+    const restarted = await makeBridge(rollup, { storage });
+    await restarted.loadBridgeState();
+    bridge = restarted;
+
+    await expect(withdraw(user, '3')).to.be.rejected.and.eventually.include({ code: 'RATE_LIMITED' });
+  });
+
+  it('rejects deposit intents for an invalid user address', async () => {
+    await expect(bridge.deposit('not-an-address', null, '1')).to.be.rejected
+      .and.eventually.include({ code: 'INVALID_ADDRESS', statusCode: 400 });
+  });
+});
@@ -0,0 +1,202 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { ethers } = require('ethers');
+const { makeRollup, makeBridge, signWithdrawal, fund } = require('../helpers');
+
+describe('FastWithdrawalManager', () => {
+  let clock;
+  let rollup;
+  let bridge;
+  let fast;
+  let user;
+  let lp;
+  let payments;
+  let withdrawalId;
+
+  /**
+   * Register the liquidity provider with a fee
+   * @param {number} feeBps - Fee in basis points
+   * @returns {Object} Liquidity provider
+   */
+  const registerLp = async (feeBps) => {
+    const timestamp = Date.now();
+    const signature = await lp.signMessage(`Defi-Rain register LP ${feeBps} ${timestamp}`);
+    return fast.registerProvider(lp.address, feeBps, [], timestamp, signature);
+  };
+
+  /**
+   * Open a fast exit request for the test withdrawal
+   * @param {number} maxFeeBps - Highest fee the owner accepts
+   * @returns {Object} Fast withdrawal request
+   */
+  const requestExit = async (maxFeeBps = 100) => {
+    const timestamp = Date.now();
+    const signature = await user.signMessage(`Defi-Rain fast-exit ${withdrawalId} ${maxFeeBps} ${timestamp}`);
+    return fast.requestFastWithdrawal(withdrawalId, maxFeeBps, timestamp, signature);
+  };
+
+  /**
+   * Record a confirmed Layer1 ETH payment
+   * @param {string} from - Payer
+   * @param {string} to - Payee
+   * @param {bigint} value - Amount in wei
+   * @param {Object} request - Fast withdrawal request the payment references
+   * @returns {string} Transaction hash
+   */
+  const pay = (from, to, value, request) => {
+    const hash = ethers.id(`payment ${payments.size}`);
+    payments.set(hash, { from, to, value, data: request ? request.paymentReference : '0x' });
+    return hash;
+  };
+
+  /**
+   * Fill a request with a provider-signed payment
+   * @param {string} requestId - Fast withdrawal request ID
+   * @param {string} layer1TxHash - Payment transaction
+   * @returns {Object} Filled request
+   */
+  const fill = async (requestId, layer1TxHash) =>
+    fast.fillRequest(requestId, lp.address, layer1TxHash, await lp.signMessage(`Defi-Rain fill ${requestId} ${layer1TxHash}`));
+
+  beforeEach(async () => {
+    clock = sinon.useFakeTimers({ now: Date.now(), toFake: ['Date'] });
+    payments = new Map();
+    rollup = makeRollup();
+    bridge = await makeBridge(rollup);
+    bridge.provider = {
+      getTransaction: async (hash) => payments.get(hash) || null,
+      getTransactionReceipt: async (hash) => (payments.has(hash)
+        ? { status: 1, logs: [], confirmations: async () => 10 }
+        : null)
+    };
+    fast = bridge.fastWithdrawals;
+    user = ethers.Wallet.createRandom();
+    lp = ethers.Wallet.createRandom();
+
+    await fund(rollup, user.address, ethers.parseEther('5'));
+    ({ withdrawalId } = await bridge.withdraw(user.address, null, '1', await signWithdrawal(rollup, user, ethers.parseEther('1'))));
+  });
+
+  afterEach(() => {
+    clock.restore();
+  });
+
+  it('quotes the payout net of the provider fee', async () => {
+    await registerLp(50);
+
+    const { quotes } = fast.getQuotes(withdrawalId);
+    expect(quotes).to.have.lengthOf(1);
+    expect(quotes[0]).to.include({ liquidityProvider: lp.address, fee: '0.005', payout: '0.995' });
+  });
+
+  it('rejects provider fees above the maximum', async () => {
+    await expect(registerLp(fast.maxFeeBps + 1)).to.be.rejected
+      .and.eventually.include({ code: 'INVALID_FEE' });
+  });
+
+  it('only lets the withdrawal owner request a fast exit, once', async () => {
+    const timestamp = Date.now();
+    const forged = await lp.signMessage(`Defi-Rain fast-exit ${withdrawalId} 100 ${timestamp}`);
+    await expect(fast.requestFastWithdrawal(withdrawalId, 100, timestamp, forged)).to.be.rejected
+      .and.eventually.include({ code: 'INVALID_SIGNATURE', statusCode: 403 });
+
+    await requestExit();
+    await expect(requestExit()).to.be.rejected
+      .and.eventually.include({ code: 'FAST_WITHDRAWAL_EXISTS', statusCode: 409 });
+  });
+
+  it('lists open requests a provider can fill at its fee', async () => {
+    await registerLp(150);
+    const request = await requestExit(100);
+
+    expect(fast.getOpenRequests()).to.have.lengthOf(1);
+    expect(fast.getOpenRequests(lp.address)).to.have.lengthOf(0);
+
+    await registerLp(100);
+    const [open] = fast.getOpenRequests(lp.address);
+    expect(open.id).to.equal(request.id);
+    expect(open.quote.payout).to.equal('0.99');
+  });
+
+  it('hands the withdrawal to the provider once its payment to the owner is verified', async () => {
+    await registerLp(100);
+    const request = await requestExit();
+    const layer1TxHash = pay(lp.address, user.address, ethers.parseEther('0.99'), request);
+
+    const filled = await fill(request.id, layer1TxHash);
+
+    expect(filled).to.include({ status: 'filled', liquidityProvider: lp.address, layer1TxHash });
+    expect(bridge.getWithdrawal(withdrawalId).recipient).to.equal(lp.address);
+    expect(bridge.getWithdrawal(withdrawalId).fastWithdrawal).to.include({ fee: ethers.parseEther('0.01') });
+    expect(() => fast.getQuotes(withdrawalId)).to.throw().with.property('code', 'WITHDRAWAL_NOT_EXITABLE');
+  });
+
+  it('pays the withdrawal to the provider, not the owner, on Layer1', async () => {
+    await registerLp(100);
+    const request = await requestExit();
+    await fill(request.id, pay(lp.address, user.address, ethers.parseEther('0.99'), request));
+
+    await rollup.createBatch();
+    clock.tick(Math.max(bridge.withdrawalDelay * 1000, rollup.challengePeriod));
+    await rollup.finalizationTracker.checkFinalization();
+    const result = await bridge.completeWithdrawal(withdrawalId);
+
+    const withdrawal = bridge.getWithdrawal(withdrawalId);
+    const assigned = bridge.layer1Contract.interface.decodeFunctionData('assignWithdrawal', withdrawal.fastWithdrawal.assignment.layer1Calldata);
+    const paid = bridge.layer1Contract.interface.decodeFunctionData('withdraw', withdrawal.layer1Calldata);
+    expect(assigned.leaf).to.equal(bridge.getWithdrawalProof(withdrawalId).leaf);
+    expect(assigned.recipient).to.equal(lp.address);
+    expect(paid.proof).to.equal(assigned.leaf);
+    expect(paid.recipient).to.equal(lp.address);
+    expect(result.recipient).to.equal(lp.address);
+  });
+
+  it('refuses a payment that does not reference the request', async () => {
+    await registerLp(100);
+    const earlier = pay(lp.address, user.address, ethers.parseEther('0.99'));
+    const request = await requestExit();
+
+    await expect(fill(request.id, earlier)).to.be.rejected
+      .and.eventually.include({ code: 'PAYMENT_REFERENCE_MISMATCH' });
+    expect(fast.requests.get(request.id).status).to.equal('open');
+  });
+
+  it('keeps the request open when the payment falls short', async () => {
+    await registerLp(100);
+    const request = await requestExit();
+    const layer1TxHash = pay(lp.address, user.address, ethers.parseEther('0.5'), request);
+
+    await expect(fill(request.id, layer1TxHash)).to.be.rejected
+      .and.eventually.include({ code: 'PAYMENT_INSUFFICIENT' });
+
+    expect(fast.requests.get(request.id).status).to.equal('open');
+    expect(bridge.getWithdrawal(withdrawalId).recipient).to.equal(user.address);
+  });
+
+  it('lets only one of two concurrent fills claim a request', async () => {
+    await registerLp(100);
+    const request = await requestExit();
+    const first = pay(lp.address, user.address, ethers.parseEther('0.99'), request);
+    const second = pay(lp.address, user.address, ethers.parseEther('0.99'), request);
+
+    const results = await Promise.allSettled([fill(request.id, first), fill(request.id, second)]);
+
+    expect(results.map(result => result.status).sort()).to.deep.equal(['fulfilled', 'rejected']);
+    expect(results.find(result => result.status === 'rejected').reason.code).to.equal('FAST_WITHDRAWAL_NOT_OPEN');
+  });
+
+  it('refuses to reuse a payment for another request', async () => {
+    await registerLp(100);
+    const first = await requestExit();
+    const layer1TxHash = pay(lp.address, user.address, ethers.parseEther('0.99'), first);
+    await fill(first.id, layer1TxHash);
+
+    // A later deadline keeps the second authorization distinct from the first
+    clock.tick(1000);
+    ({ withdrawalId } = await bridge.withdraw(user.address, null, '1', await signWithdrawal(rollup, user, ethers.parseEther('1'))));
+    const request = await requestExit();
+
+    await expect(fill(request.id, layer1TxHash)).to.be.rejected
+      .and.eventually.include({ code: 'PAYMENT_ALREADY_USED', statusCode: 409 });
+  });
+});
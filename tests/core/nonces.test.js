@@ -0,0 +1,65 @@
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+const NonceRegistry = require('../../src/core/nonces');
+
+describe('NonceRegistry', () => {
+  const sender = ethers.Wallet.createRandom().address;
+  const transaction = (nonce, tag = '') => ({ sender, nonce, hash: ethers.id(`${sender}:${nonce}${tag}`) });
+
+  let executed;
+  let registry;
+
+  beforeEach(() => {
+    executed = 0;
+    registry = new NonceRegistry({ getBaseNonce: () => executed, maxQueuedPerAccount: 4 });
+  });
+
+  it('makes the next nonce pending and queues later ones until the gap is filled', () => {
+    expect(registry.register(transaction(0)).status).to.equal('pending');
+    expect(registry.register(transaction(2)).status).to.equal('queued');
+    expect(registry.getQueuedNonces(sender)).to.deep.equal([2]);
+
+    const { status, ready } = registry.register(transaction(1));
+
+    expect(status).to.equal('pending');
+    expect(ready.map(tx => tx.nonce)).to.deep.equal([1, 2]);
+    expect(registry.getNextNonce(sender)).to.equal(3);
+    expect(registry.getQueuedCount()).to.equal(0);
+  });
+
+  it('rejects replays, used nonces and duplicate queued nonces', () => {
+    registry.register(transaction(0));
+    registry.register(transaction(2));
+
+    expect(() => registry.register(transaction(0))).to.throw().with.property('code', 'TRANSACTION_REPLAYED');
+    expect(() => registry.register(transaction(0, 'b'))).to.throw().with.property('code', 'NONCE_TOO_LOW');
+    expect(() => registry.register(transaction(2, 'b'))).to.throw().with.property('code', 'NONCE_ALREADY_QUEUED');
+    expect(() => registry.register(transaction(-1))).to.throw().with.property('code', 'INVALID_NONCE');
+  });
+
+  it('caps how far ahead an account may queue', () => {
+    expect(() => registry.register(transaction(5))).to.throw().with.property('code', 'NONCE_TOO_HIGH');
+  });
+
+  it('falls back to the executed nonce after an account reset', () => {
+    registry.register(transaction(0));
+    registry.register(transaction(3));
+
+    const discarded = registry.resetAccount(sender);
+
+    expect(discarded.map(tx => tx.nonce)).to.deep.equal([3]);
+    expect(registry.getNextNonce(sender)).to.equal(0);
+  });
+
+  it('prunes the hashes of executed nonces but keeps rejecting them as too low', () => {
+    registry.register(transaction(0));
+    registry.register(transaction(1));
+    registry.register(transaction(3));
+
+    executed = 2;
+
+    expect(registry.prune()).to.equal(2);
+    expect(Array.from(registry.knownHashes.keys())).to.deep.equal([transaction(3).hash]);
+    expect(() => registry.register(transaction(0))).to.throw().with.property('code', 'NONCE_TOO_LOW');
+  });
+});
@@ -0,0 +1,107 @@
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+const { MemoryStorage } = require('../../src/storage');
+const ConsensusManager = require('../../src/core/consensus');
+const { makeRollup, makeBridge, signWithdrawal, fund } = require('../helpers');
+
+describe('Bridge pause controls', () => {
+  let storage;
+  let rollup;
+  let bridge;
+  let guardian;
+  let user;
+
+  /**
+   * Pause operations with a guardian-signed request
+   * @param {ethers.Wallet} signer - Signing wallet
+   * @param {Array|string} operations - Operations to pause
+   * @param {number} timestamp - Request time
+   * @returns {Object} Pause state
+   */
+  const pause = async (signer, operations, timestamp = Date.now()) => {
+    const targets = bridge.normalizeOperations(operations);
+    const signature = await signer.signMessage(`Defi-Rain pause ${targets.join(',')} ${timestamp}`);
+    return bridge.pause(signer.address, operations, 'suspicious outflow', timestamp, signature);
+  };
+
+  /**
+   * Pass and execute a governance proposal unpausing bridge operations
+   * @param {Array|string} operations - Operations to resume
+   * @returns {Object} Execution result
+   */
+  const unpauseByGovernance = async (operations) => {
+    const consensus = new ConsensusManager({ storage, bridge });
+    const proposal = await consensus.createProposal(guardian.address, 'Unpause', 'All clear', 'emergency', {
+      action: 'unpause_bridge',
+      operations
+    });
+    await consensus.vote(proposal.id, guardian.address, 'for');
+    return consensus.executeProposal(proposal.id);
+  };
+
+  beforeEach(async () => {
+    storage = new MemoryStorage();
+    rollup = makeRollup({ storage });
+    bridge = await makeBridge(rollup, { storage });
+    guardian = ethers.Wallet.createRandom();
+    bridge.guardians = [guardian.address.toLowerCase()];
+    user = ethers.Wallet.createRandom();
+    await fund(rollup, user.address, ethers.parseEther('10'));
+  });
+
+  it('lets a guardian pause deposits alone', async () => {
+    const state = await pause(guardian, ['deposit']);
+
+    expect(state.paused).to.equal(true);
+    expect(state.operations.deposit).to.include({ pausedBy: guardian.address, reason: 'suspicious outflow' });
+    expect(state.operations.withdraw).to.equal(null);
+
+    await expect(bridge.deposit(user.address, null, '1')).to.be.rejected
+      .and.eventually.include({ code: 'BRIDGE_PAUSED', statusCode: 503 });
+    await bridge.withdraw(user.address, null, '1', await signWithdrawal(rollup, user, ethers.parseEther('1')));
+  });
+
+  it('pauses every operation at once', async () => {
+    const state = await pause(guardian, 'all');
+
+    expect(Object.values(state.operations).every(Boolean)).to.equal(true);
+    expect(bridge.getStats().pause.paused).to.equal(true);
+    expect(bridge.getBridgeEvents().map(event => event.type)).to.include('bridge_paused');
+  });
+
+  it('refuses pause requests from non-guardians, with a bad signature or stale timestamp', async () => {
+    await expect(pause(ethers.Wallet.createRandom(), ['deposit'])).to.be.rejected
+      .and.eventually.include({ code: 'UNAUTHORIZED_GUARDIAN', statusCode: 403 });
+
+    const timestamp = Date.now();
+    const signature = await guardian.signMessage(`Defi-Rain pause deposit ${timestamp}`);
+    await expect(bridge.pause(guardian.address, ['deposit', 'withdraw'], 'x', timestamp, signature)).to.be.rejected
+      .and.eventually.include({ code: 'INVALID_SIGNATURE' });
+
+    await expect(pause(guardian, ['deposit'], Date.now() - 60 * 60 * 1000)).to.be.rejected
+      .and.eventually.include({ code: 'PAUSE_REQUEST_EXPIRED' });
+    await expect(pause(guardian, ['transfer'])).to.be.rejected;
+
+    expect(bridge.getPauseState().paused).to.equal(false);
+  });
+
+  it('unpauses only through an executed governance proposal', async () => {
+    await pause(guardian, 'all');
+
+    const result = await unpauseByGovernance(['deposit']);
+
+    expect(result.pause.operations.deposit).to.equal(null);
+    expect(result.pause.operations.withdraw).to.not.equal(null);
+    expect(bridge.getBridgeEvents().map(event => event.type)).to.include('bridge_unpaused');
+    await bridge.deposit(user.address, null, '1');
+  });
+
+  it('keeps the paused state across a restart', async () => {
+    await pause(guardian, ['withdraw']);
+
+    const restarted = await makeBridge(rollup, { storage });
+    await restarted.loadBridgeState();
+
+    expect(restarted.getPauseState().operations.withdraw).to.include({ pausedBy: guardian.address });
+  });
+});
@@ -0,0 +1,149 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { ethers } = require('ethers');
+const ProposerSchedule = require('../../src/core/proposer');
+const ValidatorManager = require('../../src/core/validator');
+const { MemoryStorage } = require('../../src/storage');
+const { publicKey } = require('../helpers');
+
+describe('ProposerSchedule', () => {
+  let clock;
+  let storage;
+  let manager;
+  let proposer;
+  let epochMs;
+  let wallets;
+
+  /**
+   * Move the clock into the next epoch
+   * @returns {number} The new epoch
+   */
+  const nextEpoch = () => {
+    const epoch = proposer.getEpoch(proposer.getSlot()) + 1;
+    clock.setSystemTime(proposer.getEpochStart(epoch) + 1);
+    return epoch;
+  };
+
+  beforeEach(async () => {
+    storage = new MemoryStorage();
+    manager = new ValidatorManager({ storage });
+    proposer = new ProposerSchedule(manager);
+    epochMs = proposer.epochLength * proposer.slotDuration;
+    clock = sinon.useFakeTimers({ now: 100 * epochMs + 1000, toFake: ['Date'] });
+    await manager.initialize();
+
+    wallets = [ethers.Wallet.createRandom(), ethers.Wallet.createRandom(), ethers.Wallet.createRandom()];
+    for (const [i, wallet] of wallets.entries()) {
+      await manager.registerValidator(wallet.address, publicKey(wallet), ethers.parseEther(String(2 + i)));
+    }
+  });
+
+  afterEach(() => {
+    clock.restore();
+  });
+
+  it('lets any sequencer seal in an epoch that started without validators', () => {
+    expect(proposer.getProposers(proposer.getSlot())).to.deep.equal([]);
+    expect(proposer.isProposer(ethers.Wallet.createRandom().address)).to.equal(true);
+  });
+
+  it('draws every slot of an epoch from the validators active at its boundary', () => {
+    const epoch = nextEpoch();
+    const schedule = proposer.getSchedule(epoch);
+    const addresses = wallets.map(wallet => wallet.address);
+
+    expect(schedule.slots).to.have.lengthOf(proposer.epochLength);
+    expect(schedule.slots.every(address => addresses.includes(address))).to.equal(true);
+    expect(schedule.totalStake).to.equal(ethers.parseEther('9'));
+  });
+
+  it('derives the same schedule on every node', () => {
+    const epoch = nextEpoch();
+    const other = new ProposerSchedule(manager);
+
+    expect(other.getSchedule(epoch).slots).to.deep.equal(proposer.getSchedule(epoch).slots);
+  });
+
+  it('ignores stake changes until the next epoch', async () => {
+    const epoch = nextEpoch();
+    const before = proposer.getSchedule(epoch);
+
+    await manager.unregisterValidator(wallets[2].address);
+
+    expect(new ProposerSchedule(manager).getSchedule(epoch).slots).to.deep.equal(before.slots);
+
+    const following = nextEpoch();
+    expect(proposer.getSchedule(following).validators.map(validator => validator.address))
+      .to.not.include(wallets[2].address);
+  });
+
+  it('hands the slot to the next proposer after each fallback timeout', () => {
+    const epoch = nextEpoch();
+    const slot = epoch * proposer.epochLength;
+    const [primary, fallback] = proposer.getProposers(slot);
+    const slotStart = slot * proposer.slotDuration;
+
+    expect(proposer.isProposer(primary, slotStart)).to.equal(true);
+    expect(proposer.isProposer(fallback, slotStart)).to.equal(false);
+    expect(proposer.isProposer(fallback, slotStart + proposer.fallbackTimeout)).to.equal(true);
+  });
+
+  it('previews future epochs without fixing them', () => {
+    const current = proposer.getEpoch(proposer.getSlot());
+
+    proposer.getSchedule(current + 5);
+
+    expect(proposer.schedules.has(current + 5)).to.equal(false);
+  });
+
+  it('persists a schedule once its epoch has started', async () => {
+    const epoch = nextEpoch();
+    proposer.getSchedule(epoch);
+    expect(await storage.load('proposer_schedules')).to.have.lengthOf(0);
+
+    await proposer.startEpoch();
+    await proposer.startEpoch();
+
+    const stored = await storage.load('proposer_schedules');
+    expect(stored.map(schedule => schedule.epoch)).to.deep.equal([epoch]);
+  });
+
+  it('surfaces a failed schedule write and retries it on the next start', async () => {
+    nextEpoch();
+    const save = sinon.stub(storage, 'save');
+    save.withArgs('proposer_schedules').rejects(new Error('storage down'));
+    save.callThrough();
+
+    await expect(proposer.startEpoch()).to.be.rejectedWith('storage down');
+
+    save.restore();
+    await proposer.startEpoch();
+    expect(await storage.load('proposer_schedules')).to.have.lengthOf(1);
+  });
+
+  it('restores started epochs from storage after a restart', async () => {
+    const epoch = nextEpoch();
+    await proposer.startEpoch();
+    const schedule = proposer.getSchedule(epoch);
+
+    const restartedManager = new ValidatorManager({ storage });
+    await restartedManager.initialize();
+    const restarted = new ProposerSchedule(restartedManager);
+    await restarted.load();
+
+    expect(restarted.schedules.get(epoch).slots).to.deep.equal(schedule.slots);
+  });
+
+  it('drops schedules and stake history older than the previous epoch', async () => {
+    const first = nextEpoch();
+    await proposer.startEpoch();
+    await manager.updateStake(wallets[0].address, ethers.parseEther('5'));
+    nextEpoch();
+    nextEpoch();
+    await proposer.startEpoch();
+
+    expect(proposer.schedules.has(first)).to.equal(false);
+    expect(await storage.load('proposer_schedules')).to.have.lengthOf(1);
+    expect(manager.stakeHistory.filter(entry => entry.address === wallets[0].address)).to.have.lengthOf(1);
+  });
+});
@@ -0,0 +1,123 @@
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+const { MemoryStorage } = require('../../src/storage');
+const { makeRollup, makeBridge, fakeLayer1, depositLog, fund } = require('../helpers');
+
+describe('ReorgMonitor', () => {
+  let rollup;
+  let bridge;
+  let chain;
+  let user;
+  let log;
+
+  /**
+   * Get the single deposit the bridge knows about
+   * @returns {Object} Deposit object
+   */
+  const onlyDeposit = () => Array.from(bridge.deposits.values())[0];
+
+  /**
+   * Seal a batch and pretend it was submitted in a Layer1 block
+   * @param {number} blockNumber - Layer1 block holding the submission
+   * @returns {Object} Submitted batch
+   */
+  const submitBatchAt = async (blockNumber) => {
+    await fund(rollup, ethers.Wallet.createRandom().address, 1n);
+    await rollup.createBatch();
+
+    const batch = rollup.getAllBatches('submitted')[0];
+    Object.assign(batch, {
+      layer1TxHash: ethers.id('submit'),
+      layer1BlockNumber: blockNumber,
+      layer1BlockHash: chain.hash(blockNumber)
+    });
+    return batch;
+  };
+
+  beforeEach(async () => {
+    const storage = new MemoryStorage();
+    rollup = makeRollup({ storage });
+    bridge = await makeBridge(rollup, { storage });
+    chain = fakeLayer1();
+    bridge.provider = chain.provider;
+    user = ethers.Wallet.createRandom().address;
+    log = depositLog(bridge, { user, amount: ethers.parseEther('1'), depositId: ethers.id('d1'), blockNumber: 105 });
+
+    await bridge.depositWatcher.poll();
+  });
+
+  it('sends a confirming deposit back to pending when its block is reorganized away', async () => {
+    chain.logs.push(log);
+    chain.head = 108;
+    await bridge.depositWatcher.poll();
+    expect(onlyDeposit().status).to.equal('confirming');
+
+    chain.fork = 'b';
+    chain.forkFrom = 105;
+    chain.logs = [];
+    await bridge.depositWatcher.poll();
+
+    expect(onlyDeposit()).to.include({ status: 'pending', layer1BlockNumber: null });
+    expect(bridge.reorgMonitor.getStatus().reorgCount).to.equal(1);
+    expect(bridge.getBridgeEvents().map(event => event.type)).to.include('deposit_reorged');
+  });
+
+  it('takes back the L2 credit of a completed deposit that left the canonical chain', async () => {
+    chain.logs.push(log);
+    chain.head = 120;
+    await bridge.depositWatcher.poll();
+    expect(rollup.stateManager.getBalance(user, ethers.ZeroAddress)).to.equal(ethers.parseEther('1'));
+
+    chain.fork = 'b';
+    chain.forkFrom = 105;
+    chain.logs = [];
+    chain.head = 121;
+    await bridge.depositWatcher.poll();
+
+    expect(onlyDeposit().status).to.equal('pending');
+    expect(rollup.stateManager.getBalance(user, ethers.ZeroAddress)).to.equal(0n);
+  });
+
+  it('credits a deposit mined again on the new branch only once', async () => {
+    chain.logs.push(log);
+    chain.head = 120;
+    await bridge.depositWatcher.poll();
+
+    chain.fork = 'b';
+    chain.forkFrom = 105;
+    chain.logs = [{ ...log, blockNumber: 107 }];
+    chain.head = 121;
+    await bridge.depositWatcher.poll();
+
+    expect(onlyDeposit()).to.include({ status: 'completed', layer1BlockNumber: 107 });
+    expect(bridge.deposits.size).to.equal(1);
+    expect(rollup.stateManager.getBalance(user, ethers.ZeroAddress)).to.equal(ethers.parseEther('1'));
+  });
+
+  it('queues a batch for resubmission when its submission was reorganized away', async () => {
+    const batch = await submitBatchAt(110);
+    chain.head = 120;
+    await bridge.depositWatcher.poll();
+    expect(batch.status).to.equal('submitted');
+
+    chain.fork = 'b';
+    chain.forkFrom = 105;
+    await bridge.depositWatcher.poll();
+
+    expect(batch).to.include({ status: 'attested', layer1TxHash: null, layer1BlockNumber: null });
+    expect(bridge.getBridgeEvents().map(event => event.type)).to.include('batch_reorged');
+  });
+
+  it('follows a batch submission mined again in a different block', async () => {
+    const batch = await submitBatchAt(110);
+    chain.head = 120;
+    await bridge.depositWatcher.poll();
+
+    chain.fork = 'b';
+    chain.forkFrom = 105;
+    chain.receipts[batch.layer1TxHash] = { status: 1, blockNumber: 112, blockHash: chain.hash(112) };
+    await bridge.depositWatcher.poll();
+
+    expect(batch).to.include({ status: 'submitted', layer1BlockNumber: 112, layer1BlockHash: chain.hash(112) });
+  });
+});
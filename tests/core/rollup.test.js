@@ -0,0 +1,338 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { ethers } = require('ethers');
+const config = require('../../src/config/config');
+const { makeRollup, signTransaction, fund } = require('../helpers');
+
+describe('RollupManager', () => {
+  let rollup;
+  let alice;
+
+  beforeEach(() => {
+    rollup = makeRollup();
+    alice = ethers.Wallet.createRandom();
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('transaction signatures', () => {
+    it('recovers the sender and hash of a signed transaction', async () => {
+      const transaction = await signTransaction(rollup, alice);
+
+      const pending = await rollup.addTransaction(transaction);
+
+      expect(pending.sender).to.equal(alice.address);
+      expect(pending.hash).to.equal(rollup.hashTransaction(transaction));
+    });
+
+    it('rejects a transaction signed by someone other than its sender', async () => {
+      const transaction = await signTransaction(rollup, alice);
+      transaction.from = ethers.Wallet.createRandom().address;
+
+      await expect(rollup.addTransaction(transaction)).to.be.rejected
+        .and.eventually.include({ code: 'INVALID_TRANSACTION', statusCode: 400 });
+    });
+
+    it('rejects a transaction whose fields changed after signing', async () => {
+      const transaction = await signTransaction(rollup, alice);
+      transaction.value = '2';
+
+      await expect(rollup.addTransaction(transaction)).to.be.rejected
+        .and.eventually.include({ code: 'INVALID_TRANSACTION' });
+    });
+
+    it('rejects a transaction with missing fields or a malformed signature', async () => {
+      const transaction = await signTransaction(rollup, alice);
+
+      await expect(rollup.addTransaction({ ...transaction, signature: '0x1234' })).to.be.rejected
+        .and.eventually.include({ code: 'INVALID_TRANSACTION' });
+      await expect(rollup.addTransaction({ from: alice.address })).to.be.rejected
+        .and.eventually.include({ code: 'INVALID_TRANSACTION' });
+    });
+  });
+
+  describe('nonce tracking', () => {
+    it('queues a nonce gap and forgets executed hashes once a batch is built', async () => {
+      await fund(rollup, alice.address, ethers.parseEther('1'));
+      const first = await signTransaction(rollup, alice, { nonce: 0 });
+
+      await rollup.addTransaction(first);
+      expect((await rollup.addTransaction(await signTransaction(rollup, alice, { nonce: 2 }))).status).to.equal('queued');
+      await rollup.addTransaction(await signTransaction(rollup, alice, { nonce: 1 }));
+      await rollup.createBatch();
+
+      expect(rollup.getAccountNonce(alice.address).nonce).to.equal(3);
+      expect(rollup.nonceRegistry.knownHashes.size).to.equal(0);
+      await expect(rollup.addTransaction(first)).to.be.rejected
+        .and.eventually.include({ code: 'NONCE_TOO_LOW' });
+    });
+  });
+
+  describe('batch execution', () => {
+    it('executes transfers and rejects a sender that runs out of funds', async () => {
+      const bob = ethers.Wallet.createRandom();
+      await fund(rollup, alice.address, ethers.parseEther('1'));
+
+      await rollup.addTransaction(await signTransaction(rollup, alice, {
+        nonce: 0, to: bob.address, value: ethers.parseEther('0.4').toString()
+      }));
+      await rollup.addTransaction(await signTransaction(rollup, alice, {
+        nonce: 1, to: bob.address, value: ethers.parseEther('0.7').toString()
+      }));
+      await rollup.createBatch();
+
+      const [batch] = rollup.getAllBatches();
+      expect(batch.transactions).to.have.lengthOf(1);
+      expect(batch.rejectedTransactions.map(tx => tx.reason)).to.deep.equal(['INSUFFICIENT_BALANCE']);
+      expect(batch.stateRoot).to.equal(rollup.stateManager.computeRoot());
+      expect(rollup.stateManager.getBalance(bob.address)).to.equal(ethers.parseEther('0.4'));
+      expect(rollup.getAccountNonce(alice.address).nonce).to.equal(1);
+    });
+  });
+
+  describe('sequencer', () => {
+    let clock;
+
+    beforeEach(async () => {
+      clock = sinon.useFakeTimers({ now: Date.now(), toFake: ['Date', 'setInterval', 'clearInterval'] });
+      await fund(rollup, alice.address, ethers.parseEther('1'));
+    });
+
+    afterEach(async () => {
+      await rollup.stopSequencer({ flush: false });
+      clock.restore();
+    });
+
+    it('seals as soon as the pool reaches the batch size', async () => {
+      rollup.batchSize = 2;
+      await rollup.addTransaction(await signTransaction(rollup, alice, { nonce: 0 }));
+      expect(rollup.getAllBatches()).to.have.lengthOf(0);
+
+      await rollup.addTransaction(await signTransaction(rollup, alice, { nonce: 1 }));
+      await rollup.sealingPromise;
+
+      expect(rollup.getAllBatches()).to.have.lengthOf(1);
+      expect(rollup.getAllBatches()[0].transactions).to.have.lengthOf(2);
+    });
+
+    it('waits for the batch timeout before sealing a small pool', async () => {
+      await rollup.addTransaction(await signTransaction(rollup, alice, { nonce: 0 }));
+      expect(rollup.shouldSealBatch()).to.equal(null);
+
+      clock.tick(rollup.batchTimeout);
+      expect(rollup.shouldSealBatch()).to.equal('timeout');
+    });
+
+    it('seals pending work from the timer once the timeout passes', async () => {
+      await rollup.addTransaction(await signTransaction(rollup, alice, { nonce: 0 }));
+      rollup.startSequencer();
+
+      await clock.tickAsync(rollup.batchTimeout + rollup.sequencerInterval);
+      await rollup.sealingPromise;
+
+      expect(rollup.getAllBatches()).to.have.lengthOf(1);
+      expect(rollup.pendingTransactions).to.have.lengthOf(0);
+    });
+
+    it('never runs two seals at once', async () => {
+      await rollup.addTransaction(await signTransaction(rollup, alice, { nonce: 0 }));
+
+      await Promise.all([rollup.sealBatch('manual'), rollup.sealBatch('manual')]);
+
+      expect(rollup.getAllBatches()).to.have.lengthOf(1);
+    });
+
+    it('flushes the pending pool on shutdown', async () => {
+      await rollup.addTransaction(await signTransaction(rollup, alice, { nonce: 0 }));
+      rollup.startSequencer();
+
+      await rollup.stopSequencer();
+
+      expect(rollup.sequencerTimer).to.equal(null);
+      expect(rollup.pendingTransactions).to.have.lengthOf(0);
+      expect(rollup.getAllBatches()).to.have.lengthOf(1);
+    });
+  });
+
+  describe('gas accounting', () => {
+    it('charges more calldata gas for non-zero bytes', () => {
+      const empty = rollup.estimateTransactionGas({ data: '0x' });
+      const zero = rollup.estimateTransactionGas({ data: '0x00' }) - empty;
+      const nonZero = rollup.estimateTransactionGas({ data: '0x01' }) - empty;
+
+      expect(empty).to.be.above(0);
+      expect(nonZero).to.be.above(zero);
+      expect(rollup.estimateTransactionGas({ data: '0x0001' })).to.equal(empty + zero + nonZero);
+    });
+
+    it('rejects a transaction that can never fit in a batch', async () => {
+      rollup.maxGasPerBatch = rollup.estimateTransactionGas({ data: '0x' });
+      const transaction = await signTransaction(rollup, alice, { data: '0x01' });
+
+      await expect(rollup.addTransaction(transaction)).to.be.rejected
+        .and.eventually.include({ code: 'GAS_EXCEEDS_BATCH_LIMIT' });
+    });
+
+    it('leaves transactions over the gas budget for the next batch', async () => {
+      const bob = ethers.Wallet.createRandom();
+      const gas = rollup.estimateTransactionGas({ data: '0x' });
+      rollup.maxGasPerBatch = gas * 2;
+      await fund(rollup, alice.address, ethers.parseEther('1'));
+      await fund(rollup, bob.address, ethers.parseEther('1'));
+
+      await rollup.addTransaction(await signTransaction(rollup, alice, { nonce: 0 }));
+      await rollup.addTransaction(await signTransaction(rollup, alice, { nonce: 1 }));
+      await rollup.addTransaction(await signTransaction(rollup, bob, { nonce: 0 }));
+      expect(rollup.shouldSealBatch()).to.equal('gas');
+
+      await rollup.createBatch();
+
+      const [batch] = rollup.getAllBatches();
+      expect(batch.gasUsed).to.equal(gas * 2);
+      expect(batch.transactions).to.have.lengthOf(2);
+      expect(rollup.pendingTransactions).to.have.lengthOf(1);
+    });
+  });
+
+  describe('fee market', () => {
+    it('rejects a priority fee above the fee cap', async () => {
+      const transaction = await signTransaction(rollup, alice, { maxFeePerGas: '10', maxPriorityFeePerGas: '11' });
+
+      await expect(rollup.addTransaction(transaction)).to.be.rejected
+        .and.eventually.include({ code: 'INVALID_FEE_CAP' });
+    });
+
+    it('orders senders by tip while keeping each sender in nonce order', async () => {
+      const bob = ethers.Wallet.createRandom();
+      await fund(rollup, alice.address, ethers.parseEther('1'));
+      await fund(rollup, bob.address, ethers.parseEther('1'));
+
+      await rollup.addTransaction(await signTransaction(rollup, alice, { nonce: 0, maxPriorityFeePerGas: '1' }));
+      await rollup.addTransaction(await signTransaction(rollup, alice, { nonce: 1, maxPriorityFeePerGas: '900000000' }));
+      await rollup.addTransaction(await signTransaction(rollup, bob, { nonce: 0, maxPriorityFeePerGas: '500000000' }));
+      await rollup.createBatch();
+
+      const [batch] = rollup.getAllBatches();
+      expect(batch.transactions.map(tx => [tx.sender, tx.nonce])).to.deep.equal([
+        [bob.address, 0],
+        [alice.address, 0],
+        [alice.address, 1]
+      ]);
+      expect(batch.transactions[0].effectiveTip).to.equal('500000000');
+    });
+
+    it('keeps underpriced transactions pooled and still finishes a shutdown flush', async () => {
+      const underpriced = (rollup.feeMarket.baseFee - 1n).toString();
+      await rollup.addTransaction(await signTransaction(rollup, alice, {
+        maxFeePerGas: underpriced,
+        maxPriorityFeePerGas: '0'
+      }));
+
+      await rollup.stopSequencer();
+
+      expect(rollup.pendingTransactions).to.have.lengthOf(1);
+      expect(rollup.getAllBatches()).to.have.lengthOf(0);
+    });
+  });
+
+  describe('batch challenges', () => {
+    let validator;
+    let validatorAddresses;
+
+    /**
+     * Build a challenge of a batch transaction signed by the validator
+     * @param {Object} batch - Batch object
+     * @param {number} index - Transaction index
+     * @param {Object} transaction - Transaction as the challenger claims it executed
+     * @returns {Object} Challenge
+     */
+    const challenge = async (batch, index, transaction = batch.transactions[index]) => ({
+      transactionIndex: index,
+      transaction,
+      proof: rollup.getTransactionProof(batch.id, index).proof,
+      signature: await validator.signMessage(`Defi-Rain challenge ${batch.id} ${index}`)
+    });
+
+    beforeEach(async () => {
+      validator = ethers.Wallet.createRandom();
+      validatorAddresses = config.rollup.validatorAddresses;
+      config.rollup.validatorAddresses = [validator.address];
+
+      const bob = ethers.Wallet.createRandom();
+      rollup.sealedSnapshot = rollup.stateManager.snapshot();
+      await fund(rollup, alice.address, ethers.parseEther('1'));
+      await rollup.addTransaction(await signTransaction(rollup, alice, { nonce: 0, to: bob.address }));
+      await rollup.addTransaction(await signTransaction(rollup, alice, { nonce: 1, to: bob.address }));
+      await rollup.createBatch();
+      await rollup.addTransaction(await signTransaction(rollup, alice, { nonce: 2, to: bob.address }));
+      await rollup.createBatch();
+    });
+
+    afterEach(() => {
+      config.rollup.validatorAddresses = validatorAddresses;
+    });
+
+    it('rejects a challenge of a correctly executed transaction', async () => {
+      const [batch] = rollup.getAllBatches();
+
+      const record = await rollup.challengeBatch(batch.id, validator.address, await challenge(batch, 1));
+
+      expect(record.result).to.equal('rejected');
+      expect(batch.status).to.equal('submitted');
+      expect(batch.challenges).to.have.lengthOf(1);
+    });
+
+    it('re-executes the committed transaction rather than the signature the challenger sent', async () => {
+      const [batch, next] = rollup.getAllBatches();
+      const forged = { ...batch.transactions[1], signature: '0x' + '11'.repeat(65) };
+
+      const record = await rollup.challengeBatch(batch.id, validator.address, await challenge(batch, 1, forged));
+
+      expect(record).to.include({ result: 'rejected', reason: null });
+      expect([batch.status, next.status]).to.deep.equal(['submitted', 'submitted']);
+    });
+
+    it('reverts the fraudulent batch and every batch after it', async () => {
+      const [batch, next] = rollup.getAllBatches();
+      batch.transactions[1].postStateRoot = ethers.ZeroHash;
+
+      const record = await rollup.challengeBatch(batch.id, validator.address, await challenge(batch, 1));
+
+      expect(record).to.include({ result: 'accepted', reason: 'STATE_ROOT_MISMATCH' });
+      expect([batch.status, next.status]).to.deep.equal(['reverted', 'reverted']);
+      expect(rollup.stateRoot).to.equal(batch.preStateRoot);
+      expect(rollup.pendingBridgeOperations.map(operation => operation.type)).to.deep.equal(['deposit']);
+      expect(rollup.getAccountNonce(alice.address).nonce).to.equal(0);
+    });
+
+    it('only accepts challenges signed by a configured validator', async () => {
+      const [batch] = rollup.getAllBatches();
+      const outsider = ethers.Wallet.createRandom();
+
+      await expect(rollup.challengeBatch(batch.id, outsider.address, {
+        ...(await challenge(batch, 1)),
+        signature: await outsider.signMessage(`Defi-Rain challenge ${batch.id} 1`)
+      })).to.be.rejected.and.eventually.include({ code: 'UNAUTHORIZED_CHALLENGER', statusCode: 403 });
+    });
+
+    it('requires the disputed transaction to be committed at its index', async () => {
+      const [batch] = rollup.getAllBatches();
+
+      await expect(rollup.challengeBatch(batch.id, validator.address, await challenge(batch, 0, batch.transactions[1])))
+        .to.be.rejected.and.eventually.include({ code: 'INVALID_INCLUSION_PROOF' });
+    });
+
+    it('leaves the batch challengeable when the fraud proof cannot be evaluated', async () => {
+      const [batch] = rollup.getAllBatches();
+      sinon.stub(rollup.fraudProofVerifier, 'verify').throws(new Error('corrupt pre-state'));
+
+      await expect(rollup.challengeBatch(batch.id, validator.address, await challenge(batch, 1)))
+        .to.be.rejectedWith('corrupt pre-state');
+
+      expect(batch.status).to.equal('submitted');
+      expect(batch.challenges || []).to.have.lengthOf(0);
+    });
+  });
+});
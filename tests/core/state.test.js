@@ -0,0 +1,64 @@
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+const StateManager = require('../../src/core/state');
+
+describe('StateManager', () => {
+  const alice = ethers.Wallet.createRandom().address;
+  const bob = ethers.Wallet.createRandom().address;
+  const sequencer = ethers.Wallet.createRandom().address;
+
+  let state;
+
+  beforeEach(() => {
+    state = new StateManager();
+    state.credit(alice, ethers.ZeroAddress, 100n);
+  });
+
+  it('moves value and fees and bumps the sender nonce', () => {
+    state.applyTransaction({ sender: alice, to: bob, value: '30', nonce: 0 }, {
+      fee: 10n,
+      reward: 4n,
+      feeRecipient: sequencer
+    });
+
+    expect(state.getBalance(alice)).to.equal(60n);
+    expect(state.getBalance(bob)).to.equal(30n);
+    expect(state.getBalance(sequencer)).to.equal(4n);
+    expect(state.getNonce(alice)).to.equal(1);
+  });
+
+  it('rejects an out-of-order nonce', () => {
+    expect(() => state.applyTransaction({ sender: alice, to: bob, value: '1', nonce: 1 }))
+      .to.throw().with.property('code', 'NONCE_MISMATCH');
+  });
+
+  it('rejects a transfer it cannot pay for without a partial debit', () => {
+    expect(() => state.applyTransaction({ sender: alice, to: bob, value: '95', nonce: 0 }, { fee: 10n }))
+      .to.throw().with.property('code', 'INSUFFICIENT_BALANCE');
+    expect(state.getBalance(alice)).to.equal(100n);
+    expect(state.getNonce(alice)).to.equal(0);
+  });
+
+  it('credits deposits and released stake and debits every other operation', () => {
+    state.applyOperation({ type: 'stake_lock', account: alice, token: ethers.ZeroAddress, amount: '40' });
+    expect(state.getBalance(alice)).to.equal(60n);
+
+    state.applyOperation({ type: 'stake_release', account: alice, token: ethers.ZeroAddress, amount: '40' });
+    state.applyOperation({ type: 'deposit', account: alice, token: ethers.ZeroAddress, amount: '5' });
+    expect(state.getBalance(alice)).to.equal(105n);
+
+    expect(() => state.applyOperation({ type: 'withdrawal', account: alice, token: ethers.ZeroAddress, amount: '500' }))
+      .to.throw().with.property('code', 'INSUFFICIENT_BALANCE');
+  });
+
+  it('restores a snapshot to the same state root', () => {
+    const root = state.computeRoot();
+    const snapshot = state.snapshot();
+
+    state.applyTransaction({ sender: alice, to: bob, value: '1', nonce: 0 });
+    expect(state.computeRoot()).to.not.equal(root);
+
+    state.restore(snapshot);
+    expect(state.computeRoot()).to.equal(root);
+  });
+});
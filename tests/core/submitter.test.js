@@ -0,0 +1,128 @@
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+const L1Submitter = require('../../src/core/submitter');
+const { makeRollup, fund } = require('../helpers');
+
+describe('L1Submitter', () => {
+  const request = { to: ethers.ZeroAddress, data: '0x' };
+
+  let mined;
+  let sent;
+  let provider;
+  let submitter;
+
+  /**
+   * Build a provider error with an ethers error code
+   * @param {string} code - Error code
+   * @returns {Error} Error
+   */
+  const providerError = (code) => Object.assign(new Error(code), { code });
+
+  beforeEach(() => {
+    mined = new Map();
+    sent = [];
+    provider = {
+      getFeeData: async () => ({ maxFeePerGas: 100n, maxPriorityFeePerGas: 10n }),
+      broadcastTransaction: async (signed) => {
+        sent.push(ethers.Transaction.from(signed));
+      },
+      getTransactionReceipt: async (hash) => mined.get(hash) || null,
+      waitForTransaction: async (hash) => {
+        if (mined.has(hash)) {
+          return mined.get(hash);
+        }
+        throw providerError('TIMEOUT');
+      }
+    };
+
+    submitter = new L1Submitter(null, {
+      privateKey: ethers.Wallet.createRandom().privateKey,
+      maxSubmissionRetries: 1,
+      feeBumpPercent: 10
+    });
+    submitter.provider = provider;
+    submitter.wallet.getNonce = async () => 7;
+    submitter.wallet.populateTransaction = async (transaction) => ({ ...transaction, chainId: 1n, type: 2 });
+  });
+
+  it('replaces an unconfirmed transaction at the same nonce with bumped fees', async () => {
+    const state = {};
+    const broadcasts = [];
+
+    await expect(submitter.submit(request, state, {
+      onBroadcast: async (progress) => broadcasts.push(progress.hashes.length)
+    })).to.be.rejectedWith('not confirmed after 2 attempts');
+
+    expect(sent.map(transaction => [transaction.nonce, transaction.maxFeePerGas])).to.deep.equal([[7, 100n], [7, 110n]]);
+    expect(state).to.include({ nonce: 7 });
+    expect(state.hashes).to.have.lengthOf(2);
+    expect(state.fees).to.deep.equal({ maxFeePerGas: '110', maxPriorityFeePerGas: '11' });
+    expect(broadcasts).to.deep.equal([1, 2]);
+  });
+
+  it('resumes at the stored nonce with fees above the last attempt', async () => {
+    const state = { nonce: 3, hashes: [], fees: { maxFeePerGas: '200', maxPriorityFeePerGas: '20' } };
+
+    await expect(submitter.submit(request, state)).to.be.rejected;
+
+    expect(sent.map(transaction => [transaction.nonce, transaction.maxFeePerGas])).to.deep.equal([[3, 220n], [3, 242n]]);
+  });
+
+  it('returns a receipt of an earlier attempt without sending again', async () => {
+    const state = {};
+    await expect(submitter.submit(request, state)).to.be.rejected;
+    mined.set(state.hashes[0], { hash: state.hashes[0], status: 1 });
+    const count = sent.length;
+
+    const { receipt, attempts } = await submitter.submit(request, state);
+
+    expect(receipt.hash).to.equal(state.hashes[0]);
+    expect(attempts).to.equal(0);
+    expect(sent).to.have.lengthOf(count);
+  });
+
+  it('clears the nonce when it was used by something else', async () => {
+    const state = { nonce: 3, hashes: [], fees: null };
+    provider.broadcastTransaction = async () => {
+      throw providerError('NONCE_EXPIRED');
+    };
+
+    await expect(submitter.submit(request, state)).to.be.rejected.and.eventually.include({ code: 'NONCE_EXPIRED' });
+
+    expect(state.nonce).to.equal(null);
+    expect(state.fees).to.equal(null);
+  });
+
+  it('clears the submission state when the transaction reverted', async () => {
+    provider.waitForTransaction = async (hash) => ({ hash, status: 0 });
+    const state = {};
+
+    await expect(submitter.submit(request, state)).to.be.rejectedWith('reverted');
+
+    expect(state).to.deep.equal({ nonce: null, hashes: [], fees: null });
+  });
+
+  it('keeps the submission state on the batch between rollup retries', async () => {
+    const rollup = makeRollup();
+    const states = [];
+    rollup.submitter = {
+      submit: async (submitted, state) => {
+        states.push(state);
+        state.nonce = 5;
+        throw new Error('Layer1 transaction not confirmed after 2 attempts');
+      }
+    };
+
+    await fund(rollup, ethers.Wallet.createRandom().address, 1n);
+    await rollup.createBatch();
+    await rollup.submitSealedBatches();
+
+    const [batch] = rollup.getAllBatches();
+    expect(batch.status).to.equal('attested');
+    expect(batch.lastSubmissionError).to.include('not confirmed');
+    expect(states[0]).to.equal(batch.submission);
+    expect(states[1]).to.equal(batch.submission);
+    expect(batch.submission.nonce).to.equal(5);
+    expect((await rollup.storage.load('batches'))[0].submission.nonce).to.equal(5);
+  });
+});
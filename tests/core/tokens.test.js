@@ -0,0 +1,80 @@
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+const TokenRegistry = require('../../src/core/tokens');
+const { MemoryStorage } = require('../../src/storage');
+const { makeRollup, makeBridge } = require('../helpers');
+
+describe('TokenRegistry', () => {
+  let storage;
+  let registry;
+  let usdc;
+
+  beforeEach(async () => {
+    storage = new MemoryStorage();
+    registry = new TokenRegistry({ storage });
+    usdc = await registry.register({
+      l1Address: ethers.Wallet.createRandom().address,
+      l2Address: ethers.Wallet.createRandom().address,
+      symbol: 'USDC',
+      decimals: 6,
+      minAmount: '1',
+      maxAmount: '100000'
+    });
+  });
+
+  it('parses amounts with the token decimals', () => {
+    expect(registry.parseAmount(usdc, '12.5')).to.equal(12500000n);
+    expect(registry.parseAmount(registry.getToken(null), '1')).to.equal(ethers.parseEther('1'));
+  });
+
+  it('rejects malformed and non-positive amounts', () => {
+    for (const amount of ['abc', '0', '-1', '0.0000001']) {
+      expect(() => registry.parseAmount(usdc, amount)).to.throw().with.property('code', 'INVALID_AMOUNT');
+    }
+  });
+
+  it('rejects unregistered tokens', () => {
+    expect(() => registry.requireToken(ethers.Wallet.createRandom().address)).to.throw()
+      .with.property('code', 'TOKEN_NOT_SUPPORTED');
+  });
+
+  it('enforces the per-token minimum and maximum', () => {
+    expect(() => registry.checkLimits(usdc, 500000n)).to.throw().with.property('code', 'AMOUNT_BELOW_MINIMUM');
+    expect(() => registry.checkLimits(usdc, 200000000000n)).to.throw().with.property('code', 'AMOUNT_ABOVE_MAXIMUM');
+    expect(() => registry.checkLimits(usdc, 200000000000n, { enforceMaximum: false })).to.not.throw();
+  });
+
+  it('refuses to register a token twice or with invalid parameters', async () => {
+    await expect(registry.register({ l1Address: usdc.l1Address, l2Address: usdc.l2Address, symbol: 'USDC', decimals: 6 }))
+      .to.be.rejected.and.eventually.include({ code: 'TOKEN_ALREADY_REGISTERED', statusCode: 409 });
+    await expect(registry.register({ l1Address: '0x1234', l2Address: usdc.l2Address, symbol: 'BAD', decimals: 6 }))
+      .to.be.rejected.and.eventually.include({ code: 'INVALID_TOKEN' });
+    await expect(registry.register({ l1Address: ethers.Wallet.createRandom().address, l2Address: usdc.l2Address, symbol: 'BAD', decimals: 40 }))
+      .to.be.rejected.and.eventually.include({ code: 'INVALID_TOKEN' });
+  });
+
+  it('restores registered tokens from storage', async () => {
+    const restored = new TokenRegistry({ storage });
+    await restored.load();
+
+    expect(restored.getToken(usdc.l1Address)).to.include({ symbol: 'USDC', decimals: 6, minAmount: 1000000n });
+    expect(restored.list().map(token => token.symbol)).to.deep.equal(['ETH', 'USDC']);
+  });
+
+  it('lets the bridge accept deposits of registered tokens only', async () => {
+    const bridge = await makeBridge(makeRollup());
+    const token = await bridge.tokenRegistry.register({
+      l1Address: usdc.l1Address,
+      l2Address: usdc.l2Address,
+      symbol: 'USDC',
+      decimals: 6
+    });
+    const user = ethers.Wallet.createRandom().address;
+
+    const { depositId } = await bridge.deposit(user, token.l1Address, '12.5');
+    expect(bridge.getDeposit(depositId)).to.include({ amount: 12500000n, layer2TokenAddress: token.l2Address });
+
+    await expect(bridge.deposit(user, ethers.Wallet.createRandom().address, '1'))
+      .to.be.rejected.and.eventually.include({ code: 'TOKEN_NOT_SUPPORTED' });
+  });
+});
@@ -0,0 +1,323 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { ethers } = require('ethers');
+const ValidatorManager = require('../../src/core/validator');
+const { MemoryStorage } = require('../../src/storage');
+const { makeRollup, fund, publicKey } = require('../helpers');
+
+describe('ValidatorManager', () => {
+  let clock;
+  let storage;
+  let rollup;
+  let manager;
+  let alice;
+  let bob;
+
+  /**
+   * Register a validator with its own key
+   * @param {ethers.Wallet} wallet - Validator wallet
+   * @param {string} stake - Stake in ether
+   * @returns {Object} Validator object
+   */
+  const register = (wallet, stake = '10') =>
+    manager.registerValidator(wallet.address, publicKey(wallet), ethers.parseEther(stake));
+
+  /**
+   * Sign a batch attestation with a wallet
+   * @param {ethers.Wallet} wallet - Signing wallet
+   * @param {number} batchIndex - Batch index
+   * @param {string} stateRoot - Post-state root
+   * @returns {Object} Attestation
+   */
+  const attest = async (wallet, batchIndex, stateRoot) => {
+    const digest = manager.hashBatchAttestation(batchIndex, stateRoot, ethers.ZeroHash);
+    return { stateRoot, merkleRoot: ethers.ZeroHash, signature: await wallet.signMessage(ethers.getBytes(digest)) };
+  };
+
+  beforeEach(async () => {
+    clock = sinon.useFakeTimers({ now: Date.now(), toFake: ['Date'] });
+    storage = new MemoryStorage();
+    rollup = makeRollup({ storage });
+    manager = new ValidatorManager({ storage, rollupManager: rollup });
+    await manager.initialize();
+    alice = ethers.Wallet.createRandom();
+    bob = ethers.Wallet.createRandom();
+  });
+
+  afterEach(() => {
+    clock.restore();
+  });
+
+  describe('slashing', () => {
+    it('slashes a validator that signed two commitments for one batch', async () => {
+      await register(alice);
+      const reporter = ethers.Wallet.createRandom().address;
+      const evidence = { batchIndex: 3, attestations: [await attest(alice, 3, ethers.id('a')), await attest(alice, 3, ethers.id('b'))] };
+
+      const slash = await manager.slashForEquivocation(alice.address, evidence, reporter);
+
+      expect(slash).to.include({ condition: 'equivocation', amount: ethers.parseEther('2.5'), challenger: reporter });
+      expect(manager.getStake(alice.address)).to.equal(ethers.parseEther('7.5'));
+      expect(manager.getPayout(reporter)).to.equal(ethers.parseEther('1.25'));
+      expect(manager.getPayout('treasury')).to.equal(ethers.parseEther('1.25'));
+
+      await expect(manager.slashForEquivocation(alice.address, evidence, reporter)).to.be.rejected
+        .and.eventually.include({ code: 'ALREADY_SLASHED', statusCode: 409 });
+    });
+
+    it('rejects equivocation evidence that is malformed or not signed by the validator', async () => {
+      await register(alice);
+      await register(bob);
+      const same = await attest(alice, 3, ethers.id('a'));
+
+      for (const evidence of [null, { batchIndex: 3, attestations: [same] }, { batchIndex: 3, attestations: [same, null] }, { batchIndex: 3, attestations: [same, same] }]) {
+        await expect(manager.slashForEquivocation(alice.address, evidence)).to.be.rejected
+          .and.eventually.include({ code: 'INVALID_EVIDENCE' });
+      }
+
+      const foreign = { batchIndex: 3, attestations: [await attest(bob, 3, ethers.id('a')), await attest(bob, 3, ethers.id('b'))] };
+      await expect(manager.slashForEquivocation(alice.address, foreign)).to.be.rejected
+        .and.eventually.include({ code: 'INVALID_EVIDENCE' });
+      expect(manager.getSlashes(alice.address)).to.have.lengthOf(0);
+    });
+
+    it('slashes the sequencer and the genuine signers of a fraudulent batch', async () => {
+      const sequencer = ethers.Wallet.createRandom();
+      const carol = ethers.Wallet.createRandom();
+      for (const wallet of [sequencer, alice, bob, carol]) {
+        await register(wallet);
+      }
+
+      const stateRoot = ethers.id('bad root');
+      const batch = {
+        id: 'batch_1',
+        index: 1,
+        stateRoot,
+        merkleRoot: ethers.ZeroHash,
+        sequencerAddress: sequencer.address,
+        attestations: [
+          { validator: alice.address, signature: (await attest(alice, 1, stateRoot)).signature },
+          // Carol's name on Bob's signature must not get Carol slashed
+          { validator: carol.address, signature: (await attest(bob, 1, stateRoot)).signature }
+        ]
+      };
+
+      const slashes = await manager.slashForFraudulentBatch(batch, { challenger: bob.address, reason: 'invalid state transition' });
+
+      expect(slashes.map(slash => slash.validator).sort()).to.deep.equal([sequencer.address, alice.address].sort());
+      expect(manager.getSlashes(carol.address)).to.have.lengthOf(0);
+    });
+
+    it('slashes each missed downtime window once', async () => {
+      await register(alice);
+      clock.tick(manager.slashing.downtimeWindow + 1);
+
+      expect(await manager.checkDowntime()).to.have.lengthOf(1);
+      expect(await manager.checkDowntime()).to.have.lengthOf(0);
+      expect(manager.getSlashes(alice.address)[0].condition).to.equal('downtime');
+    });
+
+    it('starts unbonding a validator slashed below the minimum stake', async () => {
+      await register(alice, '1.2');
+      const evidence = { batchIndex: 0, attestations: [await attest(alice, 0, ethers.id('a')), await attest(alice, 0, ethers.id('b'))] };
+
+      const slash = await manager.slashForEquivocation(alice.address, evidence);
+
+      expect(slash.deactivated).to.equal(true);
+      expect(manager.getValidator(alice.address)).to.include({ status: 'unbonding', deactivationReason: 'slashed_below_minimum_stake' });
+      expect(manager.isValidator(alice.address)).to.equal(false);
+    });
+
+    it('restores slash records and payouts from storage', async () => {
+      await register(alice);
+      const reporter = ethers.Wallet.createRandom().address;
+      const evidence = { batchIndex: 3, attestations: [await attest(alice, 3, ethers.id('a')), await attest(alice, 3, ethers.id('b'))] };
+      await manager.slashForEquivocation(alice.address, evidence, reporter);
+
+      const restarted = new ValidatorManager({ storage, rollupManager: rollup });
+      await restarted.initialize();
+
+      expect(restarted.getSlashes(alice.address)).to.have.lengthOf(1);
+      expect(restarted.getPayout(reporter)).to.equal(ethers.parseEther('1.25'));
+      await expect(restarted.slashForEquivocation(alice.address, evidence, reporter)).to.be.rejected
+        .and.eventually.include({ code: 'ALREADY_SLASHED' });
+    });
+  });
+
+  describe('unbonding', () => {
+    it('locks the stake of an exiting validator for the unbonding period', async () => {
+      await register(alice);
+
+      const entry = await manager.unregisterValidator(alice.address);
+
+      expect(entry).to.include({ amount: ethers.parseEther('10'), reason: 'exit', unlockAt: Date.now() + manager.unbondingPeriod });
+      expect(manager.getValidator(alice.address).status).to.equal('unbonding');
+      expect(manager.isValidator(alice.address)).to.equal(false);
+      expect(manager.getStats().totalUnbonding).to.equal(ethers.parseEther('10').toString());
+    });
+
+    it('only releases unbonded stake once the period has passed', async () => {
+      await register(alice);
+      const entry = await manager.unregisterValidator(alice.address);
+
+      await expect(manager.withdrawUnbonded(alice.address)).to.be.rejected
+        .and.eventually.include({ code: 'NOTHING_TO_WITHDRAW' })
+        .and.nested.include({ 'details.nextUnlockAt': entry.unlockAt });
+
+      clock.tick(manager.unbondingPeriod);
+      const result = await manager.withdrawUnbonded(alice.address);
+
+      expect(result).to.include({ amount: ethers.parseEther('10'), status: 'exited' });
+      await expect(manager.withdrawUnbonded(alice.address)).to.be.rejected
+        .and.eventually.include({ code: 'NOTHING_TO_WITHDRAW' });
+    });
+
+    it('bonds a stake increase at once and unbonds a decrease', async () => {
+      await register(alice);
+
+      await manager.updateStake(alice.address, ethers.parseEther('12'));
+      expect(manager.getStake(alice.address)).to.equal(ethers.parseEther('12'));
+
+      await manager.updateStake(alice.address, ethers.parseEther('4'));
+      expect(manager.getStake(alice.address)).to.equal(ethers.parseEther('4'));
+      expect(manager.getUnbonding(alice.address)[0]).to.include({ amount: ethers.parseEther('8'), reason: 'stake_decrease' });
+    });
+
+    it('keeps unbonding stake slashable', async () => {
+      await register(alice);
+      await manager.unregisterValidator(alice.address);
+      const evidence = { batchIndex: 3, attestations: [await attest(alice, 3, ethers.id('a')), await attest(alice, 3, ethers.id('b'))] };
+
+      const slash = await manager.slashForEquivocation(alice.address, evidence);
+
+      expect(slash.unbondingAmount).to.equal(ethers.parseEther('2.5'));
+      expect(manager.getUnbonding(alice.address)[0]).to.include({ amount: ethers.parseEther('7.5'), slashed: ethers.parseEther('2.5') });
+    });
+
+    it('lets an exited validator register again', async () => {
+      await register(alice);
+      await expect(register(alice)).to.be.rejected.and.eventually.include({ code: 'VALIDATOR_ALREADY_REGISTERED' });
+
+      await manager.unregisterValidator(alice.address);
+      clock.tick(manager.unbondingPeriod);
+      await manager.withdrawUnbonded(alice.address);
+
+      expect((await register(alice)).status).to.equal('active');
+    });
+  });
+
+  describe('signed validator requests', () => {
+    it('binds the signed message to the L2 chain id', async () => {
+      await register(alice);
+      const timestamp = Date.now();
+      const unbound = await alice.signMessage(`Defi-Rain exit ${timestamp}`);
+
+      await expect(manager.verifyValidatorRequest(alice.address, 'exit', timestamp, unbound)).to.be.rejected
+        .and.eventually.include({ code: 'INVALID_SIGNATURE', statusCode: 403 });
+
+      const signature = await alice.signMessage(manager.getRequestMessage('exit', timestamp));
+      expect(await manager.verifyValidatorRequest(alice.address, 'exit', timestamp, signature)).to.include({ address: alice.address });
+    });
+
+    it('refuses to replay a request, also after a restart', async () => {
+      await register(alice);
+      const timestamp = Date.now();
+      const signature = await alice.signMessage(manager.getRequestMessage('exit', timestamp));
+      await manager.verifyValidatorRequest(alice.address, 'exit', timestamp, signature);
+
+      await expect(manager.verifyValidatorRequest(alice.address, 'exit', timestamp, signature)).to.be.rejected
+        .and.eventually.include({ code: 'REQUEST_REPLAYED', statusCode: 409 });
+
+      const restarted = new ValidatorManager({ storage, rollupManager: rollup });
+      await restarted.initialize();
+      await expect(restarted.verifyValidatorRequest(alice.address, 'exit', timestamp, signature)).to.be.rejected
+        .and.eventually.include({ code: 'REQUEST_REPLAYED' });
+    });
+
+    it('refuses stale requests', async () => {
+      await register(alice);
+      const timestamp = Date.now() - 60 * 60 * 1000;
+      const signature = await alice.signMessage(manager.getRequestMessage('exit', timestamp));
+
+      await expect(manager.verifyValidatorRequest(alice.address, 'exit', timestamp, signature)).to.be.rejected
+        .and.eventually.include({ code: 'REQUEST_EXPIRED' });
+    });
+  });
+
+  describe('delegation', () => {
+    let delegator;
+
+    beforeEach(async () => {
+      delegator = ethers.Wallet.createRandom();
+      await fund(rollup, delegator.address, ethers.parseEther('10'));
+      await register(alice);
+    });
+
+    it('locks delegated funds out of the delegator L2 balance', async () => {
+      await manager.delegate(delegator.address, alice.address, ethers.parseEther('6'));
+
+      expect(rollup.stateManager.getBalance(delegator.address, ethers.ZeroAddress)).to.equal(ethers.parseEther('4'));
+      expect(manager.getEffectiveStake(alice.address)).to.equal(ethers.parseEther('16'));
+      expect(manager.getVotingWeight(alice.address)).to.equal(16);
+      expect(manager.getStats()).to.include({ totalDelegated: ethers.parseEther('6').toString(), totalDelegations: 1 });
+    });
+
+    it('refuses delegations the delegator cannot fund', async () => {
+      await expect(manager.delegate(delegator.address, alice.address, ethers.parseEther('11'))).to.be.rejected
+        .and.eventually.include({ code: 'INSUFFICIENT_BALANCE' });
+
+      expect(manager.getDelegatedStake(alice.address)).to.equal(0n);
+    });
+
+    it('returns undelegated funds only after the unbonding period', async () => {
+      await manager.delegate(delegator.address, alice.address, ethers.parseEther('6'));
+      const entry = await manager.undelegate(delegator.address, alice.address, ethers.parseEther('4'));
+
+      expect(entry).to.include({ delegator: delegator.address, reason: 'undelegation' });
+      expect(manager.getEffectiveStake(alice.address)).to.equal(ethers.parseEther('12'));
+
+      clock.tick(manager.unbondingPeriod);
+      await manager.withdrawUnbonded(delegator.address);
+
+      expect(rollup.stateManager.getBalance(delegator.address, ethers.ZeroAddress)).to.equal(ethers.parseEther('8'));
+      expect(manager.getValidator(alice.address).status).to.equal('active');
+    });
+
+    it('refuses to undelegate more than was delegated', async () => {
+      await manager.delegate(delegator.address, alice.address, ethers.parseEther('2'));
+
+      await expect(manager.undelegate(delegator.address, alice.address, ethers.parseEther('3'))).to.be.rejected
+        .and.eventually.include({ code: 'INVALID_STAKE' });
+      await expect(manager.undelegate(bob.address, alice.address, 1n)).to.be.rejected
+        .and.eventually.include({ code: 'DELEGATION_NOT_FOUND', statusCode: 404 });
+    });
+
+    it('pays delegators their pro-rata share of rewards after commission', async () => {
+      await manager.setCommission(alice.address, 1000);
+      await manager.delegate(delegator.address, alice.address, ethers.parseEther('10'));
+
+      await manager.distributeRewards(alice.address, ethers.parseEther('2'));
+
+      // 10% commission, then the remaining 1.8 split 50/50 over self and delegated stake
+      expect(manager.getRewards(delegator.address)).to.equal(ethers.parseEther('0.9'));
+      expect(manager.getRewards(alice.address)).to.equal(ethers.parseEther('1.1'));
+    });
+
+    it('slashes delegated stake in proportion to the validator', async () => {
+      await manager.delegate(delegator.address, alice.address, ethers.parseEther('4'));
+      const evidence = { batchIndex: 3, attestations: [await attest(alice, 3, ethers.id('a')), await attest(alice, 3, ethers.id('b'))] };
+
+      const slash = await manager.slashForEquivocation(alice.address, evidence);
+
+      expect(slash.delegatedAmount).to.equal(ethers.parseEther('1'));
+      expect(manager.getDelegatedStake(alice.address)).to.equal(ethers.parseEther('3'));
+    });
+
+    it('refuses to delegate to a validator that is not active', async () => {
+      await manager.unregisterValidator(alice.address);
+
+      await expect(manager.delegate(delegator.address, alice.address, 1n)).to.be.rejected
+        .and.eventually.include({ code: 'VALIDATOR_NOT_ACTIVE', statusCode: 409 });
+    });
+  });
+});
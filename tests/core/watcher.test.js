@@ -0,0 +1,87 @@
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+const { MemoryStorage } = require('../../src/storage');
+const { makeRollup, makeBridge, fakeLayer1, depositLog } = require('../helpers');
+
+describe('DepositWatcher', () => {
+  let storage;
+  let rollup;
+  let bridge;
+  let chain;
+  let user;
+
+  beforeEach(async () => {
+    storage = new MemoryStorage();
+    rollup = makeRollup({ storage });
+    bridge = await makeBridge(rollup, { storage });
+    chain = fakeLayer1();
+    bridge.provider = chain.provider;
+    user = ethers.Wallet.createRandom().address;
+
+    // The first poll starts the watcher at the current head
+    await bridge.depositWatcher.poll();
+  });
+
+  it('registers deposit intents as awaiting their Layer1 transaction', async () => {
+    const result = await bridge.deposit(user, null, '1');
+
+    expect(result.status).to.equal('awaiting_l1');
+    expect(result.requiredConfirmations).to.equal(12);
+    expect(result.layer1Transaction.to).to.equal(bridge.layer1Contract.address);
+  });
+
+  it('records a Deposit log against the matching intent without crediting it', async () => {
+    const { depositId } = await bridge.deposit(user, null, '1');
+    chain.logs.push(depositLog(bridge, { user, amount: ethers.parseEther('1'), depositId: ethers.id('d1'), blockNumber: 101 }));
+    chain.head = 105;
+
+    expect(await bridge.depositWatcher.poll()).to.equal(1);
+
+    const deposit = bridge.getDeposit(depositId);
+    expect(deposit.status).to.equal('confirming');
+    expect(deposit.layer1DepositId).to.equal(ethers.id('d1'));
+    expect(deposit.confirmations).to.equal(5);
+    expect(rollup.stateManager.getBalance(user, ethers.ZeroAddress)).to.equal(0n);
+  });
+
+  it('credits a deposit once it has the required confirmations', async () => {
+    chain.logs.push(depositLog(bridge, { user, amount: ethers.parseEther('1'), depositId: ethers.id('d1'), blockNumber: 101 }));
+    chain.head = 111;
+    await bridge.depositWatcher.poll();
+
+    const [deposit] = Array.from(bridge.deposits.values());
+    expect(deposit.status).to.equal('confirming');
+
+    chain.head = 112;
+    await bridge.depositWatcher.poll();
+
+    expect(deposit.status).to.equal('completed');
+    expect(rollup.stateManager.getBalance(user, ethers.ZeroAddress)).to.equal(ethers.parseEther('1'));
+  });
+
+  it('records each Layer1 deposit only once across polls', async () => {
+    chain.logs.push(depositLog(bridge, { user, amount: 5n, depositId: ethers.id('d1'), blockNumber: 101 }));
+    chain.head = 120;
+    await bridge.depositWatcher.poll();
+    await bridge.depositWatcher.poll();
+
+    expect(bridge.deposits.size).to.equal(1);
+    expect(rollup.stateManager.getBalance(user, ethers.ZeroAddress)).to.equal(5n);
+  });
+
+  it('resumes from the persisted checkpoint after a restart', async () => {
+    chain.head = 110;
+    await bridge.depositWatcher.poll();
+
+    expect(await storage.getValue('deposit_watcher')).to.include({ lastProcessedBlock: 110 });
+
+    const restarted = await makeBridge(makeRollup({ storage }), { storage });
+    restarted.provider = chain.provider;
+    chain.logs.push(depositLog(bridge, { user, amount: 5n, depositId: ethers.id('d1'), blockNumber: 105 }));
+    chain.head = 115;
+
+    // Block 105 was already scanned before the restart
+    expect(await restarted.depositWatcher.poll()).to.equal(0);
+    expect(restarted.depositWatcher.lastProcessedBlock).to.equal(115);
+  });
+});
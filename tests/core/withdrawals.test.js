@@ -0,0 +1,154 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { ethers } = require('ethers');
+const { makeRollup, makeBridge, signWithdrawal, fund } = require('../helpers');
+
+describe('Withdrawals', () => {
+  let clock;
+  let rollup;
+  let bridge;
+  let user;
+
+  /**
+   * Withdraw native balance with a fresh owner signature
+   * @param {string} amount - Amount in ether
+   * @returns {Object} Withdrawal result
+   */
+  const withdraw = async (amount) =>
+    bridge.withdraw(user.address, null, amount, await signWithdrawal(rollup, user, ethers.parseEther(amount)));
+
+  beforeEach(async () => {
+    clock = sinon.useFakeTimers({ now: Date.now(), toFake: ['Date'] });
+    rollup = makeRollup();
+    bridge = await makeBridge(rollup);
+    user = ethers.Wallet.createRandom();
+    await fund(rollup, user.address, ethers.parseEther('2'));
+  });
+
+  afterEach(() => {
+    clock.restore();
+  });
+
+  describe('withdrawal proofs', () => {
+    it('refuses a proof for a withdrawal not yet in a batch', async () => {
+      const { withdrawalId } = await withdraw('0.5');
+
+      expect(() => bridge.getWithdrawalProof(withdrawalId)).to.throw()
+        .with.property('code', 'WITHDRAWAL_NOT_BATCHED');
+    });
+
+    it('proves each batched withdrawal against the batch withdrawal root', async () => {
+      const ids = [];
+      for (const amount of ['0.5', '0.25', '0.3']) {
+        ids.push((await withdraw(amount)).withdrawalId);
+      }
+      await rollup.createBatch();
+
+      const batch = rollup.getAllBatches()[0];
+      for (const [leafIndex, withdrawalId] of ids.entries()) {
+        const proof = bridge.getWithdrawalProof(withdrawalId);
+        expect(proof).to.include({ batchId: batch.id, leafIndex, withdrawalRoot: batch.withdrawalRoot });
+
+        const withdrawal = bridge.getWithdrawal(withdrawalId);
+        const operation = { id: withdrawalId, account: withdrawal.userAddress, token: withdrawal.tokenAddress, amount: withdrawal.amount };
+        expect(rollup.verifyWithdrawalProof(batch, operation, proof.proof)).to.equal(true);
+      }
+    });
+
+    it('commits the withdrawal root in the batch calldata', async () => {
+      await withdraw('0.5');
+      await rollup.createBatch();
+
+      const batch = rollup.getAllBatches()[0];
+      const calldata = rollup.contract.interface.encodeFunctionData('submitBatch', [
+        batch.stateRoot,
+        batch.merkleRoot,
+        rollup.encodeBatchData(batch)
+      ]);
+
+      expect(rollup.decodeBatchCalldata(calldata).withdrawalRoot).to.equal(batch.withdrawalRoot);
+    });
+
+    it('only completes a withdrawal once its batch is finalized', async () => {
+      const { withdrawalId } = await withdraw('0.5');
+      await rollup.createBatch();
+      clock.tick(bridge.withdrawalDelay * 1000);
+
+      await expect(bridge.completeWithdrawal(withdrawalId)).to.be.rejected
+        .and.eventually.include({ code: 'WITHDRAWAL_NOT_FINALIZED' });
+
+      clock.tick(rollup.challengePeriod);
+      await rollup.finalizationTracker.checkFinalization();
+
+      const result = await bridge.completeWithdrawal(withdrawalId);
+      expect(result.status).to.equal('completed');
+      expect(bridge.getWithdrawal(withdrawalId).proof.leaf).to.equal(bridge.getWithdrawalProof(withdrawalId).leaf);
+    });
+
+    it('rejects a sibling path that belongs to another withdrawal', async () => {
+      const first = await withdraw('0.5');
+      const second = await withdraw('0.25');
+      await withdraw('0.3');
+      await rollup.createBatch();
+      clock.tick(Math.max(bridge.withdrawalDelay * 1000, rollup.challengePeriod));
+      await rollup.finalizationTracker.checkFinalization();
+
+      const wrongPath = bridge.getWithdrawalProof(first.withdrawalId).proof;
+      await expect(bridge.completeWithdrawal(second.withdrawalId, wrongPath)).to.be.rejected
+        .and.eventually.include({ code: 'INVALID_WITHDRAWAL_PROOF' });
+      expect(bridge.getWithdrawal(second.withdrawalId).status).to.equal('burned');
+    });
+  });
+
+  describe('withdrawal authorization', () => {
+    it('debits the signed amount from the owner L2 balance', async () => {
+      await withdraw('0.5');
+
+      expect(rollup.stateManager.getBalance(user.address, ethers.ZeroAddress)).to.equal(ethers.parseEther('1.5'));
+    });
+
+    it('refuses withdrawals signed by someone other than the owner', async () => {
+      const other = ethers.Wallet.createRandom();
+      const authorization = await signWithdrawal(rollup, other, ethers.parseEther('1'));
+
+      await expect(bridge.withdraw(user.address, null, '1', authorization)).to.be.rejected
+        .and.eventually.include({ code: 'INVALID_SIGNATURE', statusCode: 403 });
+    });
+
+    it('refuses a signature over a different amount', async () => {
+      const authorization = await signWithdrawal(rollup, user, ethers.parseEther('0.1'));
+
+      await expect(bridge.withdraw(user.address, null, '1', authorization)).to.be.rejected
+        .and.eventually.include({ code: 'INVALID_SIGNATURE' });
+    });
+
+    it('refuses an expired authorization', async () => {
+      const authorization = await signWithdrawal(rollup, user, ethers.parseEther('1'));
+      clock.tick(601 * 1000);
+
+      await expect(bridge.withdraw(user.address, null, '1', authorization)).to.be.rejected
+        .and.eventually.include({ code: 'WITHDRAWAL_AUTHORIZATION_EXPIRED' });
+    });
+
+    it('refuses withdrawals over the L2 balance with the available amount', async () => {
+      const error = await withdraw('3').catch(caught => caught);
+
+      expect(error).to.include({ code: 'INSUFFICIENT_BALANCE', statusCode: 400 });
+      expect(error.details).to.deep.equal({ available: '2.0', requested: '3.0' });
+      expect(rollup.stateManager.getBalance(user.address, ethers.ZeroAddress)).to.equal(ethers.parseEther('2'));
+    });
+
+    it('refuses to replay an authorization, also after a restart', async () => {
+      const authorization = await signWithdrawal(rollup, user, ethers.parseEther('0.5'));
+      await bridge.withdraw(user.address, null, '0.5', authorization);
+
+      await expect(bridge.withdraw(user.address, null, '0.5', authorization)).to.be.rejected
+        .and.eventually.include({ code: 'WITHDRAWAL_REPLAYED', statusCode: 409 });
+
+      const restarted = await makeBridge(rollup, { storage: bridge.storage });
+      await restarted.loadBridgeState();
+      await expect(restarted.withdraw(user.address, null, '0.5', authorization)).to.be.rejected
+        .and.eventually.include({ code: 'WITHDRAWAL_REPLAYED' });
+    });
+  });
+});
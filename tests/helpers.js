@@ -0,0 +1,177 @@
+const { ethers } = require('ethers');
+const RollupManager = require('../src/core/rollup');
+const CrossChainBridge = require('../src/core/bridge');
+
+const ROLLUP_ABI = [
+  'function submitBatch(bytes32 stateRoot, bytes32 merkleRoot, bytes calldata batchData) external',
+  'function challengeBatch(uint256 batchIndex, string reason) external'
+];
+
+/**
+ * Create a submitter that confirms every batch without a Layer1 node
+ * @returns {Object} Submitter stub
+ */
+const fakeSubmitter = () => {
+  let blockNumber = 0;
+
+  return {
+    address: ethers.ZeroAddress,
+    submissions: [],
+    async submit(request) {
+      blockNumber++;
+      this.submissions.push(request);
+
+      return {
+        receipt: {
+          hash: ethers.id(`tx ${blockNumber}`),
+          blockNumber,
+          blockHash: ethers.id(`block ${blockNumber}`),
+          gasUsed: 100000n
+        },
+        attempts: 1
+      };
+    }
+  };
+};
+
+/**
+ * Create a rollup with an empty genesis state and a stubbed Layer1 contract
+ * @param {Object} options - RollupManager options
+ * @returns {RollupManager} Rollup manager
+ */
+const makeRollup = (options = {}) => {
+  const rollup = new RollupManager(options);
+  rollup.stateRoot = rollup.stateManager.computeRoot();
+  rollup.contract = { address: ethers.ZeroAddress, interface: new ethers.Interface(ROLLUP_ABI) };
+  rollup.submitter = fakeSubmitter();
+  return rollup;
+};
+
+/**
+ * Create a bridge on top of a rollup with its contract interfaces set up
+ * @param {RollupManager} rollup - Rollup manager
+ * @param {Object} options - CrossChainBridge options
+ * @returns {CrossChainBridge} Bridge
+ */
+const makeBridge = async (rollup, options = {}) => {
+  const bridge = new CrossChainBridge({ rollupManager: rollup, ...options });
+  await bridge.setupContracts();
+  return bridge;
+};
+
+/**
+ * Create an in-memory Layer1 chain. Blocks from `forkFrom` on take their
+ * hashes from the current `fork`, so switching forks reorganizes them.
+ * @returns {Object} Chain with head, logs and an ethers-like provider
+ */
+const fakeLayer1 = () => {
+  const chain = { head: 100, fork: 'a', forkFrom: Infinity, logs: [], receipts: {} };
+  chain.hash = (blockNumber) => ethers.id(`${blockNumber >= chain.forkFrom ? chain.fork : 'a'}${blockNumber}`);
+
+  chain.provider = {
+    getBlockNumber: async () => chain.head,
+    getBlock: async (blockNumber) => (blockNumber <= chain.head ? { number: blockNumber, hash: chain.hash(blockNumber) } : null),
+    getLogs: async (filter) => chain.logs
+      .filter(log => log.blockNumber >= filter.fromBlock && log.blockNumber <= filter.toBlock)
+      .map(log => ({ ...log, blockHash: chain.hash(log.blockNumber) })),
+    getTransactionReceipt: async (hash) => chain.receipts[hash] || null,
+    getTransaction: async () => null
+  };
+
+  return chain;
+};
+
+/**
+ * Build a Layer1 Deposit log for the bridge contract
+ * @param {CrossChainBridge} bridge - Bridge whose contract emitted the log
+ * @param {Object} deposit - User, token, amount, depositId and blockNumber
+ * @returns {Object} Log
+ */
+const depositLog = (bridge, { user, token = ethers.ZeroAddress, amount, depositId, blockNumber }) => ({
+  ...bridge.layer1Contract.interface.encodeEventLog('Deposit', [user, token, amount, depositId, 1700000000]),
+  address: bridge.layer1Contract.address,
+  blockNumber,
+  transactionHash: ethers.id(`deposit ${depositId}`),
+  index: 0
+});
+
+/**
+ * Sign an L2 transaction for a rollup
+ * @param {RollupManager} rollup - Rollup manager
+ * @param {ethers.Wallet} wallet - Sender wallet
+ * @param {Object} fields - Fields overriding the defaults
+ * @returns {Object} Signed transaction
+ */
+const signTransaction = async (rollup, wallet, fields = {}) => {
+  const transaction = {
+    from: wallet.address,
+    to: ethers.ZeroAddress,
+    value: '1',
+    data: '0x',
+    nonce: 0,
+    maxFeePerGas: '3000000000',
+    maxPriorityFeePerGas: '100000000',
+    ...fields
+  };
+
+  transaction.signature = await wallet.signTypedData(
+    rollup.getSigningDomain(),
+    RollupManager.TRANSACTION_TYPES,
+    rollup.getSigningPayload(transaction)
+  );
+
+  return transaction;
+};
+
+/**
+ * Sign a withdrawal authorization for the bridge
+ * @param {RollupManager} rollup - Rollup manager
+ * @param {ethers.Wallet} wallet - Account owner
+ * @param {bigint} amount - Amount in wei
+ * @param {string} token - Token address
+ * @returns {Object} Deadline and signature
+ */
+const signWithdrawal = async (rollup, wallet, amount, token = ethers.ZeroAddress) => {
+  const deadline = Math.floor(Date.now() / 1000) + 600;
+  const signature = await wallet.signTypedData(rollup.getSigningDomain(), CrossChainBridge.WITHDRAWAL_TYPES, {
+    account: wallet.address,
+    token,
+    amount,
+    deadline
+  });
+
+  return { deadline, signature };
+};
+
+/**
+ * Fund an account with native L2 balance
+ * @param {RollupManager} rollup - Rollup manager
+ * @param {string} address - Account address
+ * @param {bigint} amount - Amount in wei
+ */
+const fund = (rollup, address, amount) =>
+  rollup.applyDeposit({
+    id: `deposit_${address}_${amount}_${Math.random()}`,
+    userAddress: address,
+    tokenAddress: ethers.ZeroAddress,
+    amount
+  });
+
+/**
+ * Get the uncompressed public key of a wallet without its 0x04 prefix
+ * @param {ethers.Wallet} wallet - Wallet
+ * @returns {string} Public key
+ */
+const publicKey = (wallet) => '0x' + wallet.signingKey.publicKey.slice(4);
+
+module.exports = {
+  fakeSubmitter,
+  makeRollup,
+  makeBridge,
+  fakeLayer1,
+  depositLog,
+  signTransaction,
+  signWithdrawal,
+  fund,
+  publicKey
+};
@@ -0,0 +1,11 @@
+// Loaded by mocha before any test file, so config picks up the test environment
+process.env.NODE_ENV = 'test';
+
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const logger = require('../src/utils/logger');
+
+chai.use(chaiAsPromised);
+
+// Rejections are asserted on, so keep their error logs out of the test output
+logger.logger.silent = !process.env.LOG_LEVEL;
@@ -0,0 +1,85 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { MemoryIdempotencyStore, RedisIdempotencyStore } = require('../../src/storage');
+
+describe('Idempotency stores', () => {
+  describe('MemoryIdempotencyStore', () => {
+    let clock;
+    let store;
+
+    beforeEach(() => {
+      clock = sinon.useFakeTimers({ now: Date.now(), toFake: ['Date'] });
+      store = new MemoryIdempotencyStore({ ttl: 60000, inProgressTtl: 1000 });
+    });
+
+    afterEach(() => {
+      clock.restore();
+    });
+
+    it('returns the existing record to a second reservation', async () => {
+      expect(await store.reserve('k', { status: 'in_progress', fingerprint: 'a' })).to.equal(null);
+      expect(await store.reserve('k', { status: 'in_progress', fingerprint: 'b' })).to.include({ fingerprint: 'a' });
+    });
+
+    it('frees an abandoned reservation after the in-progress TTL', async () => {
+      await store.reserve('k', { status: 'in_progress', fingerprint: 'a' });
+      clock.tick(1000);
+
+      expect(await store.reserve('k', { status: 'in_progress', fingerprint: 'b' })).to.equal(null);
+    });
+
+    it('keeps a completed key for the full TTL', async () => {
+      await store.reserve('k', { status: 'in_progress', fingerprint: 'a' });
+      await store.complete('k', { status: 'completed', fingerprint: 'a', statusCode: 200, body: { ok: true } });
+      clock.tick(59999);
+
+      expect(await store.reserve('k', { status: 'in_progress', fingerprint: 'a' })).to.include({ status: 'completed' });
+
+      clock.tick(1);
+      expect(await store.reserve('k', { status: 'in_progress', fingerprint: 'a' })).to.equal(null);
+    });
+  });
+
+  describe('RedisIdempotencyStore', () => {
+    let store;
+
+    beforeEach(() => {
+      store = new RedisIdempotencyStore({ ttl: 60000, inProgressTtl: 1000 });
+      store.client = { set: sinon.stub(), get: sinon.stub() };
+    });
+
+    afterEach(() => {
+      sinon.restore();
+    });
+
+    it('reserves keys with SET NX and the in-progress TTL', async () => {
+      store.client.set.resolves('OK');
+
+      expect(await store.reserve('k', { status: 'in_progress' })).to.equal(null);
+      expect(store.client.set.firstCall.args.slice(2)).to.deep.equal(['PX', 1000, 'NX']);
+    });
+
+    it('retries SET NX when the key vanishes before it is read', async () => {
+      store.client.set.onFirstCall().resolves(null).onSecondCall().resolves('OK');
+      store.client.get.resolves(null);
+
+      expect(await store.reserve('k', { status: 'in_progress' })).to.equal(null);
+      expect(store.client.set.callCount).to.equal(2);
+    });
+
+    it('gives up after repeated races', async () => {
+      store.client.set.resolves(null);
+      store.client.get.resolves(null);
+
+      await expect(store.reserve('k', { status: 'in_progress' })).to.be.rejectedWith(/Could not reserve/);
+      expect(store.client.set.callCount).to.equal(3);
+    });
+
+    it('completes keys with the full TTL', async () => {
+      store.client.set.resolves('OK');
+      await store.complete('k', { status: 'completed' });
+
+      expect(store.client.set.firstCall.args.slice(2)).to.deep.equal(['PX', 60000]);
+    });
+  });
+});
@@ -0,0 +1,55 @@
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+const { MemoryStorage } = require('../../src/storage');
+const { serialize, deserialize } = require('../../src/storage/serializer');
+const { makeRollup, signTransaction, fund } = require('../helpers');
+
+describe('MemoryStorage', () => {
+  let storage;
+
+  beforeEach(() => {
+    storage = new MemoryStorage();
+  });
+
+  it('round-trips bigints, sets and maps', () => {
+    const record = { amount: 10n ** 30n, voters: new Set(['a', 'b']), balances: new Map([['x', 1n]]) };
+
+    expect(deserialize(serialize(record))).to.deep.equal(record);
+  });
+
+  it('stores copies so later mutations are not persisted implicitly', async () => {
+    const record = { id: 'a', status: 'pending' };
+    await storage.save('batches', record.id, record);
+    record.status = 'sealed';
+
+    expect(await storage.load('batches')).to.deep.equal([{ id: 'a', status: 'pending' }]);
+  });
+
+  it('removes records and keeps named values', async () => {
+    await storage.save('batches', 'a', { id: 'a' });
+    await storage.remove('batches', 'a');
+    await storage.setValue('rollup', { batchCounter: 2 });
+
+    expect(await storage.load('batches')).to.deep.equal([]);
+    expect(await storage.getValue('rollup')).to.deep.equal({ batchCounter: 2 });
+    expect(await storage.getValue('missing')).to.equal(null);
+  });
+
+  it('lets a restarted rollup resume from the stored batches and state', async () => {
+    const rollup = makeRollup({ storage });
+    const alice = ethers.Wallet.createRandom();
+    await fund(rollup, alice.address, ethers.parseEther('1'));
+    await rollup.addTransaction(await signTransaction(rollup, alice));
+    await rollup.createBatch();
+
+    const restarted = makeRollup({ storage });
+    await restarted.loadState();
+
+    expect(restarted.stateRoot).to.equal(rollup.stateRoot);
+    expect(restarted.batchCounter).to.equal(1);
+    expect(restarted.getAllBatches().map(batch => [batch.id, batch.status]))
+      .to.deep.equal(rollup.getAllBatches().map(batch => [batch.id, batch.status]));
+    expect(restarted.stateManager.getBalance(alice.address)).to.equal(rollup.stateManager.getBalance(alice.address));
+    expect(restarted.getAccountNonce(alice.address).nonce).to.equal(1);
+  });
+});
@@ -0,0 +1,66 @@
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+const BatchCodec = require('../../src/utils/codec');
+const { makeRollup, signTransaction, fund } = require('../helpers');
+
+describe('BatchCodec', () => {
+  let rollup;
+  let batch;
+
+  before(async () => {
+    rollup = makeRollup();
+    const alice = ethers.Wallet.createRandom();
+    const bob = ethers.Wallet.createRandom();
+
+    await fund(rollup, alice.address, ethers.parseEther('1'));
+    await rollup.applyStakeOperation('stake_lock', alice.address, 5n, 'delegation');
+    await rollup.addTransaction(await signTransaction(rollup, alice, { nonce: 0, to: bob.address }));
+    await rollup.addTransaction(await signTransaction(rollup, alice, { nonce: 1, to: bob.address, data: '0x00ff' }));
+    await rollup.addTransaction(await signTransaction(rollup, bob, { nonce: 0, to: alice.address, value: '0' }));
+    await rollup.createBatch();
+    [batch] = rollup.getAllBatches();
+  });
+
+  for (const compression of ['none', 'zlib', 'brotli']) {
+    it(`round-trips a batch with ${compression} compression`, () => {
+      const codec = new BatchCodec({ compression });
+
+      const decoded = codec.decode(codec.encode(batch).data);
+
+      expect(decoded).to.include({ version: BatchCodec.BATCH_FORMAT_VERSION, id: batch.id, index: batch.index });
+      expect(decoded.baseFee).to.equal(batch.baseFee);
+      expect(decoded.transactions.map(tx => rollup.hashTransaction(tx)))
+        .to.deep.equal(batch.transactions.map(tx => tx.hash));
+      expect(decoded.transactions.map(tx => tx.postStateRoot))
+        .to.deep.equal(batch.transactions.map(tx => tx.postStateRoot));
+      expect(decoded.bridgeOperations.map(operation => [operation.type, operation.id, operation.amount]))
+        .to.deep.equal(batch.bridgeOperations.map(operation => [operation.type, operation.id, operation.amount]));
+    });
+  }
+
+  it('is far smaller than the JSON form of the batch', () => {
+    const json = JSON.stringify({ transactions: batch.transactions, bridgeOperations: batch.bridgeOperations });
+    const { encodedSize } = new BatchCodec({ compression: 'none' }).encode(batch);
+
+    expect(encodedSize * 2).to.be.below(Buffer.byteLength(json));
+  });
+
+  it('rejects unknown compression and format versions', () => {
+    const data = ethers.getBytes(new BatchCodec({ compression: 'none' }).encode(batch).data);
+
+    expect(() => new BatchCodec({ compression: 'lz4' })).to.throw('Unsupported batch compression');
+    expect(() => new BatchCodec().decode(Uint8Array.from([9, ...data.slice(1)]))).to.throw('Unsupported batch format version');
+    expect(() => new BatchCodec().decode(Uint8Array.from([data[0], 7, ...data.slice(2)]))).to.throw('Unsupported batch compression flag');
+  });
+
+  it('recovers the submitted batch from Layer1 calldata', () => {
+    const [request] = rollup.submitter.submissions;
+
+    const decoded = rollup.decodeBatchCalldata(request.data);
+
+    expect(decoded.stateRoot).to.equal(batch.stateRoot);
+    expect(decoded.merkleRoot).to.equal(batch.merkleRoot);
+    expect(decoded.withdrawalRoot).to.equal(batch.withdrawalRoot);
+    expect(decoded.transactions.map(tx => tx.hash)).to.deep.equal(batch.transactions.map(tx => tx.hash));
+  });
+});